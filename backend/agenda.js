@@ -0,0 +1,187 @@
+const cron = require('node-cron');
+const { getPendingMessagesBetween, getSetting, compareAndSetSetting } = require('./database');
+const { sendMessageToSelf, isClientReady, describeRecipient } = require('./whatsappClient');
+const { convertFromZonedTimeToUTC, convertFromUTCToZonedTime, formatClock } = require('./timeParser');
+const { getTimezone } = require('./timezones');
+const { describeMedia } = require('./media');
+
+// Pending messages grouped by day in the configured timezone, for /today, /tomorrow, /week
+// and the morning digest. The digest goes out once a day at DIGEST_TIME (default 08:00,
+// 'off' to disable) and lists what is still to be sent that day; days without messages are skipped.
+// After downtime or a failed send it is caught up for DIGEST_CATCH_UP_MINUTES, not all day.
+
+const DAY = 24 * 60 * 60 * 1000;
+const FIRST_LINE_LENGTH = 60;
+
+// Local date of the last digest. An instance claims the day before sending and gives it back
+// if the send fails, so restarts and parallel instances send it once a day.
+const LAST_DIGEST_SETTING = 'last_digest_date';
+const DIGEST_CATCH_UP_MINUTES = 180;
+
+function getDigestTime() {
+  const value = (process.env.DIGEST_TIME || '08:00').trim().toLowerCase();
+  if (value === 'off') {
+    return null;
+  }
+  const match = value.match(/^([01]?\d|2[0-3]):([0-5]\d)$/);
+  if (!match) {
+    console.error(`Ignoring invalid DIGEST_TIME: ${process.env.DIGEST_TIME}`);
+    return { hour: 8, minute: 0 };
+  }
+  return { hour: parseInt(match[1]), minute: parseInt(match[2]) };
+}
+
+const DIGEST_TIME = getDigestTime();
+
+let digestStarted = false;
+let digestInProgress = false;
+
+// Local midnight of a day, counted from today (0 = today, 1 = tomorrow), as a naive time
+function getLocalDay(offset, timeZone) {
+  const localNow = convertFromUTCToZonedTime(new Date(), timeZone);
+  return new Date(Date.UTC(localNow.getUTCFullYear(), localNow.getUTCMonth(), localNow.getUTCDate() + offset));
+}
+
+function toDateKey(localDay) {
+  return localDay.toISOString().substring(0, 10);
+}
+
+// Pending messages from start (a UTC Date) until the end of the local day `days` days later,
+// as [{ day, messages }] - only days with messages, in order
+async function getAgenda(start, firstDay, days, timeZone) {
+  const end = convertFromZonedTimeToUTC(new Date(firstDay.getTime() + days * DAY), timeZone);
+  const messages = await getPendingMessagesBetween(start, end);
+
+  const byDay = new Map();
+  for (const msg of messages) {
+    const local = convertFromUTCToZonedTime(new Date(msg.scheduled_time), timeZone);
+    const key = toDateKey(local);
+    if (!byDay.has(key)) {
+      byDay.set(key, { day: new Date(`${key}T00:00:00Z`), messages: [] });
+    }
+    byDay.get(key).messages.push(msg);
+  }
+  return Array.from(byDay.values());
+}
+
+// "• 09:00 → *Mom*: Happy birthday! 🔁"
+function describeAgendaLine(msg, timeZone) {
+  let firstLine = (msg.message || '').split('\n')[0].trim();
+  if (firstLine.length > FIRST_LINE_LENGTH) {
+    firstLine = `${firstLine.substring(0, FIRST_LINE_LENGTH - 1)}…`;
+  }
+  if (msg.media_type) {
+    firstLine = firstLine ? `${describeMedia(msg.media_type)} ${firstLine}` : describeMedia(msg.media_type);
+  }
+
+  return `• ${formatClock(new Date(msg.scheduled_time), timeZone)} → *${describeRecipient(msg.recipient_name, msg.recipient)}*: ` +
+    firstLine +
+    (msg.template_name ? ` 📝` : '') +
+    (msg.recurrence ? ` 🔁` : '') +
+    ` _(#${msg.id})_`;
+}
+
+// e.g. "Today, Monday, October 19"
+function describeDay(day, timeZone) {
+  const offset = Math.round((day - getLocalDay(0, timeZone)) / DAY);
+  const date = day.toLocaleDateString('en-US', { weekday: 'long', month: 'long', day: 'numeric', timeZone: 'UTC' });
+  if (offset === 0) {
+    return `Today, ${date}`;
+  }
+  return offset === 1 ? `Tomorrow, ${date}` : date;
+}
+
+// The agenda as a self-chat message
+function formatAgenda(title, agenda, timeZone) {
+  const total = agenda.reduce((count, entry) => count + entry.messages.length, 0);
+  let text = `${title} (${total})\n`;
+
+  for (const entry of agenda) {
+    text += `\n📅 *${describeDay(entry.day, timeZone)}*\n`;
+    text += entry.messages.map(msg => describeAgendaLine(msg, timeZone)).join('\n') + '\n';
+  }
+
+  return text + `\n🌍 Times in ${timeZone}`;
+}
+
+// Agenda for /today (0 days ahead, 1 day), /tomorrow (1, 1) or /week (0, 7).
+// Today's agenda starts now; messages already sent are not pending anymore anyway.
+async function describeAgenda(title, daysAhead, days, emptyText) {
+  const timeZone = getTimezone();
+  const firstDay = getLocalDay(daysAhead, timeZone);
+  const start = daysAhead === 0 ? new Date() : convertFromZonedTimeToUTC(firstDay, timeZone);
+  const agenda = await getAgenda(start, firstDay, days, timeZone);
+
+  if (agenda.length === 0) {
+    return emptyText;
+  }
+  return formatAgenda(title, agenda, timeZone);
+}
+
+// Send today's digest once the digest time has passed, if it wasn't sent yet today
+async function sendDigestIfDue() {
+  if (!DIGEST_TIME || !isClientReady()) {
+    return;
+  }
+
+  // Only from DIGEST_TIME until the catch-up window closes - no "good morning" late at night
+  const timeZone = getTimezone();
+  const localNow = convertFromUTCToZonedTime(new Date(), timeZone);
+  const minutesLate = localNow.getUTCHours() * 60 + localNow.getUTCMinutes() - (DIGEST_TIME.hour * 60 + DIGEST_TIME.minute);
+  if (minutesLate < 0 || minutesLate >= DIGEST_CATCH_UP_MINUTES) {
+    return;
+  }
+
+  // A slow send mustn't let the next minute's check send the digest again
+  if (digestInProgress) {
+    return;
+  }
+  digestInProgress = true;
+
+  try {
+    const today = toDateKey(getLocalDay(0, timeZone));
+    const lastDigest = await getSetting(LAST_DIGEST_SETTING);
+    if (lastDigest === today || !await compareAndSetSetting(LAST_DIGEST_SETTING, lastDigest, today)) {
+      return;
+    }
+
+    // Give the day back if the digest doesn't go out, so the next minute tries again
+    let done = false;
+    try {
+      const agenda = await getAgenda(new Date(), getLocalDay(0, timeZone), 1, timeZone);
+      if (agenda.length === 0) {
+        done = true;
+        console.log('Nothing scheduled for today, no digest sent');
+        return;
+      }
+
+      done = await sendMessageToSelf(formatAgenda('☀️ *Good morning! Scheduled for today*', agenda, timeZone) +
+        `\n\n💡 /tomorrow and /week for what's next`);
+      console.log(done ? 'Sent daily digest' : 'Daily digest not sent, will try again');
+    } finally {
+      if (!done) {
+        await compareAndSetSetting(LAST_DIGEST_SETTING, today, lastDigest);
+      }
+    }
+  } finally {
+    digestInProgress = false;
+  }
+}
+
+// Check for the digest every minute (called on every connect; only starts once)
+function startDigest() {
+  if (digestStarted || !DIGEST_TIME) {
+    return;
+  }
+  digestStarted = true;
+
+  cron.schedule('* * * * *', () => {
+    sendDigestIfDue().catch(error => console.error('Error sending daily digest:', error.message));
+  });
+}
+
+module.exports = {
+  describeAgenda,
+  sendDigestIfDue,
+  startDigest
+};
@@ -0,0 +1,354 @@
+const fs = require('fs');
+const path = require('path');
+
+// Business calendar for "in 2 business days", "next workday", "end of month" and workday recurrences.
+// Days are naive Dates whose UTC fields hold the local calendar day (see timeParser.js).
+//   WORKWEEK - working days, e.g. "sun-thu" (default, Israeli workweek) or "mon-fri"
+//   HOLIDAYS_PATH - holiday list, one per line: "2026-09-21 Yom Kippur" or
+//                   "2026-10-03..2026-10-10 Sukkot"; lines starting with # are comments.
+//                   Defaults to holidays.txt next to the database. Edits are picked up within a minute.
+
+const DAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+const DAY_PREFIXES = DAY_NAMES.map(name => name.substring(0, 3).toLowerCase());
+const DEFAULT_WORKWEEK = [0, 1, 2, 3, 4];
+
+// Longest run of non-working days to look past (e.g. a holiday week plus a weekend)
+const MAX_SKIPPED_DAYS = 60;
+
+// How often to check the holiday file for changes
+const HOLIDAY_CHECK_INTERVAL = 60 * 1000;
+
+const holidaysPath = process.env.HOLIDAYS_PATH ||
+  (process.env.DATABASE_PATH
+    ? path.join(path.dirname(process.env.DATABASE_PATH), 'holidays.txt')
+    : path.join(__dirname, 'holidays.txt'));
+
+// Parse "sun-thu" or "mon,tue,wed" into sorted day numbers, or null
+function parseWorkweek(text) {
+  const days = new Set();
+
+  for (const part of text.toLowerCase().split(',')) {
+    const [from, to] = part.trim().split('-').map(name => DAY_PREFIXES.indexOf(name.trim().substring(0, 3)));
+    if (from === -1 || to === -1) {
+      return null;
+    }
+    if (to === undefined) {
+      days.add(from);
+      continue;
+    }
+    for (let day = from; ; day = (day + 1) % 7) {
+      days.add(day);
+      if (day === to) break;
+    }
+  }
+
+  return Array.from(days).sort((a, b) => a - b);
+}
+
+function getEnvWorkweek() {
+  if (!process.env.WORKWEEK) {
+    return DEFAULT_WORKWEEK;
+  }
+  const days = parseWorkweek(process.env.WORKWEEK);
+  if (!days || days.length === 0) {
+    console.error(`Ignoring invalid WORKWEEK: ${process.env.WORKWEEK}`);
+    return DEFAULT_WORKWEEK;
+  }
+  return days;
+}
+
+const WORKWEEK = getEnvWorkweek();
+
+function getWorkweek() {
+  return WORKWEEK;
+}
+
+function toDateKey(day) {
+  return day.toISOString().substring(0, 10);
+}
+
+// Holidays by "YYYY-MM-DD", reloaded when the file changes
+let holidayCache = { mtime: null, checkedAt: 0, holidays: new Map() };
+
+function parseHolidayFile(content) {
+  const holidays = new Map();
+
+  content.split(/\r?\n/).forEach((line, index) => {
+    const text = line.trim();
+    if (!text || text.startsWith('#')) {
+      return;
+    }
+
+    const match = text.match(/^(\d{4}-\d{2}-\d{2})(?:\.\.(\d{4}-\d{2}-\d{2}))?(?:\s+(.+))?$/);
+    const from = match && new Date(`${match[1]}T00:00:00Z`);
+    const to = match && new Date(`${match[2] || match[1]}T00:00:00Z`);
+    if (!match || isNaN(from) || isNaN(to) || to < from) {
+      console.error(`Ignoring invalid line ${index + 1} in ${holidaysPath}: ${text}`);
+      return;
+    }
+
+    for (let day = from; day <= to; day = new Date(day.getTime() + 24 * 60 * 60 * 1000)) {
+      holidays.set(toDateKey(day), match[3] || 'Holiday');
+    }
+  });
+
+  return holidays;
+}
+
+function getHolidays() {
+  const now = Date.now();
+  if (now - holidayCache.checkedAt < HOLIDAY_CHECK_INTERVAL) {
+    return holidayCache.holidays;
+  }
+  holidayCache.checkedAt = now;
+
+  let stat;
+  try {
+    stat = fs.statSync(holidaysPath);
+  } catch (err) {
+    // No holiday file - only the workweek applies
+    holidayCache = { mtime: null, checkedAt: now, holidays: new Map() };
+    return holidayCache.holidays;
+  }
+
+  if (holidayCache.mtime !== stat.mtimeMs) {
+    try {
+      holidayCache = { mtime: stat.mtimeMs, checkedAt: now, holidays: parseHolidayFile(fs.readFileSync(holidaysPath, 'utf8')) };
+    } catch (err) {
+      console.error(`Could not read holidays from ${holidaysPath}:`, err.message);
+    }
+  }
+  return holidayCache.holidays;
+}
+
+// Name of the holiday on a local day, or null
+function getHoliday(day) {
+  return getHolidays().get(toDateKey(day)) || null;
+}
+
+function isBusinessDay(day) {
+  return WORKWEEK.includes(day.getUTCDay()) && !getHoliday(day);
+}
+
+function addDays(day, count) {
+  return new Date(Date.UTC(day.getUTCFullYear(), day.getUTCMonth(), day.getUTCDate() + count));
+}
+
+// The count-th business day after day (count >= 1), or null if none is found
+function addBusinessDays(day, count) {
+  let current = addDays(day, 0);
+  for (let found = 0, skipped = 0; found < count; ) {
+    current = addDays(current, 1);
+    if (isBusinessDay(current)) {
+      found++;
+      skipped = 0;
+    } else if (++skipped > MAX_SKIPPED_DAYS) {
+      return null;
+    }
+  }
+  return current;
+}
+
+// The n-th (1-5, or -1 for the last) weekday (0-6) or business day ('workday') of a month, or null
+function getNthDayOfMonth(year, month, n, weekday) {
+  const matches = (day) => weekday === 'workday' ? isBusinessDay(day) : day.getUTCDay() === weekday;
+  const daysInMonth = new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+
+  const days = [];
+  for (let date = 1; date <= daysInMonth; date++) {
+    const day = new Date(Date.UTC(year, month, date));
+    if (matches(day)) {
+      days.push(day);
+    }
+  }
+
+  return (n === -1 ? days[days.length - 1] : days[n - 1]) || null;
+}
+
+// e.g. "Sun-Thu"
+function describeWorkweek() {
+  const name = (day) => DAY_NAMES[day].substring(0, 3);
+  const contiguous = WORKWEEK.every((day, i) => i === 0 || day === WORKWEEK[i - 1] + 1);
+  return contiguous && WORKWEEK.length > 2
+    ? `${name(WORKWEEK[0])}-${name(WORKWEEK[WORKWEEK.length - 1])}`
+    : WORKWEEK.map(name).join(', ');
+}
+
+// Calendar expressions, which chrono doesn't understand:
+//   in 2 business days, in 3 working days, after 1 workday
+//   next workday, next business day
+//   end of month, by the end of next month            (the last business day)
+//   first Sunday of next month, last workday of the month, 2nd Tuesday of March
+// each optionally followed by "at 9", "at 14:30" or "at 5pm".
+// Like hebrewTime.js, parsing works on naive wall-clock times.
+
+const NUMBER_WORDS = {
+  a: 1, an: 1, one: 1, two: 2, three: 3, four: 4, five: 5,
+  six: 6, seven: 7, eight: 8, nine: 9, ten: 10
+};
+const ORDINALS = {
+  first: 1, '1st': 1, second: 2, '2nd': 2, third: 3, '3rd': 3,
+  fourth: 4, '4th': 4, fifth: 5, '5th': 5, last: -1
+};
+const MONTH_NAMES = ['january', 'february', 'march', 'april', 'may', 'june', 'july',
+  'august', 'september', 'october', 'november', 'december'];
+
+const BUSINESS_DAY = '(?:(?:business|working|work)\\s*days?|workdays?)';
+const WEEKDAY = '(?:sun|mon|tue|tues|wed|wednes|thu|thur|thurs|fri|sat|satur)(?:day)?';
+// "first Sunday", "last workday", "2nd business day" - read with parseNthDay
+const NTH_DAY_PATTERN = `([a-z0-9]+)\\s+(${BUSINESS_DAY}|${WEEKDAY})`;
+const MONTH_REF = '(?:(?:(this|next|the)\\s+)?month|([a-z]{3,}))';
+
+const CALENDAR_PATTERNS = [
+  { type: 'businessDays', regex: new RegExp(`^(?:in|after)\\s+(\\d+|[a-z]+)\\s+${BUSINESS_DAY}\\b(?:\\s+from\\s+now\\b)?`, 'i') },
+  { type: 'nextBusinessDay', regex: new RegExp(`^(?:on\\s+)?(?:the\\s+)?next\\s+${BUSINESS_DAY}\\b`, 'i') },
+  { type: 'endOfMonth', regex: /^(?:(?:at|by|on)\s+)?(?:the\s+)?end\s+of\s+(?:(this|next|the)\s+)?month\b/i },
+  { type: 'nthDay', regex: new RegExp(`^(?:on\\s+)?(?:the\\s+)?${NTH_DAY_PATTERN}\\s+of\\s+${MONTH_REF}\\b`, 'i') }
+];
+
+const AT_TIME_PATTERN = /^\s+at\s+(\d{1,2})(?::(\d{2}))?(?:\s*(am|pm))?\b/i;
+
+// Used when no time is given ("next workday")
+const DEFAULT_HOUR = 9;
+
+// ("first", "sunday") → { n: 1, weekday: 0 }, ("last", "workday") → { n: -1, weekday: 'workday' }, or null
+function parseNthDay(ordinal, dayWord) {
+  const n = ORDINALS[ordinal.toLowerCase()];
+  const weekday = new RegExp(`^${BUSINESS_DAY}$`, 'i').test(dayWord)
+    ? 'workday'
+    : DAY_PREFIXES.indexOf(dayWord.toLowerCase().substring(0, 3));
+  return n && weekday !== -1 ? { n, weekday } : null;
+}
+
+// { n: 1, weekday: 0 } → "first Sunday", { n: -1, weekday: 'workday' } → "last business day"
+function describeNthDay(n, weekday) {
+  const ordinal = n === -1 ? 'last' : Object.keys(ORDINALS).find(word => ORDINALS[word] === n);
+  if (weekday === 'workday') {
+    return `${ordinal} business day`;
+  }
+  return `${ordinal} ${DAY_NAMES[weekday]}`;
+}
+
+function parseMonthName(name) {
+  return MONTH_NAMES.findIndex(month => month.startsWith(name.toLowerCase()));
+}
+
+// " at 9", " at 14:30", " at 5pm" → { hour, minute, length } or null
+function parseAtTime(text) {
+  const match = text.match(AT_TIME_PATTERN);
+  if (!match) {
+    return null;
+  }
+
+  let hour = parseInt(match[1]);
+  const minute = match[2] ? parseInt(match[2]) : 0;
+  const meridiem = (match[3] || '').toLowerCase();
+  if (meridiem && (hour < 1 || hour > 12)) {
+    return null;
+  }
+  if (meridiem === 'pm' && hour < 12) {
+    hour += 12;
+  } else if (meridiem === 'am' && hour === 12) {
+    hour = 0;
+  }
+  if (hour > 23 || minute > 59) {
+    return null;
+  }
+  return { hour, minute, length: match[0].length };
+}
+
+// The months an expression may fall in, in order: "next month" is only next month,
+// "this month" / "the month" roll over to next month once the day has passed,
+// a month name to the same month next year
+function getCandidateMonths(localNow, which, monthName) {
+  const year = localNow.getUTCFullYear();
+  const month = localNow.getUTCMonth();
+
+  if (monthName) {
+    const named = parseMonthName(monthName);
+    if (named === -1) {
+      return null;
+    }
+    const namedYear = named < month ? year + 1 : year;
+    return [{ year: namedYear, month: named }, { year: namedYear + 1, month: named }];
+  }
+  if (which && which.toLowerCase() === 'next') {
+    return [{ year, month: month + 1 }];
+  }
+  return [{ year, month }, { year, month: month + 1 }];
+}
+
+// Parse a calendar expression at the start of text.
+// Returns { length, isRelativeTime, localTime } or null.
+function parseCalendarTime(text, localNow) {
+  for (const pattern of CALENDAR_PATTERNS) {
+    const match = text.match(pattern.regex);
+    if (!match) {
+      continue;
+    }
+
+    const time = parseAtTime(text.substring(match[0].length));
+    const length = match[0].length + (time ? time.length : 0);
+    const at = (day, hour, minute) => new Date(Date.UTC(
+      day.getUTCFullYear(), day.getUTCMonth(), day.getUTCDate(), hour, minute
+    ));
+    const today = addDays(localNow, 0);
+
+    // First candidate day whose time is still ahead
+    const firstAhead = (days) => {
+      for (const day of days) {
+        const localTime = day && at(day, time ? time.hour : DEFAULT_HOUR, time ? time.minute : 0);
+        if (localTime && localTime > localNow) {
+          return { length, isRelativeTime: false, localTime };
+        }
+      }
+      return null;
+    };
+
+    switch (pattern.type) {
+      case 'businessDays': {
+        const count = /^\d+$/.test(match[1]) ? parseInt(match[1]) : NUMBER_WORDS[match[1].toLowerCase()];
+        const day = count ? addBusinessDays(today, count) : null;
+        if (!day) {
+          return null;
+        }
+        // Like "in 2 days", keep the current time of day unless a time is given
+        return {
+          length,
+          isRelativeTime: false,
+          localTime: at(day, time ? time.hour : localNow.getUTCHours(), time ? time.minute : localNow.getUTCMinutes())
+        };
+      }
+      case 'nextBusinessDay':
+        return firstAhead([addBusinessDays(today, 1)]);
+      case 'endOfMonth': {
+        const months = getCandidateMonths(localNow, match[1]);
+        return firstAhead(months.map(({ year, month }) => getNthDayOfMonth(year, month, -1, 'workday')));
+      }
+      case 'nthDay': {
+        const nthDay = parseNthDay(match[1], match[2]);
+        const months = getCandidateMonths(localNow, match[3], match[4]);
+        if (!nthDay || !months) {
+          return null;
+        }
+        return firstAhead(months.map(({ year, month }) => getNthDayOfMonth(year, month, nthDay.n, nthDay.weekday)));
+      }
+    }
+  }
+
+  return null;
+}
+
+module.exports = {
+  getWorkweek,
+  describeWorkweek,
+  getHoliday,
+  isBusinessDay,
+  addDays,
+  addBusinessDays,
+  getNthDayOfMonth,
+  NTH_DAY_PATTERN,
+  parseNthDay,
+  describeNthDay,
+  parseCalendarTime
+};
@@ -0,0 +1,150 @@
+const { sendMessageToSelf } = require('./whatsappClient');
+
+// Registry of slash commands. Each command declares:
+//   name        - the word after the slash, e.g. 'move' for /move
+//   aliases     - other words that run it (optional)
+//   syntax      - its arguments as shown in /help, e.g. '[id] [time]' (optional)
+//   description - one line for /help
+//   examples    - full commands shown by /help [command] (optional)
+//   handler     - async ({ message, messageBody, chat, chatId, userPhone, isCommandChat, name, args }) => ...
+// Messages are dispatched on their first word, so /sendnow never runs /send. /help and the
+// "did you mean" suggestions for unknown commands are generated from the registry.
+
+const MAX_SUGGESTION_DISTANCE = 2;
+const MAX_SUGGESTIONS = 3;
+
+const commands = [];
+const commandsByName = new Map();
+
+function registerCommand(command) {
+  const names = [command.name, ...(command.aliases || [])];
+  for (const name of names) {
+    if (commandsByName.has(name)) {
+      throw new Error(`Command /${name} is already registered`);
+    }
+  }
+
+  const registered = { aliases: [], syntax: '', examples: [], ...command };
+  commands.push(registered);
+  names.forEach(name => commandsByName.set(name, registered));
+  return registered;
+}
+
+// "/Move 5 at 9" → { name: 'move', args: '5 at 9' }, or null if it isn't a slash command
+function parseCommand(text) {
+  const match = (text || '').trim().match(/^\/(\S+)\s*([\s\S]*)$/);
+  return match ? { name: match[1].toLowerCase(), args: match[2] } : null;
+}
+
+// A command by its name or one of its aliases, with or without the slash
+function findCommand(name) {
+  return commandsByName.get(name.replace(/^\//, '').toLowerCase()) || null;
+}
+
+// Edit distance between two words (insertions, deletions and substitutions)
+function getDistance(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+    }
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+// Commands whose name or alias is a typo of `name` or starts with it, closest first.
+// Short words allow fewer typos, so "/x" doesn't suggest every two-letter command.
+function suggestCommands(name) {
+  const maxDistance = Math.min(MAX_SUGGESTION_DISTANCE, Math.floor(name.length / 2));
+  const scored = new Map();
+  for (const [candidate, command] of commandsByName) {
+    const distance = candidate.startsWith(name) ? 0 : getDistance(name, candidate);
+    if (distance <= maxDistance && (!scored.has(command) || distance < scored.get(command))) {
+      scored.set(command, distance);
+    }
+  }
+  return Array.from(scored.entries())
+    .sort((a, b) => a[1] - b[1])
+    .slice(0, MAX_SUGGESTIONS)
+    .map(([command]) => command);
+}
+
+function describeUsage(command) {
+  return command.syntax ? `/${command.name} ${command.syntax}` : `/${command.name}`;
+}
+
+// Every command with its syntax and description, for /help
+function describeHelp() {
+  let text = '📖 *Commands*\n\n';
+  for (const command of commands) {
+    text += `• \`${describeUsage(command)}\`\n   ${command.description}\n`;
+  }
+  return text + '\n💡 /help [command] for details and examples, e.g. /help send';
+}
+
+function describeUnknownCommand(name) {
+  const suggestions = suggestCommands(name);
+  const hint = suggestions.length > 0
+    ? `\n\nDid you mean ${suggestions.map(command => `/${command.name}`).join(' or ')}?`
+    : '';
+  return `❓ Unknown command /${name}${hint}\n\n💡 Send /help to see all commands`;
+}
+
+// One command in detail, for /help [command]
+function describeCommandHelp(name) {
+  const command = findCommand(name);
+  if (!command) {
+    return describeUnknownCommand(name.replace(/^\//, '').toLowerCase());
+  }
+
+  let text = `📖 *${describeUsage(command)}*\n\n${command.description}\n`;
+  if (command.aliases.length > 0) {
+    text += `\n🔀 Also: ${command.aliases.map(alias => `/${alias}`).join(', ')}\n`;
+  }
+  if (command.examples.length > 0) {
+    text += `\n📝 *Examples:*\n${command.examples.map(example => `• ${example}`).join('\n')}\n`;
+  }
+  return text.trimEnd();
+}
+
+// Run the command a message starts with. Resolves with false if the message isn't a slash
+// command; unknown commands are answered with suggestions, but only in self-chat or the
+// dedicated group (context.isCommandChat), not in a chat with someone else.
+async function dispatchCommand(messageBody, context) {
+  const parsed = parseCommand(messageBody);
+  if (!parsed) {
+    return false;
+  }
+
+  const command = findCommand(parsed.name);
+  if (!command) {
+    if (context.isCommandChat) {
+      await sendMessageToSelf(describeUnknownCommand(parsed.name));
+    }
+    return true;
+  }
+
+  // Handlers parse the whole message, so an alias is handed over as the command's own name
+  await command.handler({
+    ...context,
+    messageBody: messageBody.trim().replace(/^\/\S+/, `/${command.name}`),
+    name: command.name,
+    args: parsed.args
+  });
+  return true;
+}
+
+module.exports = {
+  registerCommand,
+  findCommand,
+  suggestCommands,
+  describeHelp,
+  describeCommandHelp,
+  dispatchCommand
+};
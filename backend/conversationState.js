@@ -0,0 +1,95 @@
+const crypto = require('crypto');
+const {
+  getConversationState,
+  findConversationStates,
+  setConversationState,
+  addConversationState,
+  deleteConversationState,
+  countConversationStates,
+  deleteExpiredConversationState
+} = require('./database');
+
+// Conversational state kept in the database instead of in memory, so a restart between
+// forwarding a message and sending /reply (or picking a contact) loses nothing, and
+// memory stays bounded. Every entry expires after its scope's TTL; sweepExpiredState
+// removes expired rows.
+
+const MINUTE = 60 * 1000;
+
+const STATE_TTL = {
+  forwarded: 3 * 60 * MINUTE, // the last forwarded message per chat and who sent it
+  contacts: 5 * MINUTE, // recent contacts list, numbered for /reply [number]
+  dialog: 24 * 60 * MINUTE, // what each chat is waiting for (dialogs time out sooner, see dialog.js)
+  incoming: 3 * 60 * MINUTE, // who sent which text, to find the original sender of a forward
+  processed: 60 * MINUTE // message ids already handled, to skip duplicate events
+};
+
+// A Map-like view of one scope (async get/set/delete). revive restores values JSON
+// doesn't keep, such as Dates.
+function createStateMap(scope, revive = (value) => value) {
+  return {
+    async get(key) {
+      const value = await getConversationState(scope, key);
+      return value === null ? undefined : revive(value);
+    },
+    set(key, value) {
+      return setConversationState(scope, key, value, STATE_TTL[scope]);
+    },
+    delete(key) {
+      return deleteConversationState(scope, key);
+    }
+  };
+}
+
+// Record a message id as handled. Resolves with false if it was already handled.
+function markMessageProcessed(messageId) {
+  return addConversationState('processed', messageId, true, STATE_TTL.processed);
+}
+
+// Texts are looked up by hash, so keys stay short whatever the message length
+function hashText(text) {
+  return crypto.createHash('sha1').update(text).digest('hex');
+}
+
+// Remember who sent a text (one entry per sender, the latest time wins)
+function cacheIncomingMessage(messageBody, senderId, senderName, chatName, timestamp) {
+  if (!messageBody || messageBody.trim().length === 0) {
+    return Promise.resolve(0); // Don't cache empty messages
+  }
+  return setConversationState('incoming', `${hashText(messageBody)}:${senderId}`, {
+    senderId,
+    senderName,
+    chatName,
+    timestamp
+  }, STATE_TTL.incoming);
+}
+
+// Everyone who recently sent exactly this text
+function searchCachedMessages(messageBody) {
+  return findConversationStates('incoming', `${hashText(messageBody)}:`);
+}
+
+function countCachedMessages() {
+  return countConversationStates('incoming');
+}
+
+async function sweepExpiredState() {
+  try {
+    const removed = await deleteExpiredConversationState();
+    if (removed > 0) {
+      console.log(`Removed ${removed} expired conversation state entries`);
+    }
+  } catch (error) {
+    console.error('Error sweeping conversation state:', error.message);
+  }
+}
+
+module.exports = {
+  STATE_TTL,
+  createStateMap,
+  markMessageProcessed,
+  cacheIncomingMessage,
+  searchCachedMessages,
+  countCachedMessages,
+  sweepExpiredState
+};
@@ -1,10 +1,101 @@
 const sqlite3 = require('sqlite3').verbose();
 const path = require('path');
+const EventEmitter = require('events');
 
 // Use DATABASE_PATH env var if set (for Railway volumes), otherwise use local path
 const dbPath = process.env.DATABASE_PATH || path.join(__dirname, 'scheduled.db');
 const db = new sqlite3.Database(dbPath);
 
+// Emits 'changed' (with the new scheduled time when known) whenever a message is
+// inserted, rescheduled or changes status, so the scheduler can re-arm its timer
+const scheduleEvents = new EventEmitter();
+
+function notifyScheduleChanged(scheduledTime = null) {
+  scheduleEvents.emit('changed', scheduledTime);
+}
+
+// Message lifecycle - every status change must follow one of these transitions:
+//   pending → sending (claimed for sending) | cancelled
+//   sending → sent | failed | pending (retry / released claim) | held | missed (catch-up policy)
+//   held    → pending (/catchup send) | missed (/catchup skip) | cancelled
+//   failed  → pending (/retry)
+//   sent, cancelled and missed are final
+const STATUS_TRANSITIONS = {
+  pending: ['sending', 'cancelled'],
+  sending: ['sent', 'failed', 'pending', 'held', 'missed'],
+  held: ['pending', 'missed', 'cancelled'],
+  failed: ['pending'],
+  sent: [],
+  cancelled: [],
+  missed: []
+};
+
+const STATUS_DESCRIPTIONS = {
+  pending: 'still pending',
+  sending: 'being sent right now',
+  sent: 'already sent',
+  failed: 'marked as failed',
+  cancelled: 'already cancelled',
+  held: 'held for confirmation',
+  missed: 'marked as missed'
+};
+
+const TRANSITION_ACTIONS = {
+  pending: 'queued again',
+  sending: 'sent',
+  sent: 'marked as sent',
+  failed: 'marked as failed',
+  cancelled: 'cancelled',
+  held: 'held',
+  missed: 'skipped'
+};
+
+function canTransition(from, to) {
+  return (STATUS_TRANSITIONS[from] || []).includes(to);
+}
+
+// Statuses a message may currently have to move to the given status
+function getSourceStatuses(status) {
+  return Object.keys(STATUS_TRANSITIONS).filter(from => canTransition(from, status));
+}
+
+// "status IN (?, ?)" clause and its parameters for rows allowed to move to the given status
+function sourceStatusClause(status) {
+  const sources = getSourceStatuses(status);
+  return { sql: `status IN (${sources.map(() => '?').join(', ')})`, params: sources };
+}
+
+// Rows that bulk cancellations (series, batch, recipient, reply) may touch
+const CANCELLABLE = sourceStatusClause('cancelled');
+
+// Error for a rejected status change, worded for the user
+function statusTransitionError(id, row, status) {
+  if (!row) {
+    const error = new Error(`Message ${id} not found`);
+    error.code = 'MESSAGE_NOT_FOUND';
+    return error;
+  }
+  const error = new Error(`Message ${id} is ${STATUS_DESCRIPTIONS[row.status] || row.status} and can't be ${TRANSITION_ACTIONS[status] || status}`);
+  error.code = 'INVALID_STATUS_TRANSITION';
+  return error;
+}
+
+// Reject with the reason a guarded status update changed nothing
+function rejectTransition(id, status, reject) {
+  db.get(`SELECT * FROM scheduled_messages WHERE id = ?`, [id], (err, row) => {
+    reject(err || statusTransitionError(id, row, status));
+  });
+}
+
+// Add a column to an existing table, ignoring the error if it is already there
+function addColumnIfMissing(table, column, definition) {
+  db.run(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`, (err) => {
+    if (err && !err.message.includes('duplicate column')) {
+      console.error(`Error adding column ${table}.${column}:`, err.message);
+    }
+  });
+}
+
 // Initialize database schema
 function initDatabase() {
   db.serialize(() => {
@@ -18,38 +109,191 @@ function initDatabase() {
         status TEXT NOT NULL DEFAULT 'pending',
         created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
         updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-        error_message TEXT
+        error_message TEXT,
+        recurrence TEXT,
+        series_id INTEGER,
+        attempts INTEGER NOT NULL DEFAULT 0,
+        next_attempt_at DATETIME,
+        claimed_by TEXT,
+        claimed_at DATETIME,
+        dispatched_at DATETIME,
+        late_tolerance_minutes INTEGER,
+        late_approved INTEGER NOT NULL DEFAULT 0,
+        quoted_message_id TEXT,
+        media_path TEXT,
+        media_mimetype TEXT,
+        media_filename TEXT,
+        media_type TEXT,
+        sent_message_id TEXT,
+        ack INTEGER,
+        ack_server_at DATETIME,
+        ack_delivered_at DATETIME,
+        ack_read_at DATETIME,
+        ack_played_at DATETIME,
+        cancel_on_reply INTEGER NOT NULL DEFAULT 0,
+        batch_id INTEGER,
+        template_name TEXT,
+        template_args TEXT,
+        heads_up_minutes INTEGER,
+        heads_up_sent_at DATETIME
+      )
+    `);
+
+    // Message templates for /template
+    db.run(`
+      CREATE TABLE IF NOT EXISTS templates (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        name TEXT NOT NULL UNIQUE COLLATE NOCASE,
+        body TEXT NOT NULL,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    // Allowed-sending windows for /window (recipient '*' is the global window)
+    db.run(`
+      CREATE TABLE IF NOT EXISTS sending_windows (
+        recipient TEXT PRIMARY KEY,
+        recipient_name TEXT,
+        rule TEXT NOT NULL,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    // Timezones for /tz (recipient '*' is the global default)
+    db.run(`
+      CREATE TABLE IF NOT EXISTS timezones (
+        recipient TEXT PRIMARY KEY,
+        recipient_name TEXT,
+        timezone TEXT NOT NULL,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    // Global preferences set from chat (e.g. /confirm, /headsup)
+    db.run(`
+      CREATE TABLE IF NOT EXISTS settings (
+        key TEXT PRIMARY KEY,
+        value TEXT NOT NULL,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    // Shabbat and holiday deferral for /shabbat (recipient '*' is the global setting)
+    db.run(`
+      CREATE TABLE IF NOT EXISTS shabbat_settings (
+        recipient TEXT PRIMARY KEY,
+        recipient_name TEXT,
+        mode TEXT NOT NULL,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    // Conversational state that must survive restarts (forwarded senders, pending selections...);
+    // value is JSON, rows past expires_at are ignored and swept
+    db.run(`
+      CREATE TABLE IF NOT EXISTS conversation_state (
+        scope TEXT NOT NULL,
+        key TEXT NOT NULL,
+        value TEXT NOT NULL,
+        expires_at DATETIME NOT NULL,
+        PRIMARY KEY (scope, key)
+      )
+    `);
+
+    // Named recipient lists for /group (members is a JSON array of { id, name })
+    db.run(`
+      CREATE TABLE IF NOT EXISTS recipient_lists (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        name TEXT NOT NULL UNIQUE COLLATE NOCASE,
+        members TEXT NOT NULL,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
       )
     `);
 
+    // Add columns introduced after the initial schema to existing databases
+    addColumnIfMissing('scheduled_messages', 'recurrence', 'TEXT');
+    addColumnIfMissing('scheduled_messages', 'series_id', 'INTEGER');
+    addColumnIfMissing('scheduled_messages', 'attempts', 'INTEGER NOT NULL DEFAULT 0');
+    addColumnIfMissing('scheduled_messages', 'next_attempt_at', 'DATETIME');
+    addColumnIfMissing('scheduled_messages', 'claimed_by', 'TEXT');
+    addColumnIfMissing('scheduled_messages', 'claimed_at', 'DATETIME');
+    addColumnIfMissing('scheduled_messages', 'dispatched_at', 'DATETIME');
+    addColumnIfMissing('scheduled_messages', 'late_tolerance_minutes', 'INTEGER');
+    addColumnIfMissing('scheduled_messages', 'late_approved', 'INTEGER NOT NULL DEFAULT 0');
+    addColumnIfMissing('scheduled_messages', 'quoted_message_id', 'TEXT');
+    addColumnIfMissing('scheduled_messages', 'media_path', 'TEXT');
+    addColumnIfMissing('scheduled_messages', 'media_mimetype', 'TEXT');
+    addColumnIfMissing('scheduled_messages', 'media_filename', 'TEXT');
+    addColumnIfMissing('scheduled_messages', 'media_type', 'TEXT');
+    addColumnIfMissing('scheduled_messages', 'sent_message_id', 'TEXT');
+    addColumnIfMissing('scheduled_messages', 'ack', 'INTEGER');
+    addColumnIfMissing('scheduled_messages', 'ack_server_at', 'DATETIME');
+    addColumnIfMissing('scheduled_messages', 'ack_delivered_at', 'DATETIME');
+    addColumnIfMissing('scheduled_messages', 'ack_read_at', 'DATETIME');
+    addColumnIfMissing('scheduled_messages', 'ack_played_at', 'DATETIME');
+    addColumnIfMissing('scheduled_messages', 'cancel_on_reply', 'INTEGER NOT NULL DEFAULT 0');
+    addColumnIfMissing('scheduled_messages', 'batch_id', 'INTEGER');
+    addColumnIfMissing('scheduled_messages', 'template_name', 'TEXT');
+    addColumnIfMissing('scheduled_messages', 'template_args', 'TEXT');
+    addColumnIfMissing('scheduled_messages', 'heads_up_minutes', 'INTEGER');
+    addColumnIfMissing('scheduled_messages', 'heads_up_sent_at', 'DATETIME');
+    addColumnIfMissing('scheduled_messages', 'slot_time', 'DATETIME');
+
     // Create index for faster queries
     db.run(`
       CREATE INDEX IF NOT EXISTS idx_status_time
       ON scheduled_messages(status, scheduled_time)
     `);
+
+    // Receipts are matched by the WhatsApp id of the sent message
+    db.run(`
+      CREATE INDEX IF NOT EXISTS idx_sent_message_id
+      ON scheduled_messages(sent_message_id)
+    `);
   });
 
   console.log('Database initialized at:', dbPath);
 }
 
 // Save a scheduled message
-function saveScheduledMessage(recipient, recipientName, message, scheduledTime) {
+// options.recurrence - recurrence rule (object or JSON string) for repeating messages
+// options.seriesId - id of the first message in the series (defaults to the new row's own id)
+// options.quotedMessageId - serialized id of the message to send this as a reply to
+// options.media - { path, mimetype, filename, type } of stored media to send, with message as caption
+// options.cancelOnReply - cancel the message if the recipient writes to me before it is sent
+// options.batchId - id of the first message of a broadcast to several recipients
+// options.template - { name, args } when message is a template body whose placeholders are filled in at send time
+function saveScheduledMessage(recipient, recipientName, message, scheduledTime, options = {}) {
   return new Promise((resolve, reject) => {
-    // Always convert to ISO string for consistent storage and comparison
-    const scheduledTimeISO = scheduledTime instanceof Date
-      ? scheduledTime.toISOString()
-      : new Date(scheduledTime).toISOString();
+    const values = getInsertValues(recipient, recipientName, message, scheduledTime, options);
+    const scheduledTimeISO = values.scheduled_time;
+    const recurrence = values.recurrence;
 
-    const stmt = db.prepare(`
-      INSERT INTO scheduled_messages (recipient, recipient_name, message, scheduled_time)
-      VALUES (?, ?, ?, ?)
-    `);
+    const stmt = db.prepare(getInsertSql(Object.keys(values)));
 
-    stmt.run(recipient, recipientName, message, scheduledTimeISO, function(err) {
+    stmt.run(...Object.values(values), function(err) {
       if (err) {
         reject(err);
+        return;
+      }
+
+      const id = this.lastID;
+
+      // The first message of a new series is the series id
+      if (recurrence && !options.seriesId) {
+        db.run(`UPDATE scheduled_messages SET series_id = ? WHERE id = ?`, [id, id], (updateErr) => {
+          if (updateErr) {
+            reject(updateErr);
+          } else {
+            notifyScheduleChanged(new Date(scheduledTimeISO));
+            resolve(id);
+          }
+        });
       } else {
-        resolve(this.lastID);
+        notifyScheduleChanged(new Date(scheduledTimeISO));
+        resolve(id);
       }
     });
 
@@ -57,15 +301,184 @@ function saveScheduledMessage(recipient, recipientName, message, scheduledTime)
   });
 }
 
-// Get pending messages that should be sent now
-function getPendingMessages() {
+// Column values of a new scheduled_messages row (see saveScheduledMessage for the options)
+function getInsertValues(recipient, recipientName, message, scheduledTime, options) {
+  const media = options.media || {};
+  const template = options.template || null;
+
+  return {
+    recipient,
+    recipient_name: recipientName,
+    message,
+    // Always convert to ISO string for consistent storage and comparison
+    scheduled_time: new Date(scheduledTime).toISOString(),
+    recurrence: options.recurrence
+      ? (typeof options.recurrence === 'string' ? options.recurrence : JSON.stringify(options.recurrence))
+      : null,
+    series_id: options.seriesId || null,
+    quoted_message_id: options.quotedMessageId || null,
+    media_path: media.path || null,
+    media_mimetype: media.mimetype || null,
+    media_filename: media.filename || null,
+    media_type: media.type || null,
+    cancel_on_reply: options.cancelOnReply ? 1 : 0,
+    batch_id: options.batchId || null,
+    template_name: template ? template.name : null,
+    template_args: template ? JSON.stringify(template.args || {}) : null
+  };
+}
+
+function getInsertSql(columns) {
+  return `INSERT INTO scheduled_messages (${columns.join(', ')}) VALUES (${columns.map(() => '?').join(', ')})`;
+}
+
+// batch_id of rows saveBatchMessages is still inserting
+const NEW_BATCH_ID = -1;
+
+// Batches are saved one at a time: a second BEGIN on the shared connection would fail, and its
+// rows would end up in (and be rolled back with) the first batch's transaction
+let batchSaveQueue = Promise.resolve();
+
+// Save one message for each of several recipients ({ id, name, scheduledTime? }) as a batch, all or nothing.
+// A recipient's own scheduledTime (their timezone's wall-clock time) overrides scheduledTime.
+// The first row's id becomes the batch id. Resolves with { batchId, ids }; if any row fails
+// the transaction is rolled back, and the promise rejects once nothing of the batch is left.
+function saveBatchMessages(recipients, message, scheduledTime, options = {}) {
+  const saved = batchSaveQueue.then(() => insertBatch(recipients, message, scheduledTime, options));
+  batchSaveQueue = saved.catch(() => {});
+  return saved;
+}
+
+function insertBatch(recipients, message, scheduledTime, options) {
+  return new Promise((resolve, reject) => {
+    const ids = [];
+    let failure = null;
+    const track = (err) => {
+      failure = failure || err;
+    };
+    const trackInsert = function(err) {
+      if (err) {
+        track(err);
+      } else {
+        ids.push(this.lastID);
+      }
+    };
+
+    const rollback = (error) => {
+      db.run('ROLLBACK', (rollbackError) => {
+        if (rollbackError) {
+          console.error('Error rolling back batch:', rollbackError.message);
+        }
+        reject(error);
+      });
+    };
+
+    // Decided once every row is in: nothing is committed unless all of them made it
+    const finish = () => {
+      if (failure) {
+        rollback(failure);
+        return;
+      }
+      db.run('COMMIT', (err) => {
+        if (err) {
+          rollback(err);
+          return;
+        }
+        const times = recipients.map(recipient => new Date(recipient.scheduledTime || scheduledTime).getTime());
+        notifyScheduleChanged(new Date(Math.min(...times)));
+        resolve({ batchId: ids[0], ids });
+      });
+    };
+
+    // The rows are inserted with a placeholder batch id that is replaced by the first row's id
+    // before the transaction commits, so nothing outside it ever sees them without their batch
+    const rows = recipients.map(recipient => getInsertValues(recipient.id, recipient.name, message, recipient.scheduledTime || scheduledTime, {
+      ...options,
+      batchId: NEW_BATCH_ID,
+      // "Unless reply" only applies to contacts, see cancelNudgesOnReply
+      cancelOnReply: options.cancelOnReply && !recipient.id.endsWith('@g.us')
+    }));
+
+    db.serialize(() => {
+      db.run('BEGIN', track);
+      for (const values of rows) {
+        db.run(getInsertSql(Object.keys(values)), Object.values(values), trackInsert);
+      }
+      db.run(
+        `UPDATE scheduled_messages SET batch_id = (SELECT MIN(id) FROM scheduled_messages WHERE batch_id = ?)
+         WHERE batch_id = ?`,
+        [NEW_BATCH_ID, NEW_BATCH_ID],
+        (err) => {
+          track(err);
+          finish();
+        }
+      );
+    });
+  });
+}
+
+// Get the time the earliest pending message is due (taking retry backoff into account)
+function getNextDueTime() {
+  return new Promise((resolve, reject) => {
+    db.get(
+      `SELECT MIN(
+         CASE WHEN next_attempt_at IS NOT NULL AND next_attempt_at > scheduled_time
+              THEN next_attempt_at ELSE scheduled_time END
+       ) as due
+       FROM scheduled_messages
+       WHERE status = 'pending'`,
+      (err, row) => {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(row && row.due ? new Date(row.due) : null);
+        }
+      }
+    );
+  });
+}
+
+// Pending messages still owed a heads-up, and the time it is due. A message's own
+// heads_up_minutes wins over the default; messages scheduled or changed after their
+// heads-up time (e.g. snoozed, or due sooner than the heads-up) don't get one.
+const HEADS_UP_MINUTES_SQL = `COALESCE(heads_up_minutes, ?)`;
+const HEADS_UP_TIME_SQL = `datetime(scheduled_time, '-' || ${HEADS_UP_MINUTES_SQL} || ' minutes')`;
+const HEADS_UP_OWED_SQL = `status = 'pending' AND heads_up_sent_at IS NULL
+         AND ${HEADS_UP_MINUTES_SQL} > 0
+         AND datetime(scheduled_time) > datetime(?)
+         AND datetime(updated_at) < ${HEADS_UP_TIME_SQL}`;
+
+// Get the time the earliest heads-up is due (defaultMinutes applies to messages without their own)
+function getNextHeadsUpTime(defaultMinutes) {
+  return new Promise((resolve, reject) => {
+    const now = new Date().toISOString();
+    db.get(
+      `SELECT MIN(${HEADS_UP_TIME_SQL}) as due
+       FROM scheduled_messages
+       WHERE ${HEADS_UP_OWED_SQL}`,
+      [defaultMinutes, defaultMinutes, now, defaultMinutes],
+      (err, row) => {
+        if (err) {
+          reject(err);
+        } else {
+          // datetime() gives "YYYY-MM-DD HH:MM:SS" in UTC
+          resolve(row && row.due ? new Date(`${row.due.replace(' ', 'T')}Z`) : null);
+        }
+      }
+    );
+  });
+}
+
+// Get pending messages whose heads-up should be sent now
+function getDueHeadsUps(defaultMinutes) {
   return new Promise((resolve, reject) => {
     const now = new Date().toISOString();
     db.all(
-      `SELECT * FROM scheduled_messages
-       WHERE status = 'pending' AND datetime(scheduled_time) <= datetime(?)
+      `SELECT *, ${HEADS_UP_MINUTES_SQL} as heads_up_lead
+       FROM scheduled_messages
+       WHERE ${HEADS_UP_OWED_SQL} AND ${HEADS_UP_TIME_SQL} <= datetime(?)
        ORDER BY scheduled_time ASC`,
-      [now],
+      [defaultMinutes, defaultMinutes, now, defaultMinutes, defaultMinutes, now],
       (err, rows) => {
         if (err) {
           reject(err);
@@ -77,19 +490,41 @@ function getPendingMessages() {
   });
 }
 
-// Update message status
-function updateMessageStatus(id, status, errorMessage = null) {
+// Record that a message's heads-up went out. Resolves with the claim time if this call
+// claimed it (null if another instance already did), for clearHeadsUpSent.
+function markHeadsUpSent(id) {
   return new Promise((resolve, reject) => {
     const now = new Date().toISOString();
     db.run(
       `UPDATE scheduled_messages
-       SET status = ?, updated_at = ?, error_message = ?
-       WHERE id = ?`,
-      [status, now, errorMessage, id],
+       SET heads_up_sent_at = ?
+       WHERE id = ? AND status = 'pending' AND heads_up_sent_at IS NULL`,
+      [now, id],
+      function(err) {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(this.changes > 0 ? now : null);
+        }
+      }
+    );
+  });
+}
+
+// Give up a heads-up claim whose message couldn't be sent, so the next pass tries again.
+// Only the claim made at sentAt is cleared, never a newer one.
+function clearHeadsUpSent(id, sentAt) {
+  return new Promise((resolve, reject) => {
+    db.run(
+      `UPDATE scheduled_messages
+       SET heads_up_sent_at = NULL
+       WHERE id = ? AND heads_up_sent_at = ?`,
+      [id, sentAt],
       (err) => {
         if (err) {
           reject(err);
         } else {
+          notifyScheduleChanged();
           resolve();
         }
       }
@@ -97,13 +532,16 @@ function updateMessageStatus(id, status, errorMessage = null) {
   });
 }
 
-// Get all scheduled messages
-function getAllScheduledMessages() {
+// Get pending messages that should be sent now
+function getPendingMessages() {
   return new Promise((resolve, reject) => {
+    const now = new Date().toISOString();
     db.all(
       `SELECT * FROM scheduled_messages
-       ORDER BY scheduled_time DESC
-       LIMIT 100`,
+       WHERE status = 'pending' AND datetime(scheduled_time) <= datetime(?)
+         AND (next_attempt_at IS NULL OR datetime(next_attempt_at) <= datetime(?))
+       ORDER BY scheduled_time ASC`,
+      [now, now],
       (err, rows) => {
         if (err) {
           reject(err);
@@ -115,13 +553,15 @@ function getAllScheduledMessages() {
   });
 }
 
-// Get all pending messages (regardless of scheduled time) for the /show command
-function getAllPendingMessages() {
+// Get pending messages due from start (inclusive) to end (exclusive), for the agenda views
+function getPendingMessagesBetween(start, end) {
   return new Promise((resolve, reject) => {
     db.all(
       `SELECT * FROM scheduled_messages
        WHERE status = 'pending'
+         AND datetime(scheduled_time) >= datetime(?) AND datetime(scheduled_time) < datetime(?)
        ORDER BY scheduled_time ASC`,
+      [new Date(start).toISOString(), new Date(end).toISOString()],
       (err, rows) => {
         if (err) {
           reject(err);
@@ -133,6 +573,1129 @@ function getAllPendingMessages() {
   });
 }
 
+// Update message status - rejects with MESSAGE_NOT_FOUND or INVALID_STATUS_TRANSITION
+// when the change is not allowed by STATUS_TRANSITIONS
+function updateMessageStatus(id, status, errorMessage = null) {
+  return new Promise((resolve, reject) => {
+    if (!STATUS_TRANSITIONS[status]) {
+      reject(new Error(`Unknown status: ${status}`));
+      return;
+    }
+
+    const now = new Date().toISOString();
+    const sources = sourceStatusClause(status);
+    db.run(
+      `UPDATE scheduled_messages
+       SET status = ?, updated_at = ?, error_message = ?
+       WHERE id = ? AND ${sources.sql}`,
+      [status, now, errorMessage, id, ...sources.params],
+      function(err) {
+        if (err) {
+          reject(err);
+        } else if (this.changes === 0) {
+          rejectTransition(id, status, reject);
+        } else {
+          notifyScheduleChanged();
+          resolve();
+        }
+      }
+    );
+  });
+}
+
+// Atomically claim a pending message for sending.
+// Resolves true only for the one caller (process/instance) that wins the claim.
+function claimMessage(id, owner) {
+  return new Promise((resolve, reject) => {
+    const now = new Date().toISOString();
+    db.run(
+      `UPDATE scheduled_messages
+       SET status = 'sending', claimed_by = ?, claimed_at = ?, dispatched_at = NULL, updated_at = ?
+       WHERE id = ? AND status = 'pending'`,
+      [owner, now, now, id],
+      function(err) {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(this.changes === 1);
+        }
+      }
+    );
+  });
+}
+
+// Mark a claimed message as handed to WhatsApp. From here on it is never sent again
+// automatically, because we can't know whether the send went through.
+function markMessageDispatched(id, owner) {
+  return new Promise((resolve, reject) => {
+    const now = new Date().toISOString();
+    db.run(
+      `UPDATE scheduled_messages
+       SET dispatched_at = ?, updated_at = ?
+       WHERE id = ? AND status = 'sending' AND claimed_by = ?`,
+      [now, now, id, owner],
+      function(err) {
+        if (err) {
+          reject(err);
+        } else if (this.changes !== 1) {
+          reject(new Error(`Lost claim on message ${id}`));
+        } else {
+          resolve();
+        }
+      }
+    );
+  });
+}
+
+// Recover claims left behind by a crashed or stopped instance.
+// Claims that never reached WhatsApp go back to pending; dispatched ones are
+// marked failed so they are not sent twice. Resolves { released, interrupted }.
+function recoverStaleClaims(leaseMs) {
+  return new Promise((resolve, reject) => {
+    const now = new Date().toISOString();
+    const cutoff = new Date(Date.now() - leaseMs).toISOString();
+
+    db.run(
+      `UPDATE scheduled_messages
+       SET status = 'pending', claimed_by = NULL, claimed_at = NULL, updated_at = ?
+       WHERE status = 'sending' AND dispatched_at IS NULL AND datetime(claimed_at) <= datetime(?)`,
+      [now, cutoff],
+      function(releaseErr) {
+        if (releaseErr) {
+          reject(releaseErr);
+          return;
+        }
+
+        const released = this.changes;
+        if (released > 0) {
+          notifyScheduleChanged();
+        }
+
+        db.all(
+          `SELECT * FROM scheduled_messages
+           WHERE status = 'sending' AND dispatched_at IS NOT NULL AND datetime(claimed_at) <= datetime(?)`,
+          [cutoff],
+          (selectErr, rows) => {
+            if (selectErr) {
+              reject(selectErr);
+              return;
+            }
+
+            if (rows.length === 0) {
+              resolve({ released, interrupted: [] });
+              return;
+            }
+
+            const ids = rows.map(row => row.id);
+            db.run(
+              `UPDATE scheduled_messages
+               SET status = 'failed', updated_at = ?,
+                   error_message = 'Interrupted while sending - delivery unknown, not resent'
+               WHERE id IN (${ids.map(() => '?').join(',')}) AND status = 'sending'`,
+              [now, ...ids],
+              (updateErr) => {
+                if (updateErr) {
+                  reject(updateErr);
+                } else {
+                  resolve({ released, interrupted: rows });
+                }
+              }
+            );
+          }
+        );
+      }
+    );
+  });
+}
+
+// Receipts can arrive before markMessageSent has stored the WhatsApp id they belong to.
+// Those are kept for a minute (id → { ack, receivedAt }) and applied once the id is stored.
+const EARLY_ACK_TTL = 60 * 1000;
+const earlyAcks = new Map();
+
+function rememberEarlyAck(sentMessageId, ack) {
+  const now = Date.now();
+  for (const [id, early] of earlyAcks) {
+    if (now - early.receivedAt > EARLY_ACK_TTL) {
+      earlyAcks.delete(id);
+    }
+  }
+  const early = earlyAcks.get(sentMessageId);
+  if (!early || early.ack < ack) {
+    earlyAcks.set(sentMessageId, { ack, receivedAt: now });
+  }
+}
+
+// Apply a receipt that arrived before the message was marked sent
+async function applyEarlyAck(sentMessageId) {
+  const early = earlyAcks.get(sentMessageId);
+  earlyAcks.delete(sentMessageId);
+  if (early && Date.now() - early.receivedAt <= EARLY_ACK_TTL) {
+    try {
+      await updateMessageAck(sentMessageId, early.ack);
+    } catch (err) {
+      console.error('Error saving early message receipt:', err.message);
+    }
+  }
+}
+
+// Mark a message as sent, remembering the WhatsApp id of the sent message for receipts
+function markMessageSent(id, sentMessageId) {
+  return new Promise((resolve, reject) => {
+    const now = new Date().toISOString();
+    db.run(
+      `UPDATE scheduled_messages
+       SET status = 'sent', sent_message_id = ?, ack = COALESCE(ack, 0), updated_at = ?, error_message = NULL
+       WHERE id = ? AND status = 'sending'`,
+      [sentMessageId, now, id],
+      function(err) {
+        if (err) {
+          reject(err);
+        } else if (this.changes === 0) {
+          rejectTransition(id, 'sent', reject);
+        } else {
+          notifyScheduleChanged();
+          applyEarlyAck(sentMessageId).then(resolve);
+        }
+      }
+    );
+  });
+}
+
+// Record a delivery receipt (1 = server, 2 = delivered, 3 = read, 4 = played).
+// Acks only move forward; skipped levels get the same timestamp (e.g. read implies delivered).
+// A receipt for an id no message has yet is kept briefly, see applyEarlyAck.
+function updateMessageAck(sentMessageId, ack) {
+  return new Promise((resolve, reject) => {
+    const now = new Date().toISOString();
+    db.run(
+      `UPDATE scheduled_messages
+       SET ack = ?,
+           ack_server_at = CASE WHEN ? >= 1 THEN COALESCE(ack_server_at, ?) ELSE ack_server_at END,
+           ack_delivered_at = CASE WHEN ? >= 2 THEN COALESCE(ack_delivered_at, ?) ELSE ack_delivered_at END,
+           ack_read_at = CASE WHEN ? >= 3 THEN COALESCE(ack_read_at, ?) ELSE ack_read_at END,
+           ack_played_at = CASE WHEN ? >= 4 THEN COALESCE(ack_played_at, ?) ELSE ack_played_at END
+       WHERE sent_message_id = ? AND (ack IS NULL OR ack < ?)`,
+      [ack, ack, now, ack, now, ack, now, ack, now, sentMessageId, ack],
+      function(err) {
+        if (err) {
+          reject(err);
+          return;
+        }
+        if (this.changes === 0) {
+          db.get(`SELECT id FROM scheduled_messages WHERE sent_message_id = ?`, [sentMessageId], (getErr, row) => {
+            if (!getErr && !row) {
+              rememberEarlyAck(sentMessageId, ack);
+            }
+            resolve(0);
+          });
+          return;
+        }
+        resolve(this.changes);
+      }
+    );
+  });
+}
+
+// Get messages sent recently, newest first (for receipts in /show)
+function getRecentlySentMessages(since, limit = 5) {
+  return new Promise((resolve, reject) => {
+    db.all(
+      `SELECT * FROM scheduled_messages
+       WHERE status = 'sent' AND datetime(updated_at) >= datetime(?)
+       ORDER BY updated_at DESC
+       LIMIT ?`,
+      [since.toISOString(), limit],
+      (err, rows) => {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(rows);
+        }
+      }
+    );
+  });
+}
+
+// Record a failed delivery attempt; nextAttemptAt is null when no retry is planned.
+// A planned retry releases the claim so the message is pending again.
+function recordFailedAttempt(id, attempts, nextAttemptAt, errorMessage) {
+  return new Promise((resolve, reject) => {
+    const now = new Date().toISOString();
+    const nextAttempt = nextAttemptAt ? nextAttemptAt.toISOString() : null;
+    db.run(
+      `UPDATE scheduled_messages
+       SET attempts = ?, next_attempt_at = ?, error_message = ?, updated_at = ?,
+           status = CASE WHEN ? IS NOT NULL THEN 'pending' ELSE status END,
+           claimed_by = CASE WHEN ? IS NOT NULL THEN NULL ELSE claimed_by END,
+           claimed_at = CASE WHEN ? IS NOT NULL THEN NULL ELSE claimed_at END,
+           dispatched_at = CASE WHEN ? IS NOT NULL THEN NULL ELSE dispatched_at END
+       WHERE id = ? AND status = 'sending'`,
+      [attempts, nextAttempt, errorMessage, now, nextAttempt, nextAttempt, nextAttempt, nextAttempt, id],
+      (err) => {
+        if (err) {
+          reject(err);
+        } else {
+          notifyScheduleChanged(nextAttemptAt);
+          resolve();
+        }
+      }
+    );
+  });
+}
+
+// Get a single message by ID
+function getMessageById(id) {
+  return new Promise((resolve, reject) => {
+    db.get(
+      `SELECT * FROM scheduled_messages WHERE id = ?`,
+      [id],
+      (err, row) => {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(row || null);
+        }
+      }
+    );
+  });
+}
+
+// Get all messages of a batch, in the order they were scheduled
+function getBatchMessages(batchId) {
+  return new Promise((resolve, reject) => {
+    db.all(
+      `SELECT * FROM scheduled_messages WHERE batch_id = ? ORDER BY id ASC`,
+      [batchId],
+      (err, rows) => {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(rows);
+        }
+      }
+    );
+  });
+}
+
+// Cancel all pending messages of a batch
+function cancelBatch(batchId) {
+  return new Promise((resolve, reject) => {
+    const now = new Date().toISOString();
+    db.run(
+      `UPDATE scheduled_messages
+       SET status = 'cancelled', updated_at = ?, error_message = 'Batch cancelled by user'
+       WHERE batch_id = ? AND ${CANCELLABLE.sql}`,
+      [now, batchId, ...CANCELLABLE.params],
+      function(err) {
+        if (err) {
+          reject(err);
+        } else {
+          notifyScheduleChanged();
+          resolve(this.changes);
+        }
+      }
+    );
+  });
+}
+
+// Move all pending messages of a batch to a new time
+function rescheduleBatch(batchId, scheduledTime) {
+  return new Promise((resolve, reject) => {
+    const now = new Date().toISOString();
+    const scheduledTimeISO = new Date(scheduledTime).toISOString();
+    db.run(
+      `UPDATE scheduled_messages
+       SET slot_time = COALESCE(slot_time, scheduled_time), scheduled_time = ?, updated_at = ?,
+           attempts = 0, next_attempt_at = NULL, late_approved = 0, error_message = NULL, heads_up_sent_at = NULL
+       WHERE batch_id = ? AND status = 'pending'`,
+      [scheduledTimeISO, now, batchId],
+      function(err) {
+        if (err) {
+          reject(err);
+        } else {
+          notifyScheduleChanged(new Date(scheduledTimeISO));
+          resolve(this.changes);
+        }
+      }
+    );
+  });
+}
+
+// Cancel all pending messages of a recurring series
+function cancelSeries(seriesId) {
+  return new Promise((resolve, reject) => {
+    const now = new Date().toISOString();
+    db.run(
+      `UPDATE scheduled_messages
+       SET status = 'cancelled', updated_at = ?, error_message = 'Series cancelled by user'
+       WHERE series_id = ? AND ${CANCELLABLE.sql}`,
+      [now, seriesId, ...CANCELLABLE.params],
+      function(err) {
+        if (err) {
+          reject(err);
+        } else {
+          notifyScheduleChanged();
+          resolve(this.changes);
+        }
+      }
+    );
+  });
+}
+
+// Cancel every pending message to a recipient (e.g. a group I can no longer post to)
+function cancelRecipientMessages(recipient, reason) {
+  return new Promise((resolve, reject) => {
+    const now = new Date().toISOString();
+    db.run(
+      `UPDATE scheduled_messages
+       SET status = 'cancelled', updated_at = ?, error_message = ?
+       WHERE recipient = ? AND ${CANCELLABLE.sql}`,
+      [now, reason, recipient, ...CANCELLABLE.params],
+      function(err) {
+        if (err) {
+          reject(err);
+        } else {
+          notifyScheduleChanged();
+          resolve(this.changes);
+        }
+      }
+    );
+  });
+}
+
+// Cancel pending "unless reply" messages to a chat that were scheduled before the reply arrived.
+// Resolves with the cancelled rows.
+function cancelOnReply(recipient, repliedAt) {
+  return new Promise((resolve, reject) => {
+    db.all(
+      `SELECT * FROM scheduled_messages
+       WHERE recipient = ? AND cancel_on_reply = 1 AND ${CANCELLABLE.sql}
+         AND datetime(created_at) <= datetime(?)`,
+      [recipient, ...CANCELLABLE.params, repliedAt.toISOString()],
+      (err, rows) => {
+        if (err) {
+          reject(err);
+          return;
+        }
+        if (rows.length === 0) {
+          resolve([]);
+          return;
+        }
+
+        const now = new Date().toISOString();
+        const ids = rows.map(row => row.id);
+        db.run(
+          `UPDATE scheduled_messages
+           SET status = 'cancelled', updated_at = ?, error_message = 'Recipient replied'
+           WHERE id IN (${ids.map(() => '?').join(', ')}) AND ${CANCELLABLE.sql}`,
+          [now, ...ids, ...CANCELLABLE.params],
+          (updateErr) => {
+            if (updateErr) {
+              reject(updateErr);
+            } else {
+              notifyScheduleChanged();
+              resolve(rows);
+            }
+          }
+        );
+      }
+    );
+  });
+}
+
+// Check whether a series already has an occurrence queued after the given time
+function hasLaterSeriesMessage(seriesId, afterTime) {
+  return new Promise((resolve, reject) => {
+    db.get(
+      `SELECT id FROM scheduled_messages
+       WHERE series_id = ? AND status IN ('pending', 'held') AND scheduled_time > ?
+       LIMIT 1`,
+      [seriesId, new Date(afterTime).toISOString()],
+      (err, row) => {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(!!row);
+        }
+      }
+    );
+  });
+}
+
+// Set how late (in minutes) a message may still be sent after downtime; null uses the global default
+function setLateTolerance(id, minutes) {
+  return new Promise((resolve, reject) => {
+    const now = new Date().toISOString();
+    db.run(
+      `UPDATE scheduled_messages
+       SET late_tolerance_minutes = ?, updated_at = ?
+       WHERE id = ? AND status IN ('pending', 'held')`,
+      [minutes, now, id],
+      function(err) {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(this.changes);
+        }
+      }
+    );
+  });
+}
+
+// Set how many minutes before sending a message's heads-up goes out (0 = none); null uses the default
+function setHeadsUpMinutes(id, minutes) {
+  return new Promise((resolve, reject) => {
+    const now = new Date().toISOString();
+    db.run(
+      `UPDATE scheduled_messages
+       SET heads_up_minutes = ?, heads_up_sent_at = NULL, updated_at = ?
+       WHERE id = ? AND status = 'pending'`,
+      [minutes, now, id],
+      function(err) {
+        if (err) {
+          reject(err);
+        } else {
+          notifyScheduleChanged();
+          resolve(this.changes);
+        }
+      }
+    );
+  });
+}
+
+// Get messages held for catch-up confirmation
+function getHeldMessages() {
+  return new Promise((resolve, reject) => {
+    db.all(
+      `SELECT * FROM scheduled_messages
+       WHERE status = 'held'
+       ORDER BY scheduled_time ASC`,
+      (err, rows) => {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(rows);
+        }
+      }
+    );
+  });
+}
+
+// Release a held message for sending despite being late
+function approveHeldMessage(id) {
+  return new Promise((resolve, reject) => {
+    const now = new Date().toISOString();
+    db.run(
+      `UPDATE scheduled_messages
+       SET status = 'pending', late_approved = 1, updated_at = ?, error_message = NULL
+       WHERE id = ? AND status = 'held'`,
+      [now, id],
+      function(err) {
+        if (err) {
+          reject(err);
+        } else {
+          if (this.changes > 0) {
+            notifyScheduleChanged();
+          }
+          resolve(this.changes);
+        }
+      }
+    );
+  });
+}
+
+// Queue a failed message again from a clean slate (failed → pending)
+function retryFailedMessage(id) {
+  return new Promise((resolve, reject) => {
+    const now = new Date().toISOString();
+    db.run(
+      `UPDATE scheduled_messages
+       SET status = 'pending', attempts = 0, next_attempt_at = NULL, late_approved = 1,
+           claimed_by = NULL, claimed_at = NULL, dispatched_at = NULL,
+           error_message = NULL, updated_at = ?
+       WHERE id = ? AND status = 'failed'`,
+      [now, id],
+      function(err) {
+        if (err) {
+          reject(err);
+        } else if (this.changes === 0) {
+          rejectTransition(id, 'pending', reject);
+        } else {
+          notifyScheduleChanged();
+          resolve();
+        }
+      }
+    );
+  });
+}
+
+// Get media files still needed by messages that may be sent, including failed ones (/retry)
+function getReferencedMediaPaths() {
+  return new Promise((resolve, reject) => {
+    db.all(
+      `SELECT DISTINCT media_path FROM scheduled_messages
+       WHERE media_path IS NOT NULL AND status IN ('pending', 'held', 'sending', 'failed')`,
+      (err, rows) => {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(rows.map(row => row.media_path));
+        }
+      }
+    );
+  });
+}
+
+// Get all scheduled messages
+function getAllScheduledMessages() {
+  return new Promise((resolve, reject) => {
+    db.all(
+      `SELECT * FROM scheduled_messages
+       ORDER BY scheduled_time DESC
+       LIMIT 100`,
+      (err, rows) => {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(rows);
+        }
+      }
+    );
+  });
+}
+
+// Get all pending messages (regardless of scheduled time) for the /show command
+function getAllPendingMessages() {
+  return new Promise((resolve, reject) => {
+    db.all(
+      `SELECT * FROM scheduled_messages
+       WHERE status = 'pending'
+       ORDER BY scheduled_time ASC`,
+      (err, rows) => {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(rows);
+        }
+      }
+    );
+  });
+}
+
+// Get all allowed-sending windows
+function getSendingWindows() {
+  return new Promise((resolve, reject) => {
+    db.all(
+      `SELECT * FROM sending_windows ORDER BY recipient_name ASC`,
+      (err, rows) => {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(rows);
+        }
+      }
+    );
+  });
+}
+
+// Set the allowed-sending window of a recipient ('*' for everyone), or remove it when rule is null
+function setSendingWindow(recipient, recipientName, rule) {
+  return new Promise((resolve, reject) => {
+    const now = new Date().toISOString();
+    const done = function(err) {
+      if (err) {
+        reject(err);
+      } else {
+        notifyScheduleChanged();
+        resolve(this.changes);
+      }
+    };
+
+    if (rule === null) {
+      db.run(`DELETE FROM sending_windows WHERE recipient = ?`, [recipient], done);
+      return;
+    }
+
+    db.run(
+      `INSERT INTO sending_windows (recipient, recipient_name, rule, updated_at) VALUES (?, ?, ?, ?)
+       ON CONFLICT(recipient) DO UPDATE SET
+         recipient_name = excluded.recipient_name, rule = excluded.rule, updated_at = excluded.updated_at`,
+      [recipient, recipientName, JSON.stringify(rule), now],
+      done
+    );
+  });
+}
+
+// Get all configured timezones
+function getTimezones() {
+  return new Promise((resolve, reject) => {
+    db.all(
+      `SELECT * FROM timezones ORDER BY recipient_name ASC`,
+      (err, rows) => {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(rows);
+        }
+      }
+    );
+  });
+}
+
+// Set the timezone of a recipient ('*' for the global default), or remove it when timeZone is null
+function setTimezone(recipient, recipientName, timeZone) {
+  return new Promise((resolve, reject) => {
+    const now = new Date().toISOString();
+    const done = function(err) {
+      if (err) {
+        reject(err);
+      } else {
+        notifyScheduleChanged();
+        resolve(this.changes);
+      }
+    };
+
+    if (timeZone === null) {
+      db.run(`DELETE FROM timezones WHERE recipient = ?`, [recipient], done);
+      return;
+    }
+
+    db.run(
+      `INSERT INTO timezones (recipient, recipient_name, timezone, updated_at) VALUES (?, ?, ?, ?)
+       ON CONFLICT(recipient) DO UPDATE SET
+         recipient_name = excluded.recipient_name, timezone = excluded.timezone, updated_at = excluded.updated_at`,
+      [recipient, recipientName, timeZone, now],
+      done
+    );
+  });
+}
+
+// Get a preference, or null if it was never set
+function getSetting(key) {
+  return new Promise((resolve, reject) => {
+    db.get(
+      `SELECT value FROM settings WHERE key = ?`,
+      [key],
+      (err, row) => {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(row ? row.value : null);
+        }
+      }
+    );
+  });
+}
+
+// Change a setting from `expected` to `value` in one statement (null = not set), so of several
+// instances doing the same only one succeeds. Resolves true if this call changed it.
+function compareAndSetSetting(key, expected, value) {
+  return new Promise((resolve, reject) => {
+    const done = function(err) {
+      if (err) {
+        reject(err);
+      } else {
+        resolve(this.changes > 0);
+      }
+    };
+
+    const now = new Date().toISOString();
+    if (expected === null) {
+      db.run(`INSERT OR IGNORE INTO settings (key, value, updated_at) VALUES (?, ?, ?)`, [key, String(value), now], done);
+    } else if (value === null) {
+      db.run(`DELETE FROM settings WHERE key = ? AND value = ?`, [key, String(expected)], done);
+    } else {
+      db.run(
+        `UPDATE settings SET value = ?, updated_at = ? WHERE key = ? AND value = ?`,
+        [String(value), now, key, String(expected)],
+        done
+      );
+    }
+  });
+}
+
+// Set a preference, or remove it when value is null
+function setSetting(key, value) {
+  return new Promise((resolve, reject) => {
+    const done = function(err) {
+      if (err) {
+        reject(err);
+      } else {
+        resolve(this.changes);
+      }
+    };
+
+    if (value === null) {
+      db.run(`DELETE FROM settings WHERE key = ?`, [key], done);
+      return;
+    }
+
+    db.run(
+      `INSERT INTO settings (key, value, updated_at) VALUES (?, ?, ?)
+       ON CONFLICT(key) DO UPDATE SET value = excluded.value, updated_at = excluded.updated_at`,
+      [key, String(value), new Date().toISOString()],
+      done
+    );
+  });
+}
+
+// Get a conversational state value, or null if it is missing or expired
+function getConversationState(scope, key) {
+  return new Promise((resolve, reject) => {
+    db.get(
+      `SELECT value FROM conversation_state
+       WHERE scope = ? AND key = ? AND datetime(expires_at) > datetime(?)`,
+      [scope, key, new Date().toISOString()],
+      (err, row) => {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(row ? JSON.parse(row.value) : null);
+        }
+      }
+    );
+  });
+}
+
+// Get the values of all unexpired keys of a scope that start with keyPrefix
+function findConversationStates(scope, keyPrefix) {
+  return new Promise((resolve, reject) => {
+    db.all(
+      `SELECT value FROM conversation_state
+       WHERE scope = ? AND substr(key, 1, length(?)) = ? AND datetime(expires_at) > datetime(?)
+       ORDER BY key ASC`,
+      [scope, keyPrefix, keyPrefix, new Date().toISOString()],
+      (err, rows) => {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(rows.map(row => JSON.parse(row.value)));
+        }
+      }
+    );
+  });
+}
+
+// Store a conversational state value for ttl milliseconds, replacing any previous value
+function setConversationState(scope, key, value, ttl) {
+  return new Promise((resolve, reject) => {
+    db.run(
+      `INSERT INTO conversation_state (scope, key, value, expires_at) VALUES (?, ?, ?, ?)
+       ON CONFLICT(scope, key) DO UPDATE SET value = excluded.value, expires_at = excluded.expires_at`,
+      [scope, key, JSON.stringify(value), new Date(Date.now() + ttl).toISOString()],
+      function(err) {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(this.changes);
+        }
+      }
+    );
+  });
+}
+
+// Store a value only if the key is missing or expired. Resolves with true if it was stored.
+function addConversationState(scope, key, value, ttl) {
+  return new Promise((resolve, reject) => {
+    const now = new Date().toISOString();
+    db.run(
+      `INSERT INTO conversation_state (scope, key, value, expires_at) VALUES (?, ?, ?, ?)
+       ON CONFLICT(scope, key) DO UPDATE SET value = excluded.value, expires_at = excluded.expires_at
+       WHERE datetime(conversation_state.expires_at) <= datetime(?)`,
+      [scope, key, JSON.stringify(value), new Date(Date.now() + ttl).toISOString(), now],
+      function(err) {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(this.changes > 0);
+        }
+      }
+    );
+  });
+}
+
+function deleteConversationState(scope, key) {
+  return new Promise((resolve, reject) => {
+    db.run(
+      `DELETE FROM conversation_state WHERE scope = ? AND key = ?`,
+      [scope, key],
+      function(err) {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(this.changes);
+        }
+      }
+    );
+  });
+}
+
+// Count the unexpired keys of a scope
+function countConversationStates(scope) {
+  return new Promise((resolve, reject) => {
+    db.get(
+      `SELECT COUNT(*) as count FROM conversation_state
+       WHERE scope = ? AND datetime(expires_at) > datetime(?)`,
+      [scope, new Date().toISOString()],
+      (err, row) => {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(row.count);
+        }
+      }
+    );
+  });
+}
+
+// Delete expired conversational state, resolves with the number of removed rows
+function deleteExpiredConversationState() {
+  return new Promise((resolve, reject) => {
+    db.run(
+      `DELETE FROM conversation_state WHERE datetime(expires_at) <= datetime(?)`,
+      [new Date().toISOString()],
+      function(err) {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(this.changes);
+        }
+      }
+    );
+  });
+}
+
+// Get all Shabbat settings
+function getShabbatSettings() {
+  return new Promise((resolve, reject) => {
+    db.all(
+      `SELECT * FROM shabbat_settings ORDER BY recipient_name ASC`,
+      (err, rows) => {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(rows);
+        }
+      }
+    );
+  });
+}
+
+// Set the Shabbat mode ('defer' or 'send') of a recipient ('*' for everyone), or remove it when mode is null
+function setShabbatSetting(recipient, recipientName, mode) {
+  return new Promise((resolve, reject) => {
+    const now = new Date().toISOString();
+    const done = function(err) {
+      if (err) {
+        reject(err);
+      } else {
+        notifyScheduleChanged();
+        resolve(this.changes);
+      }
+    };
+
+    if (mode === null) {
+      db.run(`DELETE FROM shabbat_settings WHERE recipient = ?`, [recipient], done);
+      return;
+    }
+
+    db.run(
+      `INSERT INTO shabbat_settings (recipient, recipient_name, mode, updated_at) VALUES (?, ?, ?, ?)
+       ON CONFLICT(recipient) DO UPDATE SET
+         recipient_name = excluded.recipient_name, mode = excluded.mode, updated_at = excluded.updated_at`,
+      [recipient, recipientName, mode, now],
+      done
+    );
+  });
+}
+
+// Move a pending message to a new time (/move, /snooze, /sendnow, or deferred outside its sending window).
+// Retries start over (like rescheduleBatch) and the heads-up is due again. The first move keeps the original time in
+// slot_time, so a recurring series goes on from its own slot. Resolves with the number of changed rows (0 if no longer pending).
+function rescheduleMessage(id, scheduledTime) {
+  return new Promise((resolve, reject) => {
+    const now = new Date().toISOString();
+    const scheduledTimeISO = new Date(scheduledTime).toISOString();
+    db.run(
+      `UPDATE scheduled_messages
+       SET slot_time = COALESCE(slot_time, scheduled_time), scheduled_time = ?, attempts = 0,
+           next_attempt_at = NULL, late_approved = 0, error_message = NULL, heads_up_sent_at = NULL, updated_at = ?
+       WHERE id = ? AND status = 'pending'`,
+      [scheduledTimeISO, now, id],
+      function(err) {
+        if (err) {
+          reject(err);
+        } else {
+          notifyScheduleChanged(new Date(scheduledTimeISO));
+          resolve(this.changes);
+        }
+      }
+    );
+  });
+}
+
+// Replace the text of a pending message; template is { name, args } or null for plain text.
+// Resolves with the number of changed rows (0 if no longer pending).
+function updateMessageText(id, message, template = null) {
+  return new Promise((resolve, reject) => {
+    const now = new Date().toISOString();
+    db.run(
+      `UPDATE scheduled_messages
+       SET message = ?, template_name = ?, template_args = ?, updated_at = ?
+       WHERE id = ? AND status = 'pending'`,
+      [message, template ? template.name : null, template ? JSON.stringify(template.args || {}) : null, now, id],
+      function(err) {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(this.changes);
+        }
+      }
+    );
+  });
+}
+
+// Create or replace a message template
+function saveTemplate(name, body) {
+  return new Promise((resolve, reject) => {
+    const now = new Date().toISOString();
+    db.run(
+      `INSERT INTO templates (name, body, updated_at) VALUES (?, ?, ?)
+       ON CONFLICT(name) DO UPDATE SET body = excluded.body, updated_at = excluded.updated_at`,
+      [name, body, now],
+      (err) => {
+        if (err) {
+          reject(err);
+        } else {
+          resolve();
+        }
+      }
+    );
+  });
+}
+
+// Get a template by name (case-insensitive)
+function getTemplate(name) {
+  return new Promise((resolve, reject) => {
+    db.get(
+      `SELECT * FROM templates WHERE name = ?`,
+      [name.trim()],
+      (err, row) => {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(row || null);
+        }
+      }
+    );
+  });
+}
+
+function getAllTemplates() {
+  return new Promise((resolve, reject) => {
+    db.all(
+      `SELECT * FROM templates ORDER BY name ASC`,
+      (err, rows) => {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(rows);
+        }
+      }
+    );
+  });
+}
+
+// Delete a template; resolves true if it existed
+function deleteTemplate(name) {
+  return new Promise((resolve, reject) => {
+    db.run(
+      `DELETE FROM templates WHERE name = ?`,
+      [name.trim()],
+      function(err) {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(this.changes > 0);
+        }
+      }
+    );
+  });
+}
+
+// Create or replace a named recipient list; members is an array of { id, name }
+function saveRecipientList(name, members) {
+  return new Promise((resolve, reject) => {
+    const now = new Date().toISOString();
+    db.run(
+      `INSERT INTO recipient_lists (name, members, updated_at) VALUES (?, ?, ?)
+       ON CONFLICT(name) DO UPDATE SET members = excluded.members, updated_at = excluded.updated_at`,
+      [name, JSON.stringify(members), now],
+      (err) => {
+        if (err) {
+          reject(err);
+        } else {
+          resolve();
+        }
+      }
+    );
+  });
+}
+
+function parseRecipientList(row) {
+  return row ? { id: row.id, name: row.name, members: JSON.parse(row.members) } : null;
+}
+
+// Get a recipient list by name (case-insensitive)
+function getRecipientList(name) {
+  return new Promise((resolve, reject) => {
+    db.get(
+      `SELECT * FROM recipient_lists WHERE name = ?`,
+      [name.trim()],
+      (err, row) => {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(parseRecipientList(row));
+        }
+      }
+    );
+  });
+}
+
+function getAllRecipientLists() {
+  return new Promise((resolve, reject) => {
+    db.all(
+      `SELECT * FROM recipient_lists ORDER BY name ASC`,
+      (err, rows) => {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(rows.map(parseRecipientList));
+        }
+      }
+    );
+  });
+}
+
+// Delete a recipient list; resolves true if it existed
+function deleteRecipientList(name) {
+  return new Promise((resolve, reject) => {
+    db.run(
+      `DELETE FROM recipient_lists WHERE name = ?`,
+      [name.trim()],
+      function(err) {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(this.changes > 0);
+        }
+      }
+    );
+  });
+}
+
 // Get pending count
 function getPendingCount() {
   return new Promise((resolve, reject) => {
@@ -159,6 +1722,7 @@ function deleteMessage(id) {
         if (err) {
           reject(err);
         } else {
+          notifyScheduleChanged();
           resolve(this.changes);
         }
       }
@@ -169,11 +1733,68 @@ function deleteMessage(id) {
 module.exports = {
   initDatabase,
   saveScheduledMessage,
+  saveBatchMessages,
   getPendingMessages,
+  getPendingMessagesBetween,
+  getNextDueTime,
+  getNextHeadsUpTime,
+  getDueHeadsUps,
+  markHeadsUpSent,
+  clearHeadsUpSent,
   getAllPendingMessages,
   updateMessageStatus,
+  canTransition,
+  getSourceStatuses,
+  claimMessage,
+  markMessageDispatched,
+  recoverStaleClaims,
+  recordFailedAttempt,
+  markMessageSent,
+  updateMessageAck,
+  getRecentlySentMessages,
+  getMessageById,
+  cancelSeries,
+  getBatchMessages,
+  cancelBatch,
+  rescheduleBatch,
+  saveTemplate,
+  getTemplate,
+  getAllTemplates,
+  deleteTemplate,
+  getSendingWindows,
+  setSendingWindow,
+  getTimezones,
+  setTimezone,
+  getShabbatSettings,
+  setShabbatSetting,
+  getSetting,
+  setSetting,
+  compareAndSetSetting,
+  getConversationState,
+  findConversationStates,
+  setConversationState,
+  addConversationState,
+  deleteConversationState,
+  countConversationStates,
+  deleteExpiredConversationState,
+  rescheduleMessage,
+  updateMessageText,
+  saveRecipientList,
+  getRecipientList,
+  getAllRecipientLists,
+  deleteRecipientList,
+  cancelOnReply,
+  cancelRecipientMessages,
+  hasLaterSeriesMessage,
+  setLateTolerance,
+  setHeadsUpMinutes,
+  getHeldMessages,
+  approveHeldMessage,
+  retryFailedMessage,
+  getReferencedMediaPaths,
   getAllScheduledMessages,
   getPendingCount,
   deleteMessage,
+  scheduleEvents,
   db
 };
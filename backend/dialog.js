@@ -0,0 +1,136 @@
+const crypto = require('crypto');
+const { createStateMap } = require('./conversationState');
+const { describeRecipient } = require('./whatsappClient');
+
+// What the bot is waiting for in a chat - at most one dialog per chat:
+//   pickSender  - a forwarded message matched several senders; waiting for a number
+//   pickContact - /send, /reply or /every matched several contacts; waiting for a number
+//   confirm     - a preview waiting for Confirm / Edit time / Cancel (/confirm on), of a message
+//                 to one recipient or to several (a batch)
+//   editTime    - waiting for the new time of a previewed message, or of a picked contact's
+//                 message whose time passed while waiting
+//
+//   (idle) → pickSender → (idle)
+//   (idle) → pickContact → confirm ⇄ editTime → (idle)
+//   (idle) → pickContact → editTime → confirm → (idle)
+//
+// Starting a dialog replaces the previous one, /abort ends it, and every state times out.
+// An answer to a timed-out dialog is rejected instead of acted on, so a bare "3" typed days
+// later never schedules anything. List rows and buttons carry the dialog id, so picks from
+// an older list are rejected too.
+
+const MINUTE = 60 * 1000;
+
+const DIALOG_STATES = {
+  pickSender: {
+    timeout: 10 * MINUTE,
+    describe: (data) => `you to pick who sent the forwarded message (1-${data.matches.length})`
+  },
+  pickContact: {
+    timeout: 10 * MINUTE,
+    describe: (data) => `you to pick the contact for "${previewText(data.message)}" (1-${data.matches.length})`,
+    revive: (data) => ({ ...data, scheduledTime: new Date(data.scheduledTime) })
+  },
+  confirm: {
+    timeout: 30 * MINUTE,
+    describe: (data) => `your answer to the preview of the message to *${describeDraftRecipients(data.draft)}* (1 confirm, 2 edit time, 3 cancel)`,
+    revive: (data) => ({ ...data, draft: reviveDraft(data.draft) })
+  },
+  editTime: {
+    timeout: 30 * MINUTE,
+    describe: (data) => `the new time for the message to *${describeDraftRecipients(data.draft)}*`,
+    revive: (data) => ({ ...data, draft: reviveDraft(data.draft) })
+  }
+};
+
+// Who a draft goes to: its recipient, or a batch draft's recipients
+function describeDraftRecipients(draft) {
+  return draft.recipients
+    ? draft.recipients.map(recipient => describeRecipient(recipient.name, recipient.id)).join(', ')
+    : describeRecipient(draft.recipientName, draft.recipientId);
+}
+
+// Dates of a stored draft, including each recipient's time in a batch draft
+function reviveDraft(draft) {
+  const revived = { ...draft, scheduledTime: new Date(draft.scheduledTime) };
+  if (draft.recipients) {
+    revived.recipients = draft.recipients.map(recipient => ({ ...recipient, scheduledTime: new Date(recipient.scheduledTime) }));
+  }
+  return revived;
+}
+
+function previewText(text) {
+  const firstLine = (text || '').split('\n')[0];
+  return firstLine.length > 30 ? `${firstLine.substring(0, 29)}…` : firstLine;
+}
+
+// chatId → { id, state, data, expiresAt }. Rows outlive the timeout (see STATE_TTL.dialog)
+// so late answers can be recognised and rejected.
+const dialogs = createStateMap('dialog', (dialog) => {
+  const revive = DIALOG_STATES[dialog.state].revive;
+  return { ...dialog, data: revive ? revive(dialog.data) : dialog.data };
+});
+
+// The chat's dialog, or null. Timed-out dialogs are returned with expired: true.
+async function getDialog(chatId) {
+  const dialog = await dialogs.get(chatId);
+  if (!dialog) {
+    return null;
+  }
+  return { ...dialog, expired: new Date(dialog.expiresAt) <= new Date() };
+}
+
+// Enter a state. Pass the current dialog's id to keep its lists and buttons valid
+// (e.g. confirm → editTime); a new id makes them stale.
+async function setDialog(chatId, state, data, id = crypto.randomBytes(3).toString('hex')) {
+  const dialog = {
+    id,
+    state,
+    data,
+    expiresAt: new Date(Date.now() + DIALOG_STATES[state].timeout).toISOString()
+  };
+  await dialogs.set(chatId, dialog);
+  return dialog;
+}
+
+function endDialog(chatId) {
+  return dialogs.delete(chatId);
+}
+
+// "you to pick the contact for "Hi" (1-3)" - what the dialog is waiting for
+function describeDialog(dialog) {
+  return DIALOG_STATES[dialog.state].describe(dialog.data);
+}
+
+function getTimeoutMinutes(dialog) {
+  return DIALOG_STATES[dialog.state].timeout / MINUTE;
+}
+
+// Id of a list row or button for an answer, e.g. "contact_a1b2c3_2"
+function getAnswerId(dialog, prefix, value) {
+  return value === undefined ? `${prefix}_${dialog.id}` : `${prefix}_${dialog.id}_${value}`;
+}
+
+// Read an answer: a row or button id (checked against the active dialog) or plain text.
+// Returns { value } - the id's value or the text - or { stale: true } for an id from another dialog.
+function parseAnswer(answer, dialog, prefixes) {
+  const match = answer.match(/^([a-z]+)_([0-9a-f]{6})(?:_(\w+))?$/);
+  if (!match || !prefixes.includes(match[1])) {
+    return { value: answer };
+  }
+  if (!dialog || dialog.expired || dialog.id !== match[2]) {
+    return { stale: true };
+  }
+  return { value: match[3] !== undefined ? match[3] : match[1] };
+}
+
+module.exports = {
+  getDialog,
+  setDialog,
+  endDialog,
+  describeDialog,
+  describeDraftRecipients,
+  getTimeoutMinutes,
+  getAnswerId,
+  parseAnswer
+};
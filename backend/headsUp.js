@@ -0,0 +1,93 @@
+const { getSetting, setSetting, scheduleEvents } = require('./database');
+
+// Heads-up sent to self-chat a few minutes before a message goes out, with quick actions
+// to cancel it, send it now or snooze it. How many minutes before:
+//   per message - set with /headsup [id] [minutes] (0 turns it off for that message)
+//   default     - set with /headsup [minutes] (falls back to HEADS_UP_MINUTES, then off)
+// The default is cached in memory, like timezones.js.
+
+const HEADS_UP_SETTING = 'heads_up_minutes';
+const MAX_HEADS_UP_MINUTES = 24 * 60;
+
+// Snooze amounts offered as quick actions (any amount works with /snooze)
+const SNOOZE_OPTIONS = [5, 15, 60];
+
+function getEnvMinutes() {
+  if (!process.env.HEADS_UP_MINUTES) {
+    return 0;
+  }
+  const minutes = Number(process.env.HEADS_UP_MINUTES);
+  if (!Number.isInteger(minutes) || minutes < 0 || minutes > MAX_HEADS_UP_MINUTES) {
+    console.error(`Ignoring invalid HEADS_UP_MINUTES: ${process.env.HEADS_UP_MINUTES}`);
+    return 0;
+  }
+  return minutes;
+}
+
+const ENV_MINUTES = getEnvMinutes();
+
+let defaultMinutes = null;
+
+// (Re)load the default from the database
+async function loadHeadsUpSettings() {
+  const value = await getSetting(HEADS_UP_SETTING);
+  defaultMinutes = value !== null ? parseInt(value) : null;
+}
+
+// Minutes before a message the heads-up is sent by default (0 = off)
+function getDefaultHeadsUpMinutes() {
+  return defaultMinutes !== null ? defaultMinutes : ENV_MINUTES;
+}
+
+// Set the default, or with null go back to HEADS_UP_MINUTES
+async function setDefaultHeadsUpMinutes(minutes) {
+  await setSetting(HEADS_UP_SETTING, minutes);
+  defaultMinutes = minutes;
+
+  // Pending heads-ups may now be due sooner
+  scheduleEvents.emit('changed', null);
+}
+
+// "15", "15m", "15 min", "1h", "2 hours" → minutes, or null
+function parseSnoozeDuration(text) {
+  const match = (text || '').trim().match(/^(\d+)\s*(m|min|mins|minutes?|h|hrs?|hours?)?$/i);
+  if (!match) {
+    return null;
+  }
+  const amount = parseInt(match[1]);
+  const minutes = match[2] && match[2].toLowerCase().startsWith('h') ? amount * 60 : amount;
+  return minutes > 0 ? minutes : null;
+}
+
+// Quick-action ids for the heads-up list, e.g. "headsup_12_snooze_15"
+function getHeadsUpActions(messageId) {
+  return [
+    { id: `headsup_${messageId}_cancel`, title: '❌ Cancel', description: 'Don\'t send it' },
+    { id: `headsup_${messageId}_sendnow`, title: '📤 Send now', description: 'Send it right away' },
+    ...SNOOZE_OPTIONS.map(minutes => ({
+      id: `headsup_${messageId}_snooze_${minutes}`,
+      title: `💤 Snooze ${minutes < 60 ? `${minutes} min` : `${minutes / 60} hour`}`,
+      description: `Send it ${minutes} minutes later`
+    }))
+  ];
+}
+
+// A selected quick action as the command it stands for ("/snooze 12 15"), or null
+function getHeadsUpCommand(selectedId) {
+  const match = (selectedId || '').match(/^headsup_(\d+)_(cancel|sendnow|snooze)(?:_(\d+))?$/);
+  if (!match) {
+    return null;
+  }
+  return match[2] === 'snooze' ? `/snooze ${match[1]} ${match[3]}` : `/${match[2]} ${match[1]}`;
+}
+
+module.exports = {
+  MAX_HEADS_UP_MINUTES,
+  ENV_MINUTES,
+  loadHeadsUpSettings,
+  getDefaultHeadsUpMinutes,
+  setDefaultHeadsUpMinutes,
+  parseSnoozeDuration,
+  getHeadsUpActions,
+  getHeadsUpCommand
+};
@@ -0,0 +1,282 @@
+// Hebrew time expressions, which chrono doesn't understand:
+//   בעוד 10 דקות, בעוד שעתיים, בעוד שעה וחצי, בעוד יומיים
+//   היום, מחר, מחרתיים, ביום ראשון, בשבת (optionally followed by הבא)
+//   ב-8:30, ב9, בשעה 20:00, ב-8 וחצי
+//   בבוקר, בצהריים, אחר הצהריים, בערב, בלילה, הבוקר, הערב, הלילה
+// e.g. "מחר ב-9", "ביום שלישי ב-8 בערב", "הערב".
+// Parsing works on wall-clock times: "now" and the result are naive Dates whose UTC fields
+// hold the time in the configured timezone (see timeParser.js).
+
+const HEBREW_PATTERN = /[\u0590-\u05FF]/;
+
+// Punctuation that may trail a word of the time expression ("מחר ב-9, בוקר טוב")
+const TRAILING_PUNCTUATION = /[,.;!?]+$/;
+
+const WEEKDAYS = ['ראשון', 'שני', 'שלישי', 'רביעי', 'חמישי', 'שישי', 'שבת'];
+
+const NUMBER_WORDS = {
+  'אחת': 1, 'אחד': 1,
+  'שתי': 2, 'שני': 2, 'שתיים': 2, 'שניים': 2,
+  'שלוש': 3, 'שלושה': 3,
+  'ארבע': 4, 'ארבעה': 4,
+  'חמש': 5, 'חמישה': 5,
+  'שש': 6, 'שישה': 6,
+  'שבע': 7, 'שבעה': 7,
+  'שמונה': 8,
+  'תשע': 9, 'תשעה': 9,
+  'עשר': 10, 'עשרה': 10,
+  'עשרים': 20,
+  'שלושים': 30,
+  'ארבעים': 40,
+  'חמישים': 50
+};
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+const DAY = 24 * HOUR;
+
+// Units after "בעוד": a single word may carry its own amount (שעתיים = 2 hours)
+const SINGLE_UNITS = {
+  'דקה': { unit: MINUTE, amount: 1 },
+  'שעה': { unit: HOUR, amount: 1 },
+  'שעתיים': { unit: HOUR, amount: 2 },
+  'יום': { unit: DAY, amount: 1 },
+  'יומיים': { unit: DAY, amount: 2 },
+  'שבוע': { unit: 7 * DAY, amount: 1 },
+  'שבועיים': { unit: 7 * DAY, amount: 2 }
+};
+const PLURAL_UNITS = {
+  'דקות': MINUTE,
+  'שעות': HOUR,
+  'ימים': DAY,
+  'שבועות': 7 * DAY
+};
+
+// Parts of the day, with the time used when no hour is given
+const PARTS_OF_DAY = {
+  'בבוקר': { part: 'morning', hour: 9 },
+  'בצהריים': { part: 'noon', hour: 12 },
+  'בצהרים': { part: 'noon', hour: 12 },
+  'אחה"צ': { part: 'afternoon', hour: 16 },
+  'אחה״צ': { part: 'afternoon', hour: 16 },
+  'בערב': { part: 'evening', hour: 20 },
+  'בלילה': { part: 'night', hour: 22 }
+};
+// "this morning / evening / tonight" - a day and a part of the day in one word
+const TODAY_PARTS = {
+  'הבוקר': PARTS_OF_DAY['בבוקר'],
+  'הצהריים': PARTS_OF_DAY['בצהריים'],
+  'הערב': PARTS_OF_DAY['בערב'],
+  'הלילה': PARTS_OF_DAY['בלילה']
+};
+const RELATIVE_DAYS = { 'היום': 0, 'מחר': 1, 'מחרתיים': 2 };
+
+// Used when only a day is given ("מחר")
+const DEFAULT_HOUR = 9;
+
+const TIME_PATTERN = /^(\d{1,2})(?::(\d{2}))?$/;
+const PREFIXED_TIME_PATTERN = /^ב[-־]?(\d{1,2})(?::(\d{2}))?$/;
+
+function containsHebrew(text) {
+  return HEBREW_PATTERN.test(text || '');
+}
+
+// Split into words, remembering where each one ends in the original text
+function tokenize(text) {
+  return Array.from(text.matchAll(/\S+/g), match => ({
+    word: match[0].replace(TRAILING_PUNCTUATION, ''),
+    end: match.index + match[0].length
+  }));
+}
+
+function parseAmount(word) {
+  if (/^\d+$/.test(word)) {
+    return parseInt(word);
+  }
+  return NUMBER_WORDS[word] || null;
+}
+
+// "בעוד ..." → { delay, next } or null
+function parseRelative(words, i) {
+  if (words[i] !== 'בעוד') {
+    return null;
+  }
+  i++;
+
+  let unit;
+  let amount;
+  if (SINGLE_UNITS[words[i]]) {
+    ({ unit, amount } = SINGLE_UNITS[words[i]]);
+    i++;
+  } else if ((words[i] === 'חצי' || words[i] === 'רבע') && words[i + 1] === 'שעה') {
+    unit = HOUR;
+    amount = words[i] === 'חצי' ? 0.5 : 0.25;
+    i += 2;
+  } else {
+    amount = parseAmount(words[i]);
+    unit = PLURAL_UNITS[words[i + 1]];
+    if (!amount || !unit) {
+      return null;
+    }
+    i += 2;
+  }
+
+  // "שעה וחצי", "שעתיים וחצי", "3 שעות וחצי"
+  if (words[i] === 'וחצי' && amount >= 1) {
+    amount += 0.5;
+    i++;
+  }
+
+  return { delay: amount * unit, next: i };
+}
+
+// "היום", "מחר", "ביום שני", "בשבת", "הערב" → { dayOffset?, weekday?, partOfDay?, next } or null
+function parseDay(words, i) {
+  const word = words[i];
+  if (word in RELATIVE_DAYS) {
+    return { dayOffset: RELATIVE_DAYS[word], next: i + 1 };
+  }
+  if (TODAY_PARTS[word]) {
+    return { dayOffset: 0, partOfDay: TODAY_PARTS[word], next: i + 1 };
+  }
+
+  let weekday = -1;
+  let next = i + 1;
+  if ((word === 'ביום' || word === 'יום') && WEEKDAYS.includes(words[i + 1])) {
+    weekday = WEEKDAYS.indexOf(words[i + 1]);
+    next = i + 2;
+  } else if (word && word.startsWith('ב') && WEEKDAYS.includes(word.substring(1))) {
+    weekday = WEEKDAYS.indexOf(word.substring(1));
+  }
+  if (weekday === -1) {
+    return null;
+  }
+
+  // "ביום ראשון הבא" - the coming one, same as without
+  if (words[next] === 'הבא' || words[next] === 'הקרוב') {
+    next++;
+  }
+  return { weekday, next };
+}
+
+// "ב-8:30", "בשעה 9", "ב-8 וחצי" → { hour, minute, next } or null
+function parseClock(words, i) {
+  let match = (words[i] || '').match(PREFIXED_TIME_PATTERN);
+  let next = i + 1;
+  if (!match && words[i] === 'בשעה') {
+    match = (words[i + 1] || '').match(TIME_PATTERN);
+    next = i + 2;
+  }
+  if (!match) {
+    return null;
+  }
+
+  const hour = parseInt(match[1]);
+  let minute = match[2] ? parseInt(match[2]) : 0;
+  if (!match[2] && (words[next] === 'וחצי' || words[next] === 'ורבע')) {
+    minute = words[next] === 'וחצי' ? 30 : 15;
+    next++;
+  }
+  if (hour > 23 || minute > 59) {
+    return null;
+  }
+  return { hour, minute, next };
+}
+
+function parsePartOfDay(words, i) {
+  if (PARTS_OF_DAY[words[i]]) {
+    return { partOfDay: PARTS_OF_DAY[words[i]], next: i + 1 };
+  }
+  if ((words[i] === 'אחר' || words[i] === 'אחרי') && words[i + 1] === 'הצהריים') {
+    return { partOfDay: PARTS_OF_DAY['אחה"צ'], next: i + 2 };
+  }
+  return null;
+}
+
+// A 12-hour clock reading in a part of the day: "8 בערב" is 20:00, "2 בלילה" stays 02:00
+function applyPartOfDay(hour, partOfDay) {
+  if (!partOfDay || hour >= 12) {
+    return partOfDay && partOfDay.part === 'night' && hour === 12 ? 0 : hour;
+  }
+  switch (partOfDay.part) {
+    case 'noon':
+      return hour <= 6 ? hour + 12 : hour;
+    case 'afternoon':
+    case 'evening':
+      return hour + 12;
+    case 'night':
+      return hour >= 6 ? hour + 12 : hour;
+    default:
+      return hour;
+  }
+}
+
+// Parse a Hebrew time expression at the start of text.
+// Returns { length, isRelativeTime, delay } for relative times (delay in ms from now),
+// { length, isRelativeTime, localTime } for wall-clock times, or null.
+function parseHebrewTime(text, localNow) {
+  if (!containsHebrew(text)) {
+    return null;
+  }
+
+  const tokens = tokenize(text);
+  const words = tokens.map(token => token.word);
+
+  const relative = parseRelative(words, 0);
+  if (relative) {
+    return { length: tokens[relative.next - 1].end, isRelativeTime: true, delay: relative.delay };
+  }
+
+  let i = 0;
+  const day = parseDay(words, i);
+  if (day) {
+    i = day.next;
+  }
+  const clock = parseClock(words, i);
+  if (clock) {
+    i = clock.next;
+  }
+  let partOfDay = day && day.partOfDay;
+  if (!partOfDay) {
+    const part = parsePartOfDay(words, i);
+    if (part) {
+      partOfDay = part.partOfDay;
+      i = part.next;
+    }
+  }
+
+  if (i === 0) {
+    return null;
+  }
+
+  const hour = clock ? applyPartOfDay(clock.hour, partOfDay) : (partOfDay ? partOfDay.hour : DEFAULT_HOUR);
+  const minute = clock ? clock.minute : 0;
+
+  const at = (offset) => new Date(Date.UTC(
+    localNow.getUTCFullYear(),
+    localNow.getUTCMonth(),
+    localNow.getUTCDate() + offset,
+    hour,
+    minute
+  ));
+
+  let dayOffset;
+  if (day && day.weekday !== undefined) {
+    dayOffset = (day.weekday - localNow.getUTCDay() + 7) % 7;
+    if (dayOffset === 0 && at(0) <= localNow) {
+      dayOffset = 7;
+    }
+  } else if (day) {
+    dayOffset = day.dayOffset;
+  } else {
+    // Only a time: today if it is still ahead, otherwise tomorrow
+    dayOffset = at(0) > localNow ? 0 : 1;
+  }
+
+  return { length: tokens[i - 1].end, isRelativeTime: false, localTime: at(dayOffset) };
+}
+
+module.exports = {
+  containsHebrew,
+  parseHebrewTime
+};
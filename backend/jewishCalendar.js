@@ -0,0 +1,249 @@
+// Offline Shabbat and holiday times: no network, just the Hebrew calendar and the sun.
+//   Rest days - Saturdays and the Israeli yom tov days (Rosh Hashana, Yom Kippur, Sukkot,
+//               Shemini Atzeret, the first and last days of Pesach, Shavuot)
+//   A run of consecutive rest days lasts from candle lighting on the eve of the first
+//   to havdalah at the end of the last.
+// Configured with:
+//   SHABBAT_LATITUDE / SHABBAT_LONGITUDE - where sunset is calculated (default: Jerusalem)
+//   CANDLE_LIGHTING_MINUTES - before sunset (default: 18)
+//   HAVDALAH_MINUTES - after sunset (default: 42)
+// Days are naive Dates whose UTC fields hold the calendar day (see timeParser.js).
+
+const DEFAULT_LATITUDE = 31.778;
+const DEFAULT_LONGITUDE = 35.235;
+const DEFAULT_CANDLE_LIGHTING_MINUTES = 18;
+const DEFAULT_HAVDALAH_MINUTES = 42;
+
+const MINUTE = 60 * 1000;
+const DAY = 24 * 60 * MINUTE;
+
+// Sunset is when the sun's upper edge touches the horizon, with refraction
+const SUNSET_ZENITH = 90.833;
+
+// Rata Die (days since Jan 1, year 1) of Tishrei 1 of year 1, and of Jan 1, 1970
+const HEBREW_EPOCH_RD = -1373427;
+const UNIX_EPOCH_RD = 719163;
+
+// Yom tov days relative to Rosh Hashana, counted back from the next one for spring holidays.
+// Nisan to Elul have fixed lengths, so 15 Nisan is always 163 days before Rosh Hashana.
+const HOLIDAYS = [
+  { name: 'Pesach', offset: -163 },
+  { name: 'Pesach', offset: -157 },
+  { name: 'Shavuot', offset: -113 },
+  { name: 'Rosh Hashana', offset: 0 },
+  { name: 'Rosh Hashana', offset: 1 },
+  { name: 'Yom Kippur', offset: 9 },
+  { name: 'Sukkot', offset: 14 },
+  { name: 'Shemini Atzeret', offset: 21 }
+];
+
+// How far to look for the next rest day (there is a Shabbat every week)
+const MAX_LOOKAHEAD_DAYS = 8;
+
+function readNumber(name, fallback, min, max) {
+  if (process.env[name] === undefined || process.env[name] === '') {
+    return fallback;
+  }
+  const value = Number(process.env[name]);
+  if (!Number.isFinite(value) || value < min || value > max) {
+    console.error(`Ignoring invalid ${name}: ${process.env[name]}`);
+    return fallback;
+  }
+  return value;
+}
+
+const LOCATION = {
+  latitude: readNumber('SHABBAT_LATITUDE', DEFAULT_LATITUDE, -90, 90),
+  longitude: readNumber('SHABBAT_LONGITUDE', DEFAULT_LONGITUDE, -180, 180),
+  candleLightingMinutes: readNumber('CANDLE_LIGHTING_MINUTES', DEFAULT_CANDLE_LIGHTING_MINUTES, 0, 120),
+  havdalahMinutes: readNumber('HAVDALAH_MINUTES', DEFAULT_HAVDALAH_MINUTES, 0, 120)
+};
+
+function getLocation() {
+  return LOCATION;
+}
+
+function addDays(day, count) {
+  return new Date(Date.UTC(day.getUTCFullYear(), day.getUTCMonth(), day.getUTCDate() + count));
+}
+
+function toDateKey(day) {
+  return day.toISOString().substring(0, 10);
+}
+
+const toRadians = (degrees) => degrees * Math.PI / 180;
+const toDegrees = (radians) => radians * 180 / Math.PI;
+const normalize = (value, range) => ((value % range) + range) % range;
+
+// Sunset on a day at the configured location (the sunrise/sunset algorithm of the
+// Almanac for Computers, accurate to a minute or two). Returns a UTC Date, or null
+// if the sun doesn't set that day.
+function getSunset(day) {
+  const { latitude, longitude } = LOCATION;
+  const dayOfYear = Math.round((day - Date.UTC(day.getUTCFullYear(), 0, 1)) / DAY) + 1;
+  const longitudeHours = longitude / 15;
+  const approximateTime = dayOfYear + (18 - longitudeHours) / 24;
+
+  const meanAnomaly = 0.9856 * approximateTime - 3.289;
+  const trueLongitude = normalize(
+    meanAnomaly + 1.916 * Math.sin(toRadians(meanAnomaly)) + 0.020 * Math.sin(toRadians(2 * meanAnomaly)) + 282.634,
+    360
+  );
+
+  // Right ascension, in the same quadrant as the true longitude, in hours
+  let rightAscension = normalize(toDegrees(Math.atan(0.91764 * Math.tan(toRadians(trueLongitude)))), 360);
+  rightAscension += Math.floor(trueLongitude / 90) * 90 - Math.floor(rightAscension / 90) * 90;
+  rightAscension /= 15;
+
+  const sinDeclination = 0.39782 * Math.sin(toRadians(trueLongitude));
+  const cosDeclination = Math.cos(Math.asin(sinDeclination));
+  const cosHourAngle = (Math.cos(toRadians(SUNSET_ZENITH)) - sinDeclination * Math.sin(toRadians(latitude))) /
+    (cosDeclination * Math.cos(toRadians(latitude)));
+  if (cosHourAngle < -1 || cosHourAngle > 1) {
+    return null;
+  }
+
+  const hourAngle = toDegrees(Math.acos(cosHourAngle)) / 15;
+  const localMeanTime = hourAngle + rightAscension - 0.06571 * approximateTime - 6.622;
+
+  // Keep the result within half a day of local 18:00, so sunsets west of Greenwich
+  // that fall after midnight UTC stay on the right day
+  let utcHours = localMeanTime - longitudeHours;
+  const expected = 18 - longitudeHours;
+  utcHours = normalize(utcHours - expected + 12, 24) + expected - 12;
+
+  return new Date(day.getTime() + Math.round(utcHours * 60) * MINUTE);
+}
+
+// Days from the Hebrew epoch to Rosh Hashana of a year, before the postponement
+// for year lengths (molad and "lo ADU Rosh")
+function getElapsedDays(year) {
+  const monthsElapsed = Math.floor((235 * year - 234) / 19);
+  const partsElapsed = 12084 + 13753 * monthsElapsed;
+  const days = 29 * monthsElapsed + Math.floor(partsElapsed / 25920);
+  return normalize(3 * (days + 1), 7) < 3 ? days + 1 : days;
+}
+
+// Rosh Hashana of a Hebrew year, as a naive day
+function getRoshHashana(hebrewYear) {
+  const previous = getElapsedDays(hebrewYear - 1);
+  const current = getElapsedDays(hebrewYear);
+  const next = getElapsedDays(hebrewYear + 1);
+
+  // Keep every year 353-355 or 383-385 days long
+  let correction = 0;
+  if (next - current === 356) {
+    correction = 2;
+  } else if (current - previous === 382) {
+    correction = 1;
+  }
+
+  const rd = HEBREW_EPOCH_RD + current + correction;
+  return new Date((rd - UNIX_EPOCH_RD) * DAY);
+}
+
+// Yom tov days in a Gregorian year, by "YYYY-MM-DD"
+const holidayCache = new Map();
+
+function getHolidaysInYear(year) {
+  if (!holidayCache.has(year)) {
+    // Rosh Hashana in the autumn of the year; Pesach and Shavuot in its spring are counted back from it
+    const roshHashana = getRoshHashana(year + 3761);
+    holidayCache.set(year, new Map(HOLIDAYS.map(holiday => [
+      toDateKey(addDays(roshHashana, holiday.offset)),
+      holiday.name
+    ])));
+  }
+  return holidayCache.get(year);
+}
+
+// Name of the holiday on a day, or null
+function getHoliday(day) {
+  return getHolidaysInYear(day.getUTCFullYear()).get(toDateKey(day)) || null;
+}
+
+// 'Shabbat', a holiday name or null
+function getRestDayName(day) {
+  return getHoliday(day) || (day.getUTCDay() === 6 ? 'Shabbat' : null);
+}
+
+// The rest window of the run of rest days that includes day:
+// { name, start: candle lighting, end: havdalah } (UTC Dates)
+function getRestWindowForDay(day) {
+  let first = day;
+  while (getRestDayName(addDays(first, -1))) {
+    first = addDays(first, -1);
+  }
+  let last = day;
+  while (getRestDayName(addDays(last, 1))) {
+    last = addDays(last, 1);
+  }
+
+  const names = [];
+  for (let current = first; current <= last; current = addDays(current, 1)) {
+    const name = getRestDayName(current);
+    if (!names.includes(name)) {
+      names.push(name);
+    }
+  }
+
+  const eveSunset = getSunset(addDays(first, -1));
+  const lastSunset = getSunset(last);
+  if (!eveSunset || !lastSunset) {
+    return null;
+  }
+
+  return {
+    name: names.join(' / '),
+    start: new Date(eveSunset.getTime() - LOCATION.candleLightingMinutes * MINUTE),
+    end: new Date(lastSunset.getTime() + LOCATION.havdalahMinutes * MINUTE)
+  };
+}
+
+// The Shabbat or holiday window a time falls in, or null
+function getRestWindow(time) {
+  const today = new Date(Date.UTC(time.getUTCFullYear(), time.getUTCMonth(), time.getUTCDate()));
+
+  // The rest day may be today, or tomorrow after candle lighting; far from Greenwich
+  // sunset can fall on the next UTC date, so yesterday is checked too
+  for (const offset of [-1, 0, 1]) {
+    const day = addDays(today, offset);
+    if (!getRestDayName(day)) {
+      continue;
+    }
+    const window = getRestWindowForDay(day);
+    if (window && time >= window.start && time < window.end) {
+      return window;
+    }
+  }
+
+  return null;
+}
+
+// The next rest windows that haven't ended by the given time
+function getUpcomingRestWindows(after, count) {
+  const windows = [];
+  let day = new Date(Date.UTC(after.getUTCFullYear(), after.getUTCMonth(), after.getUTCDate() - 1));
+
+  for (let checked = 0; windows.length < count && checked <= count * MAX_LOOKAHEAD_DAYS; checked++, day = addDays(day, 1)) {
+    if (!getRestDayName(day)) {
+      continue;
+    }
+    const window = getRestWindowForDay(day);
+    if (!window || window.end <= after || windows.some(existing => existing.start.getTime() === window.start.getTime())) {
+      continue;
+    }
+    windows.push(window);
+  }
+
+  return windows;
+}
+
+module.exports = {
+  getLocation,
+  getSunset,
+  getRoshHashana,
+  getHoliday,
+  getRestWindow,
+  getUpcomingRestWindows
+};
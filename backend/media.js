@@ -0,0 +1,136 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// Media is stored next to the database so it lives on the same volume (e.g. /data/media on Railway).
+// Set MEDIA_PATH to override.
+const mediaPath = process.env.MEDIA_PATH ||
+  (process.env.DATABASE_PATH
+    ? path.join(path.dirname(process.env.DATABASE_PATH), 'media')
+    : path.join(__dirname, 'media'));
+
+// Files younger than this are kept even if nothing references them yet
+// (e.g. media waiting for a /send contact selection)
+const ORPHAN_GRACE_PERIOD = 24 * 60 * 60 * 1000; // 1 day
+
+const EXTENSIONS = {
+  'image/jpeg': '.jpg',
+  'image/png': '.png',
+  'image/gif': '.gif',
+  'image/webp': '.webp',
+  'video/mp4': '.mp4',
+  'video/3gpp': '.3gp',
+  'audio/ogg': '.ogg',
+  'audio/mpeg': '.mp3',
+  'audio/mp4': '.m4a',
+  'application/pdf': '.pdf'
+};
+
+const MEDIA_LABELS = {
+  image: '🖼️ Image',
+  video: '🎬 Video',
+  ptt: '🎤 Voice note',
+  audio: '🎵 Audio',
+  document: '📄 Document',
+  sticker: '🏷️ Sticker'
+};
+
+function getExtension(media) {
+  if (media.filename && path.extname(media.filename)) {
+    return path.extname(media.filename);
+  }
+  const mimetype = (media.mimetype || '').split(';')[0].trim();
+  return EXTENSIONS[mimetype] || '';
+}
+
+// Download the media of a WhatsApp message and store it on disk.
+// Returns { path, mimetype, filename, type } to save with the scheduled message.
+async function downloadMessageMedia(message) {
+  const media = await message.downloadMedia();
+
+  if (!media || !media.data) {
+    throw new Error('Media could not be downloaded (it may have expired from the phone)');
+  }
+
+  fs.mkdirSync(mediaPath, { recursive: true });
+
+  const storedName = `${Date.now()}-${crypto.randomBytes(4).toString('hex')}${getExtension(media)}`;
+  const filePath = path.join(mediaPath, storedName);
+  await fs.promises.writeFile(filePath, Buffer.from(media.data, 'base64'));
+
+  console.log(`📎 Stored ${message.type} media at ${filePath}`);
+
+  return {
+    path: filePath,
+    mimetype: media.mimetype,
+    filename: media.filename || storedName,
+    type: message.type
+  };
+}
+
+// Build the media options for saveScheduledMessage from a database row
+function getMediaFromRow(row) {
+  if (!row || !row.media_path) {
+    return null;
+  }
+  return {
+    path: row.media_path,
+    mimetype: row.media_mimetype,
+    filename: row.media_filename,
+    type: row.media_type
+  };
+}
+
+function describeMedia(type) {
+  return MEDIA_LABELS[type] || '📎 Attachment';
+}
+
+// Short description of a message's content for confirmations, e.g. 🖼️ Image + "caption"
+function describeContent(text, mediaType) {
+  if (!mediaType) {
+    return `"${text}"`;
+  }
+  return text ? `${describeMedia(mediaType)} + "${text}"` : describeMedia(mediaType);
+}
+
+// Delete stored files that no active message references anymore
+async function cleanupOrphanedMedia(referencedPaths) {
+  if (!fs.existsSync(mediaPath)) {
+    return 0;
+  }
+
+  const referenced = new Set(referencedPaths.map(p => path.resolve(p)));
+  const cutoff = Date.now() - ORPHAN_GRACE_PERIOD;
+  let removed = 0;
+
+  for (const fileName of await fs.promises.readdir(mediaPath)) {
+    const filePath = path.resolve(mediaPath, fileName);
+    if (referenced.has(filePath)) {
+      continue;
+    }
+
+    try {
+      const stats = await fs.promises.stat(filePath);
+      if (stats.isFile() && stats.mtimeMs < cutoff) {
+        await fs.promises.unlink(filePath);
+        removed++;
+      }
+    } catch (err) {
+      console.error('Error cleaning up media file:', fileName, err.message);
+    }
+  }
+
+  if (removed > 0) {
+    console.log(`🧹 Removed ${removed} unused media file(s)`);
+  }
+  return removed;
+}
+
+module.exports = {
+  mediaPath,
+  downloadMessageMedia,
+  getMediaFromRow,
+  describeMedia,
+  describeContent,
+  cleanupOrphanedMedia
+};
@@ -1,106 +1,156 @@
-const { parseTimeCommand, parseSendCommand, formatIsraelTime } = require('./timeParser');
-const { saveScheduledMessage } = require('./database');
-const { sendMessageToSelf, sendListToSelf, sendButtonsToSelf, getUserPhoneNumber } = require('./whatsappClient');
+const fs = require('fs');
+const {
+  parseTimeCommand,
+  parseSendCommand,
+  parseTimeExpression,
+  getScheduledTimeIn,
+  formatTime,
+  formatDate,
+  formatClock,
+  formatTimeInWords,
+  formatRelativeTime
+} = require('./timeParser');
+const { saveScheduledMessage, saveBatchMessages } = require('./database');
+const { parseEveryCommand, describeRecurrence, getNextOccurrence } = require('./recurrence');
+const { downloadMessageMedia, getMediaFromRow, describeContent, describeMedia } = require('./media');
+const { checkSendingWindow, describeWindow, parseWindowCommand, GLOBAL_RECIPIENT } = require('./sendingWindows');
+const { getTimezone, getTimezoneOverrides, setTimezone, normalizeTimezone, ENV_TIMEZONE } = require('./timezones');
+const { checkShabbat, getShabbatMode, getShabbatOverrides, setShabbatMode, ENV_MODE: ENV_SHABBAT_MODE } = require('./shabbat');
+const { getUpcomingRestWindows, getLocation } = require('./jewishCalendar');
+const {
+  getDialog,
+  setDialog,
+  endDialog,
+  describeDialog,
+  describeDraftRecipients,
+  getTimeoutMinutes,
+  getAnswerId,
+  parseAnswer
+} = require('./dialog');
+const {
+  createStateMap,
+  markMessageProcessed,
+  cacheIncomingMessage,
+  searchCachedMessages,
+  countCachedMessages,
+  sweepExpiredState
+} = require('./conversationState');
+const {
+  MAX_HEADS_UP_MINUTES,
+  getDefaultHeadsUpMinutes,
+  setDefaultHeadsUpMinutes,
+  parseSnoozeDuration,
+  getHeadsUpCommand
+} = require('./headsUp');
+const {
+  parseTemplateReference,
+  getMissingPlaceholders,
+  getTemplateValues,
+  renderTemplate,
+  getTemplateFromRow
+} = require('./templates');
+const {
+  sendMessageToSelf,
+  sendListToSelf,
+  sendButtonsToSelf,
+  getUserPhoneNumber,
+  describeRecipient,
+  isGroupId
+} = require('./whatsappClient');
+const { registerCommand, dispatchCommand, describeHelp, describeCommandHelp } = require('./commands');
+
+// Conversational state is kept in the database so it survives restarts (see conversationState.js)
 
 // Store the last forwarded message per chat to track context
-const lastForwardedMessage = new Map();
+const lastForwardedMessage = createStateMap('forwarded');
 
 // Store recent contacts list for easy selection
-const recentContactsCache = new Map(); // Map of userId -> array of contacts
-
-// Store pending /send command context for contact selection
-const pendingSendContext = new Map(); // Map of chatId -> { matches, scheduledTime, message }
-
-// Cache all incoming messages for a day to quickly find original senders when forwarding
-// Structure: Map of message body -> array of { senderId, senderName, chatName, timestamp }
-const incomingMessageCache = new Map();
-const MESSAGE_CACHE_DURATION = 3 * 60 * 60 * 1000; // 3 hours in milliseconds
-
-// Store incoming message in cache
-function cacheIncomingMessage(messageBody, senderId, senderName, chatName, timestamp) {
-  if (!messageBody || messageBody.trim().length === 0) {
-    return; // Don't cache empty messages
-  }
-
-  const existing = incomingMessageCache.get(messageBody) || [];
-
-  // Add new entry
-  existing.push({
-    senderId: senderId,
-    senderName: senderName,
-    chatName: chatName,
-    timestamp: timestamp
-  });
-
-  incomingMessageCache.set(messageBody, existing);
-
+const recentContactsCache = createStateMap('contacts'); // userId -> array of contacts
+
+// How far back /show lists sent messages with their delivery receipts
+const RECENTLY_SENT_WINDOW = 24 * 60 * 60 * 1000; // 24 hours
+
+// Delivery receipt of a sent message, e.g. "✓✓ Read 14:05"
+function describeReceipt(msg) {
+  const at = (timestamp) => timestamp
+    ? ` ${formatClock(new Date(timestamp))}`
+    : '';
+
+  if (msg.ack >= 4) return `▶️ Played${at(msg.ack_played_at)}`;
+  if (msg.ack >= 3) return `✓✓ Read${at(msg.ack_read_at)}`;
+  if (msg.ack >= 2) return `✓✓ Delivered${at(msg.ack_delivered_at)}`;
+  if (msg.ack >= 1) return `✓ Sent to server${at(msg.ack_server_at)}`;
+  return '🕓 Waiting for receipt';
 }
 
-// Search cache for matching messages
-function searchCachedMessages(messageBody) {
-  const matches = incomingMessageCache.get(messageBody);
-
-  if (!matches || matches.length === 0) {
-    return [];
+function formatRecentlySent(messages) {
+  if (messages.length === 0) {
+    return '';
   }
 
-  // Filter by TTL - only return messages within the cache duration
-  const now = Date.now();
-  const cutoff = now - MESSAGE_CACHE_DURATION;
-  const recentMatches = matches.filter(m => m.timestamp > cutoff);
-
-  return recentMatches;
+  let text = `\n\n📨 *Recently Sent* (last 24 hours)\n`;
+  messages.forEach(msg => {
+    text += `\n*ID ${msg.id}* → ${describeRecipient(msg.recipient_name, msg.recipient)}: ${describeReceipt(msg)}`;
+  });
+  return text;
 }
 
-// Cleanup function to remove expired messages from cache
-function cleanupMessageCache() {
-  const now = Date.now();
-  const cutoff = now - MESSAGE_CACHE_DURATION;
-
-  let removedMessages = 0;
-  let removedEntries = 0;
-
-  for (const [messageBody, senders] of incomingMessageCache.entries()) {
-    const recentSenders = senders.filter(s => s.timestamp > cutoff);
-    const expiredCount = senders.length - recentSenders.length;
-
-    if (recentSenders.length === 0) {
-      // All senders are expired, remove the entire entry
-      incomingMessageCache.delete(messageBody);
-      removedEntries++;
-      removedMessages += expiredCount;
-    } else if (expiredCount > 0) {
-      // Some senders expired, update the entry
-      incomingMessageCache.set(messageBody, recentSenders);
-      removedMessages += expiredCount;
+// Cancel pending "unless reply" messages to a chat that just wrote to me, and report it in self-chat
+async function cancelNudgesOnReply(chatId, message) {
+  try {
+    const { cancelOnReply } = require('./database');
+    const repliedAt = message.timestamp ? new Date(message.timestamp * 1000) : new Date();
+    const cancelled = await cancelOnReply(chatId, repliedAt);
+
+    for (const msg of cancelled) {
+      console.log(`🔕 Cancelled message ${msg.id} - ${msg.recipient_name || msg.recipient} replied`);
+      await sendMessageToSelf(
+        `🔕 *${describeRecipient(msg.recipient_name, msg.recipient)}* replied - dropped your scheduled nudge\n\n` +
+        `💬 ${describeContent(msg.message, msg.media_type)}\n` +
+        `⏰ Was due: ${formatTime(new Date(msg.scheduled_time), getTimezone(msg.recipient))}\n` +
+        `🆔 ID: ${msg.id}`
+      );
     }
+  } catch (err) {
+    console.error('Error cancelling messages on reply:', err.message);
   }
-
 }
 
-// Run cleanup every hour
-setInterval(cleanupMessageCache, 60 * 60 * 1000);
+// Drop expired conversational state every 10 minutes
+setInterval(sweepExpiredState, 10 * 60 * 1000);
 
 // Function to get and cache recent chats
 async function getRecentContacts(client, userPhone) {
   const cacheKey = userPhone;
 
   // Check cache (valid for 5 minutes)
-  const cached = recentContactsCache.get(cacheKey);
-  if (cached && (Date.now() - cached.timestamp < 5 * 60 * 1000)) {
-    return cached.contacts;
+  const cached = await recentContactsCache.get(cacheKey);
+  if (cached) {
+    return cached;
   }
   try {
     const chats = await client.getChats();
 
-    // Filter to only include individual chats (not groups, not self)
-    const individualChats = chats
-      .filter(chat => !chat.isGroup && chat.id._serialized !== userPhone + '@c.us')
+    // Individual chats and groups I can still post to (not self, not the bot's command group)
+    const recentChats = chats
+      .filter(chat => chat.id._serialized !== userPhone + '@c.us')
+      .filter(chat => !chat.isGroup || (!chat.isReadOnly && chat.id.user !== getDedicatedGroupUser()))
       .sort((a, b) => b.timestamp - a.timestamp) // Sort by most recent
       .slice(0, 20); // Get top 20
 
     const contacts = [];
-    for (const chat of individualChats) {
+    for (const chat of recentChats) {
+      if (chat.isGroup) {
+        contacts.push({
+          id: chat.id._serialized,
+          name: chat.name || chat.id.user,
+          number: null,
+          isGroup: true,
+          timestamp: chat.timestamp
+        });
+        continue;
+      }
+
       try {
         // Use chat properties directly, try getContact but don't fail if it doesn't work
         let contactName = chat.name || chat.id.user;
@@ -123,10 +173,7 @@ async function getRecentContacts(client, userPhone) {
       }
     }
 
-    recentContactsCache.set(cacheKey, {
-      contacts,
-      timestamp: Date.now()
-    });
+    await recentContactsCache.set(cacheKey, contacts);
 
     return contacts;
   } catch (err) {
@@ -135,11 +182,566 @@ async function getRecentContacts(client, userPhone) {
   }
 }
 
+// Find recent contacts and groups whose name or number contains the search term.
+// A trailing "group" ("Family group") only matches groups.
+async function findMatchingContacts(client, userPhone, name) {
+  const allContacts = await getRecentContacts(client, userPhone);
+  console.log('Got', allContacts.length, 'contacts');
+  let searchTerm = name.toLowerCase().trim();
+
+  const matches = (term, groupsOnly) => allContacts.filter(contact =>
+    (!groupsOnly || contact.isGroup) && (
+      contact.name.toLowerCase().includes(term) ||
+      (contact.number && contact.number.includes(term))
+    )
+  );
+
+  const groupMatch = searchTerm.match(/^(?:the\s+)?(.+?)\s+group$/);
+  if (groupMatch) {
+    // Prefer a group literally named "... group", then any group matching the rest
+    const literal = matches(searchTerm, true);
+    return literal.length > 0 ? literal : matches(groupMatch[1], true);
+  }
+
+  return matches(searchTerm, false);
+}
+
+// Describe a recent contact or group in selection lists
+function describeContactOption(contact) {
+  return contact.isGroup ? '👥 Group' : contact.number;
+}
+
+// When a parsed command is due for a recipient: absolute times and recurrences are read in
+// the recipient's timezone, relative times stay as they are
+function getRecipientScheduledTime(parsed, recipientId) {
+  const timeZone = getTimezone(recipientId);
+  return parsed.recurrence
+    ? getNextOccurrence(parsed.recurrence, new Date(), timeZone)
+    : getScheduledTimeIn(parsed, timeZone);
+}
+
+// Warning for confirmations when a time falls during Shabbat or a holiday
+function describeShabbatWarning(recipientId, scheduledTime) {
+  const check = checkShabbat(recipientId, new Date(scheduledTime));
+  if (!check) {
+    return '';
+  }
+
+  const havdalah = formatTime(check.window.end, getTimezone(recipientId));
+  return check.defer
+    ? `🕯️ During ${check.window.name} - will be sent after havdalah, ${havdalah}\n`
+    : `🕯️ During ${check.window.name} (until ${havdalah}) - /shabbat [name] on holds messages until havdalah\n`;
+}
+
+// Warning for confirmations when a time falls during Shabbat or outside the recipient's allowed-sending windows
+async function describeWindowWarning(recipientId, scheduledTime) {
+  const shabbatWarning = describeShabbatWarning(recipientId, scheduledTime);
+
+  try {
+    const check = await checkSendingWindow(recipientId, new Date(scheduledTime));
+    if (check.allowed) {
+      return shabbatWarning;
+    }
+
+    const windows = check.blockedBy.map(window => `${window.label}: ${describeWindow(window.rule)}`).join(', ');
+    return shabbatWarning + (check.nextAllowed
+      ? `🌙 Outside allowed hours (${windows}) - will be sent at ${formatTime(check.nextAllowed, getTimezone(recipientId))}\n`
+      : `⚠️ Outside allowed hours (${windows}), which never overlap - will be sent as scheduled\n`);
+  } catch (err) {
+    console.error('Error checking sending window:', err.message);
+    return shabbatWarning;
+  }
+}
+
+// Replace a "#name key=value ..." template reference with the saved template body.
+// Returns { message, template }, or { error } when the referenced template doesn't exist.
+async function applyTemplate(text) {
+  const reference = parseTemplateReference(text);
+  if (!reference) {
+    return { message: text, template: null };
+  }
+
+  const { getTemplate } = require('./database');
+  const saved = await getTemplate(reference.name);
+  if (!saved) {
+    // "#1 priority ..." is ordinary text; a bare reference or one with arguments is a typo
+    if (reference.args.text && Object.keys(reference.args).length === 1) {
+      return { message: text, template: null };
+    }
+    return { error: `❌ No template named "*${reference.name}*".\n\nSend /template list to see your templates.` };
+  }
+
+  return { message: saved.body, template: { name: saved.name, args: reference.args } };
+}
+
+// Message line for confirmations - templates are previewed for the recipient when known
+function describeScheduledContent(text, mediaType, template, recipientName, scheduledTime, timeZone) {
+  if (!template) {
+    return describeContent(text, mediaType);
+  }
+  const preview = recipientName
+    ? renderTemplate(text, getTemplateValues(recipientName, new Date(scheduledTime), template.args, timeZone))
+    : text;
+  return `${describeContent(preview, mediaType)} (📝 template *${template.name}*)`;
+}
+
+// Warning for template placeholders that nothing will fill in
+function describeTemplateWarning(text, template) {
+  if (!template) {
+    return '';
+  }
+  const missing = getMissingPlaceholders(text, template.args);
+  return missing.length > 0
+    ? `⚠️ No value for ${missing.map(key => `{${key}}`).join(', ')} - add ${missing.map(key => `${key}=...`).join(' ')} to the command\n`
+    : '';
+}
+
+// Whether new messages are previewed for confirmation before they are saved (/confirm)
+const CONFIRM_SETTING = 'confirm_before_schedule';
+
+async function isConfirmationEnabled() {
+  const { getSetting } = require('./database');
+  const value = await getSetting(CONFIRM_SETTING);
+  return value !== null ? value === 'on' : process.env.CONFIRM_BEFORE_SCHEDULE === 'true';
+}
+
+// A message to one recipient, ready to be saved:
+// { recipientId, recipientName, message, scheduledTime, media, recurrence, cancelOnReply, template, quotedMessageId }
+// or to several (a batch draft), with recipients: [{ id, name, scheduledTime }] instead of
+// recipientId and recipientName. Each recipient has their own time, read in their timezone;
+// the draft's scheduledTime is the earliest of them.
+function isBatchDraft(draft) {
+  return Array.isArray(draft.recipients);
+}
+
+function getBatchDraft(recipients, fields) {
+  const times = recipients.map(recipient => recipient.scheduledTime.getTime());
+  return { ...fields, recipients, scheduledTime: new Date(Math.min(...times)) };
+}
+
+// The recipient whose message goes out first
+function getFirstRecipient(draft) {
+  return isBatchDraft(draft)
+    ? draft.recipients.find(recipient => recipient.scheduledTime.getTime() === draft.scheduledTime.getTime())
+    : { id: draft.recipientId, name: draft.recipientName, scheduledTime: draft.scheduledTime };
+}
+
+async function describeBatchDraft(draft) {
+  const { recipients } = draft;
+
+  let windowWarnings = '';
+  for (const recipient of recipients) {
+    const warning = await describeWindowWarning(recipient.id, recipient.scheduledTime);
+    if (warning) {
+      windowWarnings += `${describeRecipient(recipient.name, recipient.id)}: ${warning}`;
+    }
+  }
+
+  // One time for everyone, or each recipient's own when their timezones differ
+  const minute = (time) => Math.floor(time.getTime() / 60000);
+  const sameTime = recipients.every(recipient => minute(recipient.scheduledTime) === minute(draft.scheduledTime));
+  const timeText = sameTime
+    ? `⏰ Time: ${formatTime(draft.scheduledTime)}\n`
+    : `⏰ Times:\n${recipients.map(recipient => `• ${describeRecipient(recipient.name, recipient.id)}: ${formatTime(recipient.scheduledTime, getTimezone(recipient.id))}`).join('\n')}\n`;
+
+  return `📧 To: ${recipients.map(recipient => `*${describeRecipient(recipient.name, recipient.id)}*`).join(', ')}\n` +
+    `💬 Message: ${describeScheduledContent(draft.message, draft.media && draft.media.type, draft.template, null)}\n` +
+    timeText +
+    (draft.cancelOnReply ? `🔕 Cancelled per contact if they reply before then${recipients.some(recipient => isGroupId(recipient.id)) ? ' (groups get it anyway)' : ''}\n` : '') +
+    describeTemplateWarning(draft.message, draft.template) +
+    windowWarnings;
+}
+
+async function describeDraft(draft) {
+  if (isBatchDraft(draft)) {
+    return describeBatchDraft(draft);
+  }
+
+  const timeZone = getTimezone(draft.recipientId);
+  return `📧 To: *${describeRecipient(draft.recipientName, draft.recipientId)}*\n` +
+    `💬 Message: ${describeScheduledContent(draft.message, draft.media && draft.media.type, draft.template, draft.recipientName, draft.scheduledTime, timeZone)}\n` +
+    describeTemplateWarning(draft.message, draft.template) +
+    (draft.recurrence ? `🔁 Repeats: ${describeRecurrence(draft.recurrence)}\n` : '') +
+    `⏰ ${draft.recurrence ? 'First' : 'Time'}: ${formatTime(draft.scheduledTime, timeZone)}\n` +
+    (draft.quotedMessageId ? `↩️ Will be sent as a reply to their message\n` : '') +
+    (draft.cancelOnReply && !isGroupId(draft.recipientId) ? `🔕 Cancelled if they reply before then\n` : '') +
+    (draft.cancelOnReply && isGroupId(draft.recipientId) ? `⚠️ "Unless reply" works for contacts only - this group message is sent anyway\n` : '') +
+    await describeWindowWarning(draft.recipientId, draft.scheduledTime);
+}
+
+async function saveBatchDraft(draft) {
+  const { batchId, ids } = await saveBatchMessages(draft.recipients, draft.message, draft.scheduledTime, {
+    media: draft.media,
+    cancelOnReply: draft.cancelOnReply,
+    template: draft.template
+  });
+
+  await sendMessageToSelf(
+    `✅ Message scheduled for ${draft.recipients.length} recipient(s)!\n\n` +
+    await describeBatchDraft(draft) +
+    `📦 Batch: ${batchId} (IDs ${ids.join(', ')})\n\n` +
+    `💡 Status: /batch ${batchId}`
+  );
+
+  console.log(`✅ Batch ${batchId} scheduled for ${draft.recipients.length} recipients`);
+  return batchId;
+}
+
+async function saveDraft(draft) {
+  if (isBatchDraft(draft)) {
+    return saveBatchDraft(draft);
+  }
+
+  const messageId = await saveScheduledMessage(
+    draft.recipientId,
+    draft.recipientName,
+    draft.message,
+    new Date(draft.scheduledTime).toISOString(),
+    {
+      quotedMessageId: draft.quotedMessageId,
+      media: draft.media,
+      recurrence: draft.recurrence,
+      cancelOnReply: draft.cancelOnReply && !isGroupId(draft.recipientId),
+      template: draft.template
+    }
+  );
+
+  await sendMessageToSelf(
+    `✅ ${draft.recurrence ? 'Recurring message' : 'Message'} scheduled!\n\n` +
+    await describeDraft(draft) +
+    `🆔 ID: ${messageId}`
+  );
+
+  console.log(`✅ Message ${messageId} scheduled for ${draft.recipientName}`);
+  return messageId;
+}
+
+// Show a draft with Confirm / Edit time / Cancel. Buttons don't render on every WhatsApp
+// version, so the text also asks for a number.
+async function sendConfirmationPreview(chatId, draft) {
+  const dialog = await setDialog(chatId, 'confirm', { draft });
+
+  const timeZone = getTimezone(getFirstRecipient(draft).id);
+  const body = `👀 *Check before scheduling*\n\n` +
+    await describeDraft(draft) +
+    `🗓️ ${formatTimeInWords(draft.scheduledTime, timeZone)} - ${formatRelativeTime(draft.scheduledTime)}\n\n` +
+    `Reply *1* to confirm, *2* to edit the time, *3* to cancel`;
+
+  const sent = await sendButtonsToSelf(body, [
+    { id: getAnswerId(dialog, 'confirm'), body: '✅ Confirm' },
+    { id: getAnswerId(dialog, 'edit'), body: '✏️ Edit time' },
+    { id: getAnswerId(dialog, 'cancel'), body: '❌ Cancel' }
+  ]);
+  if (!sent) {
+    await sendMessageToSelf(body);
+  }
+}
+
+// Save a draft right away, or preview it first when /confirm is on
+async function scheduleDraft(chatId, draft) {
+  if (await isConfirmationEnabled()) {
+    await sendConfirmationPreview(chatId, draft);
+    return null;
+  }
+  return saveDraft(draft);
+}
+
+const CONFIRMATION_CHOICES = {
+  '1': 'confirm', 'confirm': 'confirm', 'yes': 'confirm',
+  '2': 'edit', 'edit': 'edit', 'edit time': 'edit',
+  '3': 'cancel', 'cancel': 'cancel', 'no': 'cancel'
+};
+
+// "1", "confirm" or the button's text ("✅ Confirm") → 'confirm' | 'edit' | 'cancel' | null
+function parseConfirmationChoice(text) {
+  const normalized = (text || '').trim().toLowerCase().replace(/^[^a-z0-9]+/, '');
+  return CONFIRMATION_CHOICES[normalized] || null;
+}
+
+// A new time for a draft in the recipient's timezone. Recurring drafts take a new time of day
+// ("at 20:00") for the whole series. Returns { scheduledTime, recurrence } or { error }.
+function parseDraftTime(draft, text) {
+  const timeZone = getTimezone(draft.recipientId);
+
+  if (draft.recurrence) {
+    const rule = typeof draft.recurrence === 'string' ? JSON.parse(draft.recurrence) : draft.recurrence;
+    const timeMatch = text.trim().match(/^(?:at\s+)?(\d{1,2})(?::(\d{2}))?$/i);
+    if (rule.type === 'cron') {
+      return { error: '❌ The time of a cron schedule can\'t be changed here - reply 1 to confirm or 3 to cancel.' };
+    }
+    if (!timeMatch || parseInt(timeMatch[1]) > 23 || parseInt(timeMatch[2] || '0') > 59) {
+      return { error: '❌ Send the new time of day, e.g. `at 20:00`' };
+    }
+    const recurrence = { ...rule, hour: parseInt(timeMatch[1]), minute: parseInt(timeMatch[2] || '0') };
+    return { scheduledTime: getNextOccurrence(recurrence, new Date(), timeZone), recurrence };
+  }
+
+  if (isBatchDraft(draft)) {
+    // Read in each recipient's timezone, like the time the batch was first given
+    const recipients = [];
+    for (const recipient of draft.recipients) {
+      const edited = parseFutureTime(text, getTimezone(recipient.id));
+      if (edited.error) {
+        return edited;
+      }
+      recipients.push({ ...recipient, scheduledTime: edited.scheduledTime });
+    }
+    return getBatchDraft(recipients, {});
+  }
+
+  return { ...parseFutureTime(text, timeZone), recurrence: draft.recurrence };
+}
+
+// A time that is still to come, read in timeZone. Returns { scheduledTime } or { error }.
+function parseFutureTime(text, timeZone) {
+  const scheduledTime = parseTimeExpression(text, timeZone);
+  if (!scheduledTime) {
+    return { error: `❌ Could not understand the time "${text.trim()}".\n\nExamples: today at 20:00, tomorrow at 8, in 2 hours` };
+  }
+  if (scheduledTime <= new Date()) {
+    return { error: `❌ ${formatTime(scheduledTime, timeZone)} is in the past - send a later time.` };
+  }
+  return { scheduledTime };
+}
+
+// What to send when asking for a draft's new time
+function describeTimeRequest(draft) {
+  return draft.recurrence
+    ? '✏️ Send the new time of day, e.g. `at 20:00`'
+    : '✏️ Send the new time, e.g. `today at 20:00`, `tomorrow at 8` or `in 2 hours`';
+}
+
+const ANSWER_PREFIXES = ['sender', 'contact', 'confirm', 'edit', 'cancel'];
+
+// Handle a message as the answer to what the chat is waiting for (see dialog.js).
+// Returns true if it was taken as one - including stale or invalid answers, which are
+// explained instead of acted on.
+async function handleDialogAnswer(chatId, answer) {
+  const dialog = await getDialog(chatId);
+  const parsed = parseAnswer(answer, dialog, ANSWER_PREFIXES);
+
+  if (parsed.stale) {
+    await sendMessageToSelf('⌛ That list or button is out of date - nothing was done.' +
+      (dialog && !dialog.expired ? `\n\n⏳ Waiting for ${describeDialog(dialog)}, or /abort` : ''));
+    return true;
+  }
+  if (!dialog) {
+    return false;
+  }
+
+  const isPick = /^\d+$/.test(parsed.value);
+  const choice = parseConfirmationChoice(parsed.value);
+
+  if (dialog.expired) {
+    // Only what the dialog would have taken is rejected; anything else is an ordinary message
+    const wasAnswer = dialog.state === 'editTime' || (dialog.state === 'confirm' ? choice !== null : isPick);
+    if (!wasAnswer) {
+      return false;
+    }
+    await endDialog(chatId);
+    await sendMessageToSelf(`⌛ Too late - I stopped waiting for ${describeDialog(dialog)} after ${getTimeoutMinutes(dialog)} minutes.\n\n` +
+      'Nothing was done - please start again.');
+    return true;
+  }
+
+  const remind = () => sendMessageToSelf(`⏳ Waiting for ${describeDialog(dialog)}.\n\nAnswer, or send /abort to stop.`);
+
+  if (dialog.state === 'pickSender' || dialog.state === 'pickContact') {
+    if (!isPick) {
+      await remind();
+      return true;
+    }
+
+    const { matches } = dialog.data;
+    const index = parseInt(parsed.value) - 1;
+    if (index < 0 || index >= matches.length) {
+      await sendMessageToSelf(`❌ Invalid selection: ${parsed.value}\n\nPlease choose a number between 1 and ${matches.length}, or /abort`);
+      return true;
+    }
+    await endDialog(chatId);
+
+    if (dialog.state === 'pickSender') {
+      const selectedMatch = matches[index];
+      await lastForwardedMessage.set(chatId, {
+        timestamp: dialog.data.timestamp,
+        from: selectedMatch.chatId,
+        forwardingScore: dialog.data.forwardingScore,
+        originalSender: selectedMatch.contactName,
+        searchedForOriginal: true,
+        foundMatches: 1
+      });
+      await sendMessageToSelf(`✅ Selected: *${selectedMatch.contactName}*\n\nNow send:\n/reply in [time] [message]\n\nExample: /reply in 2 hours hey there!`);
+      return true;
+    }
+
+    const selectedContact = matches[index];
+    console.log('✅ User selected:', selectedContact.name);
+    try {
+      const draft = {
+        recipientId: selectedContact.id,
+        recipientName: selectedContact.name,
+        message: dialog.data.message,
+        scheduledTime: getRecipientScheduledTime(dialog.data, selectedContact.id),
+        media: dialog.data.media,
+        recurrence: dialog.data.recurrence,
+        cancelOnReply: dialog.data.cancelOnReply,
+        template: dialog.data.template
+      };
+
+      // The time was read when the question was asked, and may have passed while waiting
+      if (new Date(draft.scheduledTime) <= new Date()) {
+        await setDialog(chatId, 'editTime', { draft });
+        await sendMessageToSelf(`⚠️ ${formatTime(draft.scheduledTime, getTimezone(draft.recipientId))} has passed while waiting.\n\n` +
+          `${describeTimeRequest(draft)}, or /abort`);
+        return true;
+      }
+
+      await scheduleDraft(chatId, draft);
+    } catch (err) {
+      console.error('❌ Error scheduling message:', err);
+      await sendMessageToSelf('❌ Error scheduling message. Please try again.');
+    }
+    return true;
+  }
+
+  // confirm / editTime - answering a scheduling preview
+  const { draft } = dialog.data;
+  try {
+    if (choice === 'confirm') {
+      if (new Date(draft.scheduledTime) <= new Date()) {
+        await sendMessageToSelf('⚠️ That time has passed while waiting - reply 2 to pick a new time, or 3 to cancel.');
+        return true;
+      }
+      await endDialog(chatId);
+      await saveDraft(draft);
+    } else if (choice === 'cancel') {
+      await endDialog(chatId);
+      await sendMessageToSelf(`🗑️ Not scheduled - the message to *${describeDraftRecipients(draft)}* was discarded.`);
+    } else if (choice === 'edit') {
+      await setDialog(chatId, 'editTime', dialog.data, dialog.id);
+      await sendMessageToSelf(describeTimeRequest(draft));
+    } else if (dialog.state === 'editTime') {
+      const edited = parseDraftTime(draft, parsed.value);
+      if (edited.error) {
+        await sendMessageToSelf(edited.error);
+        return true;
+      }
+      await sendConfirmationPreview(chatId, { ...draft, ...edited });
+    } else {
+      await remind();
+    }
+  } catch (err) {
+    console.error('Error handling scheduling confirmation:', err.message);
+    await sendMessageToSelf('❌ Error scheduling message. Please try again.');
+  }
+  return true;
+}
+
+// Split "Dana, Avi, Family group" into individual recipient names
+function splitRecipientNames(text) {
+  return text.split(',').map(name => name.trim()).filter(Boolean);
+}
+
+// Resolve names of contacts, groups or saved /group lists to recipients { id, name }.
+// Returns { recipients, notFound, ambiguous } where ambiguous is [{ name, matches }].
+async function resolveRecipients(client, userPhone, names) {
+  const { getRecipientList } = require('./database');
+  const recipients = [];
+  const notFound = [];
+  const ambiguous = [];
+
+  const add = (recipient) => {
+    if (!recipients.some(existing => existing.id === recipient.id)) {
+      recipients.push({ id: recipient.id, name: recipient.name });
+    }
+  };
+
+  for (const name of names) {
+    const list = await getRecipientList(name);
+    if (list) {
+      list.members.forEach(add);
+      continue;
+    }
+
+    const matches = await findMatchingContacts(client, userPhone, name);
+    const exact = matches.filter(match => match.name.toLowerCase() === name.toLowerCase());
+
+    if (matches.length === 1) {
+      add(matches[0]);
+    } else if (exact.length === 1) {
+      add(exact[0]);
+    } else if (matches.length === 0) {
+      notFound.push(name);
+    } else {
+      ambiguous.push({ name, matches });
+    }
+  }
+
+  return { recipients, notFound, ambiguous };
+}
+
+// Explain which recipient names could not be resolved
+function formatUnresolvedRecipients({ notFound, ambiguous }) {
+  let text = '';
+  notFound.forEach(name => {
+    text += `❓ No contact or group matches "*${name}*"\n`;
+  });
+  ambiguous.forEach(({ name, matches }) => {
+    text += `🔀 "*${name}*" matches ${matches.length}: ${matches.slice(0, 5).map(match => describeRecipient(match.name, match.id)).join(', ')}\n`;
+  });
+  return text + `\nUse a more specific name, or send /list to see contacts and groups.`;
+}
+
+// Schedule one message to several recipients as a batch (previewed first when /confirm is on)
+async function scheduleBatch(chatId, client, userPhone, names, parsed, media) {
+  const resolved = await resolveRecipients(client, userPhone, names);
+
+  if (resolved.notFound.length > 0 || resolved.ambiguous.length > 0) {
+    await sendMessageToSelf(`❌ Message not scheduled - please check the recipients:\n\n${formatUnresolvedRecipients(resolved)}`);
+    return;
+  }
+
+  if (resolved.recipients.length === 0) {
+    await sendMessageToSelf(`❌ Message not scheduled - the list "*${names[0]}*" has no members.`);
+    return;
+  }
+
+  // Absolute times are wall-clock times in each recipient's timezone, like /send to one recipient
+  const recipients = resolved.recipients.map(recipient => ({
+    ...recipient,
+    scheduledTime: getRecipientScheduledTime(parsed, recipient.id)
+  }));
+
+  await scheduleDraft(chatId, getBatchDraft(recipients, {
+    message: parsed.message,
+    media,
+    cancelOnReply: parsed.cancelOnReply,
+    template: parsed.template
+  }));
+}
+
+const BATCH_STATUS_ICONS = {
+  pending: '⏳',
+  sending: '📤',
+  sent: '✅',
+  failed: '❌',
+  cancelled: '🚫',
+  held: '⏸️',
+  missed: '⌛'
+};
+
 const DEDICATED_GROUP_ID = process.env.DEDICATED_GROUP_ID || null;
-const SERVER_START_TIME = Date.now();
 
-// Track processed message IDs to prevent duplicates
-const processedMessageIds = new Set();
+// Errors from database.js for a status change the message lifecycle doesn't allow -
+// their text is meant for the user
+function isStatusError(err) {
+  return err.code === 'MESSAGE_NOT_FOUND' || err.code === 'INVALID_STATUS_TRANSITION';
+}
+
+function getDedicatedGroupUser() {
+  return DEDICATED_GROUP_ID ? DEDICATED_GROUP_ID.replace(/@g\.us$/, '') : null;
+}
+const SERVER_START_TIME = Date.now();
 
 // Helper function to get message body reliably
 async function getMessageBody(message) {
@@ -151,42 +753,1809 @@ async function getMessageBody(message) {
   // Try getBody() method if available
   if (typeof message.getBody === 'function') {
     try {
-      const body = await message.getBody();
-      if (body) return body;
+      const body = await message.getBody();
+      if (body) return body;
+    } catch (err) {
+      // Ignore
+    }
+  }
+
+  if (message._data && message._data.body) {
+    return message._data.body;
+  }
+
+  if (message.rawData && message.rawData.body) {
+    return message.rawData.body;
+  }
+
+  return null;
+}
+
+// Several contacts match a name: list them and wait for a pick (see handleDialogAnswer).
+// data is what to schedule once picked: { scheduledTime, isRelativeTime, timeZone, message, media, cancelOnReply, template }
+async function askToPickContact(chatId, searchName, matches, data) {
+  const dialog = await setDialog(chatId, 'pickContact', { matches, ...data });
+
+  // Create list items from matches
+  const rows = matches.map((contact, index) => ({
+    id: getAnswerId(dialog, 'contact', index + 1),
+    title: contact.name,
+    description: describeContactOption(contact)
+  }));
+
+  const sections = [
+    {
+      title: 'Select Contact',
+      rows: rows
+    }
+  ];
+
+  const sent = await sendListToSelf(
+    `📋 Found ${matches.length} contacts matching "*${searchName}*"\n\nSelect the contact to send to (or /abort):`,
+    'Choose Contact',
+    sections
+  );
+  if (!sent) {
+    // Lists don't render on every client - fall back to a numbered menu
+    let choiceMessage = `❓ Found ${matches.length} contacts matching "*${searchName}*":\n\n`;
+    matches.forEach((contact, index) => {
+      choiceMessage += `${index + 1}. ${describeRecipient(contact.name, contact.id)}\n`;
+    });
+    choiceMessage += `\nReply with the number to schedule the message, or /abort.`;
+
+    await sendMessageToSelf(choiceMessage);
+  }
+}
+
+// /send - schedule a message to contacts, groups or lists by name
+async function handleSendCommand({ message, messageBody, chat, userPhone }) {
+  try {
+    console.log('Processing /send command:', messageBody);
+
+    // With attached media the text is an optional caption
+    const parsed = parseSendCommand(messageBody, { allowEmptyMessage: message.hasMedia });
+
+  if (!parsed) {
+    await sendMessageToSelf('❌ Could not parse /send command.\n\nFormat: `/send [name] in [time] [message]`\n\nExample: /send John in 2 hours Hey there!\n\nבעברית: /send אמא מחר ב-9 בוקר טוב');
+    return;
+  }
+
+  console.log('Parsed /send:', parsed);
+
+  const templated = await applyTemplate(parsed.message);
+  if (templated.error) {
+    await sendMessageToSelf(templated.error);
+    return;
+  }
+  parsed.message = templated.message;
+  parsed.template = templated.template;
+
+  // Download attached media now - the WhatsApp message may not be available later
+  let media = null;
+  if (message.hasMedia) {
+    try {
+      media = await downloadMessageMedia(message);
+    } catch (err) {
+      console.error('Error downloading media:', err.message);
+      await sendMessageToSelf(`❌ Could not download the attached media: ${err.message}`);
+      return;
+    }
+  }
+
+  // Several recipients ("Dana, Avi, Family group") or a saved /group list fan out as a batch
+  const recipientNames = splitRecipientNames(parsed.recipientName);
+  const { getRecipientList } = require('./database');
+  if (recipientNames.length > 1 || await getRecipientList(recipientNames[0] || '')) {
+    await scheduleBatch(chat.id._serialized, message.client, userPhone, recipientNames, parsed, media);
+    return;
+  }
+
+  // Search for contacts matching the name
+  console.log('Fetching contacts...');
+  const matches = await findMatchingContacts(message.client, userPhone, parsed.recipientName);
+
+  console.log(`Found ${matches.length} contact(s) matching "${parsed.recipientName}"`);
+
+  if (matches.length === 0) {
+    await sendMessageToSelf(`❌ No contacts found matching "*${parsed.recipientName}*"\n\nSend /list to see all contacts.`);
+    return;
+  } else if (matches.length === 1) {
+    // Exactly one match - schedule directly
+    const contact = matches[0];
+    console.log('✅ Found exact match:', contact.name);
+
+    try {
+      await scheduleDraft(chat.id._serialized, {
+        recipientId: contact.id,
+        recipientName: contact.name,
+        message: parsed.message,
+        scheduledTime: getRecipientScheduledTime(parsed, contact.id),
+        media,
+        cancelOnReply: parsed.cancelOnReply,
+        template: parsed.template
+      });
+    } catch (err) {
+      console.error('❌ Error scheduling message:', err);
+      await sendMessageToSelf('❌ Error scheduling message. Please try again.');
+    }
+    return;
+  } else {
+    // Multiple matches - ask user to choose using a list
+    console.log('❓ Multiple matches found, asking user to choose');
+    await askToPickContact(chat.id._serialized, parsed.recipientName, matches, {
+      scheduledTime: parsed.scheduledTime,
+      isRelativeTime: parsed.isRelativeTime,
+      timeZone: parsed.timeZone,
+      message: parsed.message,
+      media: media,
+      cancelOnReply: parsed.cancelOnReply,
+      template: parsed.template
+    });
+    return;
+  }
+  } catch (err) {
+    console.error('Error in /send command:', err.message);
+    await sendMessageToSelf(`❌ Error processing /send command: ${err.message}`);
+  }
+}
+
+// /every - recurring message
+async function handleEveryCommand({ message, messageBody, chat, userPhone }) {
+  try {
+    console.log('Processing /every command:', messageBody);
+
+    const parsed = parseEveryCommand(messageBody);
+
+    if (!parsed || !parsed.scheduledTime) {
+      await sendMessageToSelf(
+        '❌ Could not parse /every command.\n\n' +
+        'Format: `/every [name] [schedule] at [time] [message]`\n\n' +
+        'Schedules: day, weekdays, sunday (or sunday,wednesday), 1st of the month, first sunday of the month, ' +
+        'last workday of the month, end of month, cron(m h dom mon dow)\n\n' +
+        'Examples:\n' +
+        '/every John sunday at 8:00 Weekly standup reminder\n' +
+        '/every John 1st of the month at 9 Rent reminder\n' +
+        '/every John end of month at 16 Timesheets'
+      );
+      return;
+    }
+
+    console.log('Parsed /every:', parsed);
+
+    const templated = await applyTemplate(parsed.message);
+    if (templated.error) {
+      await sendMessageToSelf(templated.error);
+      return;
+    }
+    parsed.message = templated.message;
+    parsed.template = templated.template;
+
+    const matches = await findMatchingContacts(message.client, userPhone, parsed.recipientName);
+
+    console.log(`Found ${matches.length} contact(s) matching "${parsed.recipientName}"`);
+
+    if (matches.length === 0) {
+      await sendMessageToSelf(`❌ No contacts found matching "*${parsed.recipientName}*"\n\nSend /list to see all contacts.`);
+      return;
+    } else if (matches.length === 1) {
+      const contact = matches[0];
+
+      try {
+        await scheduleDraft(chat.id._serialized, {
+          recipientId: contact.id,
+          recipientName: contact.name,
+          message: parsed.message,
+          scheduledTime: getRecipientScheduledTime(parsed, contact.id),
+          recurrence: parsed.recurrence,
+          template: parsed.template
+        });
+      } catch (err) {
+        console.error('❌ Error scheduling recurring message:', err);
+        await sendMessageToSelf('❌ Error scheduling message. Please try again.');
+      }
+      return;
+    } else {
+      // Multiple matches - reuse the /send contact selection flow
+      await setDialog(chat.id._serialized, 'pickContact', {
+        matches: matches,
+        scheduledTime: parsed.scheduledTime,
+        message: parsed.message,
+        recurrence: parsed.recurrence,
+        template: parsed.template
+      });
+
+      let choiceMessage = `❓ Found ${matches.length} contacts matching "*${parsed.recipientName}*":\n\n`;
+      matches.forEach((contact, index) => {
+        choiceMessage += `${index + 1}. ${describeRecipient(contact.name, contact.id)}\n`;
+      });
+      choiceMessage += `\nReply with the number to schedule the recurring message, or /abort.`;
+
+      await sendMessageToSelf(choiceMessage);
+      return;
+    }
+  } catch (err) {
+    console.error('Error in /every command:', err.message);
+    await sendMessageToSelf(`❌ Error processing /every command: ${err.message}`);
+  }
+}
+
+// /up - health check
+async function handleUpCommand() {
+  try {
+    const { getPendingCount } = require('./database');
+    const pendingCount = await getPendingCount();
+    await sendMessageToSelf(`✅ *Bot is running*\n\nPending messages: ${pendingCount}\nCache entries: ${await countCachedMessages()}`);
+  } catch (err) {
+    await sendMessageToSelf(`⚠️ *Bot is running but DB error*\n\n${err.message}`);
+  }
+}
+
+// /list - recent contacts, numbered for /reply [number]
+async function handleListCommand({ message, userPhone }) {
+  try {
+    const contacts = await getRecentContacts(message.client, userPhone);
+
+    if (contacts.length === 0) {
+      await sendMessageToSelf('❌ No recent contacts found.');
+      return;
+    }
+
+    let listMessage = '📋 *Recent Contacts & Groups*\n\n';
+    contacts.forEach((contact, index) => {
+      listMessage += `*${index + 1}.* ${describeRecipient(contact.name, contact.id)}\n`;
+      if (!contact.isGroup) {
+        listMessage += `   📞 ${contact.number}\n`;
+      }
+      listMessage += `\n`;
+    });
+    listMessage += `💡 *How to use:*\n`;
+    listMessage += `• /reply [number] in [time] [message]\n`;
+    listMessage += `• /send [name] in [time] [message]\n\n`;
+    listMessage += `📝 Example: /reply 1 in 2 hours hey there!`;
+
+    await sendMessageToSelf(listMessage);
+  } catch (err) {
+    console.error('Error in /list:', err.message);
+  }
+}
+
+// /today, /tomorrow or /week - pending messages grouped by day
+async function handleAgendaCommand({ name }) {
+  const views = {
+    today: ['📋 *Still to send today*', 0, 1, '📭 Nothing more to send today.\n\n💡 /tomorrow or /week to look ahead'],
+    tomorrow: ['📋 *Scheduled for tomorrow*', 1, 1, '📭 Nothing scheduled for tomorrow.\n\n💡 /week to look further ahead'],
+    week: ['📋 *The next 7 days*', 0, 7, '📭 Nothing scheduled for the next 7 days.']
+  };
+
+  try {
+    const { describeAgenda } = require('./agenda');
+    await sendMessageToSelf(await describeAgenda(...views[name]));
+  } catch (err) {
+    console.error(`Error in /${name}:`, err.message);
+    await sendMessageToSelf('❌ Error loading scheduled messages. Please try again.');
+  }
+}
+
+// /show - pending messages and what was sent recently
+async function handleShowCommand() {
+  try {
+    const { getAllPendingMessages, getRecentlySentMessages } = require('./database');
+    const messages = await getAllPendingMessages();
+    const recentlySent = await getRecentlySentMessages(new Date(Date.now() - RECENTLY_SENT_WINDOW));
+
+    if (messages.length === 0) {
+      await sendMessageToSelf('📭 *No scheduled messages*\n\nYou have no pending messages to send.' + formatRecentlySent(recentlySent));
+      return;
+    }
+
+    let showMessage = `📬 *Scheduled Messages* (${messages.length})\n\n`;
+    messages.forEach((msg, index) => {
+      const scheduledDate = new Date(msg.scheduled_time);
+      const formattedTime = formatTime(scheduledDate, getTimezone(msg.recipient));
+
+      showMessage += `━━━━━━━━━━━━━━━━━━━━\n`;
+      showMessage += `*ID: ${msg.id}*\n\n`;
+      showMessage += `👤 *To:* ${describeRecipient(msg.recipient_name, msg.recipient)}\n`;
+      const preview = `${msg.message.substring(0, 100)}${msg.message.length > 100 ? '...' : ''}`;
+      showMessage += `💬 *Message:*\n${describeContent(preview, msg.media_type)}\n\n`;
+      showMessage += `⏰ *Scheduled:* ${formattedTime}\n`;
+      if (msg.quoted_message_id) {
+        showMessage += `↩️ *Quoted reply* to their message\n`;
+      }
+      if (msg.cancel_on_reply) {
+        showMessage += `🔕 *Unless they reply* first\n`;
+      }
+      if (msg.batch_id) {
+        showMessage += `📦 *Batch:* ${msg.batch_id}\n`;
+      }
+      if (msg.template_name) {
+        showMessage += `📝 *Template:* ${msg.template_name} (filled in when sent)\n`;
+      }
+      if (msg.late_tolerance_minutes !== null && msg.late_tolerance_minutes !== undefined) {
+        showMessage += `⌛ *Late tolerance:* ${msg.late_tolerance_minutes} min\n`;
+      }
+      if (msg.heads_up_minutes !== null && msg.heads_up_minutes !== undefined) {
+        showMessage += `⏳ *Heads-up:* ${msg.heads_up_minutes > 0 ? `${msg.heads_up_minutes} min before` : 'off'}\n`;
+      }
+      if (msg.attempts > 0 && msg.next_attempt_at) {
+        showMessage += `🔄 *Retrying:* attempt ${msg.attempts + 1} at ${formatTime(new Date(msg.next_attempt_at), getTimezone(msg.recipient))}\n`;
+        showMessage += `⚠️ *Last error:* ${msg.error_message}\n`;
+      }
+      if (msg.recurrence) {
+        showMessage += `🔁 *Repeats:* ${describeRecurrence(msg.recurrence)} (series ${msg.series_id || msg.id})\n`;
+      }
+      showMessage += `\n`;
+    });
+
+    showMessage += `━━━━━━━━━━━━━━━━━━━━\n\n`;
+    showMessage += `💡 *To cancel:* /cancel [id]\n`;
+    showMessage += `✏️ *To change:* /move [id] [time], /snooze [id] [minutes], /edit [id] [text]\n`;
+    showMessage += `📤 *To send right away:* /sendnow [id]\n`;
+    if (messages.some(msg => msg.recurrence)) {
+      showMessage += `🔁 *To cancel a whole series:* /cancel [id] series\n`;
+    }
+    if (messages.some(msg => msg.batch_id)) {
+      showMessage += `📦 *Batch status / cancel:* /batch [id], /cancel [id] batch\n`;
+    }
+    showMessage += `⌛ *Late tolerance:* /tolerance [id] [minutes]\n`;
+    showMessage += `📅 *By day:* /today, /tomorrow, /week\n`;
+    showMessage += `📝 *Example:* /cancel ${messages[0].id}`;
+
+    const { getHeldMessages } = require('./database');
+    const held = await getHeldMessages();
+    if (held.length > 0) {
+      showMessage += `\n\n⏸️ ${held.length} late message(s) waiting for confirmation - send /catchup`;
+    }
+
+    showMessage += formatRecentlySent(recentlySent);
+
+    await sendMessageToSelf(showMessage);
+    return;
+  } catch (err) {
+    console.error('Error in /show:', err.message);
+    await sendMessageToSelf('❌ Error fetching scheduled messages. Please try again.');
+    return;
+  }
+}
+
+// /catchup - late messages held after downtime
+async function handleCatchupCommand({ messageBody }) {
+  const { getHeldMessages, getMessageById, approveHeldMessage, updateMessageStatus } = require('./database');
+
+  try {
+    const catchupMatch = messageBody.trim().match(/^\/catchup(?:\s+(\d+|all)\s+(send|skip))?$/i);
+    if (!catchupMatch) {
+      await sendMessageToSelf('❌ Invalid format.\n\nUsage: `/catchup`, `/catchup [id] send|skip` or `/catchup all send|skip`');
+      return;
+    }
+
+    if (!catchupMatch[1]) {
+      const held = await getHeldMessages();
+      if (held.length === 0) {
+        await sendMessageToSelf('📭 *No held messages*\n\nNothing is waiting for catch-up confirmation.');
+        return;
+      }
+
+      let heldMessage = `⏸️ *Held Late Messages* (${held.length})\n\n`;
+      held.forEach(msg => {
+        heldMessage += `*ID: ${msg.id}* → ${describeRecipient(msg.recipient_name, msg.recipient)}\n`;
+        heldMessage += `⏰ Was due: ${formatTime(new Date(msg.scheduled_time), getTimezone(msg.recipient))}\n`;
+        const preview = `${msg.message.substring(0, 100)}${msg.message.length > 100 ? '...' : ''}`;
+        heldMessage += `💬 ${describeContent(preview, msg.media_type)}\n\n`;
+      });
+      heldMessage += `💡 /catchup [id] send, /catchup [id] skip, or /catchup all send|skip`;
+
+      await sendMessageToSelf(heldMessage);
+      return;
+    }
+
+    const action = catchupMatch[2].toLowerCase();
+    const targets = catchupMatch[1].toLowerCase() === 'all'
+      ? await getHeldMessages()
+      : [await getMessageById(parseInt(catchupMatch[1]))].filter(msg => msg && msg.status === 'held');
+
+    if (targets.length === 0) {
+      await sendMessageToSelf(`❌ No held message found for "${catchupMatch[1]}".\n\nSend /catchup to see held messages.`);
+      return;
+    }
+
+    const done = [];
+    const rejected = [];
+    for (const msg of targets) {
+      try {
+        if (action === 'send') {
+          await approveHeldMessage(msg.id);
+        } else {
+          await updateMessageStatus(msg.id, 'missed', 'Skipped by user after downtime');
+        }
+        done.push(msg.id);
+      } catch (err) {
+        if (!isStatusError(err)) {
+          throw err;
+        }
+        rejected.push(err.message);
+      }
+    }
+
+    const ids = done.join(', ');
+    let catchupMessage = action === 'send'
+      ? `📤 Sending ${done.length} held message(s) now: ${ids}`
+      : `⏭️ Skipped ${done.length} held message(s): ${ids}`;
+    if (rejected.length > 0) {
+      catchupMessage += `\n\n⚠️ ${rejected.join('\n⚠️ ')}`;
+    }
+    await sendMessageToSelf(catchupMessage);
+  } catch (err) {
+    console.error('Error in /catchup:', err.message);
+    await sendMessageToSelf('❌ Error processing /catchup. Please try again.');
+  }
+}
+
+// /tolerance - per-message lateness tolerance
+async function handleToleranceCommand({ messageBody }) {
+  const toleranceMatch = messageBody.trim().match(/^\/tolerance\s+(\d+)\s+(\d+|default)$/i);
+  if (!toleranceMatch) {
+    await sendMessageToSelf('❌ Invalid format.\n\nUsage: `/tolerance [id] [minutes]` or `/tolerance [id] default`\n\nExample: /tolerance 5 120 (still send message 5 if it is up to 2 hours late)');
+    return;
+  }
+
+  const messageId = parseInt(toleranceMatch[1]);
+  const minutes = toleranceMatch[2].toLowerCase() === 'default' ? null : parseInt(toleranceMatch[2]);
+
+  try {
+    const { setLateTolerance } = require('./database');
+    const changes = await setLateTolerance(messageId, minutes);
+
+    if (changes === 0) {
+      await sendMessageToSelf(`❌ Message ${messageId} not found or no longer pending.`);
+      return;
+    }
+
+    await sendMessageToSelf(minutes === null
+      ? `✅ Message ${messageId} now uses the default lateness tolerance.`
+      : `✅ Message ${messageId} will still be sent if it is up to ${minutes} minute(s) late.`);
+  } catch (err) {
+    console.error('Error in /tolerance:', err.message);
+    await sendMessageToSelf('❌ Error updating tolerance. Please try again.');
+  }
+}
+
+// /headsup - self-chat warning before messages go out
+async function handleHeadsUpCommand({ messageBody }) {
+  const headsUpMatch = messageBody.trim().match(/^\/headsup(?:\s+(\d+))?(?:\s+(\d+|off|default))?$/i);
+  if (!headsUpMatch) {
+    await sendMessageToSelf('❌ Invalid format.\n\nUsage:\n' +
+      '• `/headsup [minutes]` - warn me that many minutes before every message, `/headsup off` to stop\n' +
+      '• `/headsup [id] [minutes]` - for one message, `/headsup [id] off` or `/headsup [id] default`\n' +
+      '• `/headsup` to see the current setting\n\n' +
+      'Example: /headsup 10');
+    return;
+  }
+
+  const describeLead = (minutes) => minutes > 0 ? `${minutes} minute(s) before sending` : 'off';
+  const parseLead = (value) => value.toLowerCase() === 'off' ? 0 : parseInt(value);
+
+  try {
+    // "/headsup off", "/headsup 10" or "/headsup" - the default for all messages
+    if (!headsUpMatch[1] || !headsUpMatch[2]) {
+      const value = headsUpMatch[1] || headsUpMatch[2];
+      if (value) {
+        if (value.toLowerCase() === 'default') {
+          await setDefaultHeadsUpMinutes(null);
+        } else if (parseLead(value) > MAX_HEADS_UP_MINUTES) {
+          await sendMessageToSelf(`❌ A heads-up can be at most ${MAX_HEADS_UP_MINUTES} minutes before sending.`);
+          return;
+        } else {
+          await setDefaultHeadsUpMinutes(parseLead(value));
+        }
+      }
+
+      const minutes = getDefaultHeadsUpMinutes();
+      await sendMessageToSelf(minutes > 0
+        ? `⏳ Heads-ups are *on* - ${describeLead(minutes)}, with quick actions to cancel, send now or snooze.\n\n💡 /headsup off to stop, /headsup [id] [minutes] for one message`
+        : '🔕 Heads-ups are *off*.\n\n💡 /headsup 10 to be warned 10 minutes before each message goes out');
+      return;
+    }
+
+    const messageId = parseInt(headsUpMatch[1]);
+    const value = headsUpMatch[2].toLowerCase();
+    const minutes = value === 'default' ? null : parseLead(value);
+    if (minutes > MAX_HEADS_UP_MINUTES) {
+      await sendMessageToSelf(`❌ A heads-up can be at most ${MAX_HEADS_UP_MINUTES} minutes before sending.`);
+      return;
+    }
+
+    const { setHeadsUpMinutes } = require('./database');
+    const changes = await setHeadsUpMinutes(messageId, minutes);
+
+    if (changes === 0) {
+      await sendMessageToSelf(`❌ Message ${messageId} not found or no longer pending.`);
+      return;
+    }
+
+    await sendMessageToSelf(minutes === null
+      ? `✅ Message ${messageId} now uses the default heads-up (${describeLead(getDefaultHeadsUpMinutes())}).`
+      : `✅ Heads-up for message ${messageId}: ${describeLead(minutes)}.`);
+  } catch (err) {
+    console.error('Error in /headsup:', err.message);
+    await sendMessageToSelf('❌ Error updating heads-up. Please try again.');
+  }
+}
+
+// /template - saved message templates
+async function handleTemplateCommand({ messageBody }) {
+  const { saveTemplate, getAllTemplates, deleteTemplate } = require('./database');
+  const usage = '❌ Invalid format.\n\nUsage:\n' +
+    '• `/template save [name] [text]`\n' +
+    '• `/template list`\n' +
+    '• `/template delete [name]`\n\n' +
+    'Example: /template save meeting Hi {first_name}, reminder about our meeting on {date} at {time}';
+
+  try {
+    const templateMatch = messageBody.trim().match(/^\/template(?:\s+(save|list|delete)(?:\s+([\w-]+))?(?:\s+([\s\S]+))?)?$/i);
+    if (!templateMatch) {
+      await sendMessageToSelf(usage);
+      return;
+    }
+
+    const action = (templateMatch[1] || 'list').toLowerCase();
+    const name = templateMatch[2];
+    const body = templateMatch[3] ? templateMatch[3].trim() : '';
+
+    if (action === 'list') {
+      const templates = await getAllTemplates();
+      if (templates.length === 0) {
+        await sendMessageToSelf('📭 *No templates*\n\nSave one with:\n/template save meeting Hi {first_name}, reminder about our meeting on {date} at {time}');
+        return;
+      }
+
+      let listMessage = `📝 *Templates* (${templates.length})\n\n`;
+      templates.forEach(template => {
+        listMessage += `*#${template.name}*\n${template.body}\n\n`;
+      });
+      listMessage += `💡 *Use:* /send [name] at [time] #[template] key=value ...\n`;
+      listMessage += `🔤 *Placeholders:* {first_name}, {name}, {date}, {time}, {datetime}, {text}, or any {key} given as key=value`;
+      await sendMessageToSelf(listMessage);
+      return;
+    }
+
+    if (!name || (action === 'save' && !body) || (action === 'delete' && body)) {
+      await sendMessageToSelf(usage);
+      return;
+    }
+
+    if (action === 'delete') {
+      const deleted = await deleteTemplate(name);
+      await sendMessageToSelf(deleted
+        ? `✅ Template *${name}* deleted.\n\nMessages already scheduled with it are not affected.`
+        : `❌ No template named "*${name}*".`);
+      return;
+    }
+
+    await saveTemplate(name, body);
+    const custom = getMissingPlaceholders(body);
+    await sendMessageToSelf(
+      `✅ Template *${name}* saved\n\n${body}\n\n` +
+      `💡 Use: /send [name] at [time] #${name}` +
+      (custom.length > 0 ? ` ${custom.map(key => `${key}=...`).join(' ')}` : '')
+    );
+  } catch (err) {
+    console.error('Error in /template:', err.message);
+    await sendMessageToSelf('❌ Error updating templates. Please try again.');
+  }
+}
+
+// /window - allowed-sending windows / quiet hours
+async function handleWindowCommand({ message, messageBody, userPhone }) {
+  const { getSendingWindows, setSendingWindow } = require('./database');
+  const usage = '❌ Invalid format.\n\nUsage:\n' +
+    '• `/window all 08:00-22:00` - allowed hours for everyone\n' +
+    '• `/window [name] 09:00-20:00 sun-thu` - allowed hours and days for a contact, group or list\n' +
+    '• `/window [name] off` - remove a window\n' +
+    '• `/window` to see your windows';
+
+  try {
+    if (messageBody.trim().toLowerCase() === '/window') {
+      const rows = await getSendingWindows();
+      const globalRow = rows.find(row => row.recipient === GLOBAL_RECIPIENT);
+      const recipientRows = rows.filter(row => row.recipient !== GLOBAL_RECIPIENT);
+
+      let windowMessage = '🌙 *Allowed Sending Hours*\n\n';
+      if (globalRow) {
+        windowMessage += `🌍 *Everyone:* ${describeWindow(globalRow.rule)}\n`;
+      } else if (process.env.SENDING_WINDOW) {
+        windowMessage += `🌍 *Everyone:* ${process.env.SENDING_WINDOW} (SENDING_WINDOW)\n`;
+      } else {
+        windowMessage += `🌍 *Everyone:* any time\n`;
+      }
+      recipientRows.forEach(row => {
+        windowMessage += `👤 *${describeRecipient(row.recipient_name, row.recipient)}:* ${describeWindow(row.rule)}\n`;
+      });
+      windowMessage += `\nMessages due outside these hours are deferred to the next allowed time.\n\n`;
+      windowMessage += `💡 /window [name|all] 09:00-20:00 sun-thu, /window [name|all] off`;
+
+      await sendMessageToSelf(windowMessage);
+      return;
+    }
+
+    const windowCommand = parseWindowCommand(messageBody);
+    if (!windowCommand || !windowCommand.target) {
+      await sendMessageToSelf(usage);
+      return;
+    }
+
+    let targets;
+    if (['all', 'everyone', '*'].includes(windowCommand.target.toLowerCase())) {
+      targets = [{ id: GLOBAL_RECIPIENT, name: 'everyone' }];
+    } else {
+      const resolved = await resolveRecipients(message.client, userPhone, [windowCommand.target]);
+      if (resolved.notFound.length > 0 || resolved.ambiguous.length > 0) {
+        await sendMessageToSelf(`❌ Window not saved:\n\n${formatUnresolvedRecipients(resolved)}`);
+        return;
+      }
+      targets = resolved.recipients;
+    }
+
+    let changes = 0;
+    for (const target of targets) {
+      changes += await setSendingWindow(target.id, target.name, windowCommand.rule);
+    }
+
+    const names = targets.map(target => target.id === GLOBAL_RECIPIENT ? 'everyone' : describeRecipient(target.name, target.id)).join(', ');
+    if (!windowCommand.rule) {
+      await sendMessageToSelf(changes > 0
+        ? `✅ Removed the sending window for *${names}*`
+        : `ℹ️ No sending window was set for *${names}*`);
+      return;
+    }
+
+    await sendMessageToSelf(
+      `✅ Allowed sending hours for *${names}*: ${describeWindow(windowCommand.rule)}\n\n` +
+      `Messages due outside these hours are deferred to the next allowed time.`
+    );
+  } catch (err) {
+    console.error('Error in /window:', err.message);
+    await sendMessageToSelf('❌ Error updating sending window. Please try again.');
+  }
+}
+
+// /tz - my timezone and per-recipient timezones
+async function handleTzCommand({ message, messageBody, userPhone }) {
+  const usage = '❌ Invalid format.\n\nUsage:\n' +
+    '• `/tz Europe/Berlin` - your timezone (the default for everyone)\n' +
+    '• `/tz [name] America/New_York` - times for messages to a contact, group or list\n' +
+    '• `/tz [name] off` - remove a contact\'s timezone, `/tz off` - reset yours\n' +
+    '• `/tz` to see your timezones';
+
+  try {
+    const tzMatch = messageBody.trim().match(/^\/tz(?:\s+(.+?))?(?:\s+(\S+))?$/i);
+    const now = new Date();
+    if (!tzMatch) {
+      await sendMessageToSelf(usage);
+      return;
+    }
+
+    if (!tzMatch[1] && !tzMatch[2]) {
+      let tzMessage = '🕐 *Timezones*\n\n';
+      tzMessage += `🏠 *You (default):* ${getTimezone()} - now ${formatTime(now)}\n`;
+      getTimezoneOverrides().forEach(entry => {
+        tzMessage += `👤 *${describeRecipient(entry.name, entry.recipient)}:* ${entry.timeZone} - now ${formatTime(now, entry.timeZone)}\n`;
+      });
+      tzMessage += `\nAbsolute times ("at 9") are read in the recipient's timezone, or yours if they have none.\n\n`;
+      tzMessage += `💡 /tz Europe/Berlin, /tz [name] America/New_York, /tz [name] off`;
+
+      await sendMessageToSelf(tzMessage);
+      return;
+    }
+
+    // A single word is my own timezone; otherwise the last word belongs to the named recipient
+    const target = tzMatch[2] ? tzMatch[1].trim() : null;
+    const value = tzMatch[2] || tzMatch[1].trim();
+    const removing = /^(?:off|none|clear|default)$/i.test(value);
+    const timeZone = removing ? null : normalizeTimezone(value);
+
+    if (!removing && !timeZone) {
+      await sendMessageToSelf(`❌ Unknown timezone "${value}".\n\nUse an IANA name such as Asia/Jerusalem, Europe/Berlin or America/New_York.`);
+      return;
+    }
+
+    let targets;
+    if (!target || ['me', 'all', 'everyone', '*'].includes(target.toLowerCase())) {
+      targets = [{ id: GLOBAL_RECIPIENT, name: 'you' }];
+    } else {
+      const resolved = await resolveRecipients(message.client, userPhone, [target]);
+      if (resolved.notFound.length > 0 || resolved.ambiguous.length > 0) {
+        await sendMessageToSelf(`❌ Timezone not saved:\n\n${formatUnresolvedRecipients(resolved)}`);
+        return;
+      }
+      targets = resolved.recipients;
+    }
+
+    let changes = 0;
+    for (const entry of targets) {
+      changes += await setTimezone(entry.id, entry.name, timeZone);
+    }
+
+    const names = targets.map(entry => entry.id === GLOBAL_RECIPIENT ? 'you' : describeRecipient(entry.name, entry.id)).join(', ');
+    if (removing) {
+      const fallback = targets[0].id === GLOBAL_RECIPIENT ? ENV_TIMEZONE : getTimezone();
+      await sendMessageToSelf(changes > 0
+        ? `✅ Timezone for *${names}* reset to ${fallback}`
+        : `ℹ️ No timezone was set for *${names}* - using ${fallback}`);
+      return;
+    }
+
+    await sendMessageToSelf(
+      `✅ Timezone for *${names}*: ${timeZone}\n\n` +
+      `🕐 Now there: ${formatTime(now, timeZone)}\n\n` +
+      `Already scheduled messages keep their time.`
+    );
+  } catch (err) {
+    console.error('Error in /tz:', err.message);
+    await sendMessageToSelf('❌ Error updating timezone. Please try again.');
+  }
+}
+
+// /confirm - preview messages before they are scheduled
+async function handleConfirmCommand({ messageBody }) {
+  const { setSetting } = require('./database');
+
+  try {
+    const confirmMatch = messageBody.trim().match(/^\/confirm(?:\s+(on|off))?$/i);
+    if (!confirmMatch) {
+      await sendMessageToSelf('❌ Invalid format.\n\nUsage:\n• `/confirm on` - preview each new message before it is scheduled\n• `/confirm off` - schedule right away\n• `/confirm` to see the current setting');
+      return;
+    }
+
+    if (confirmMatch[1]) {
+      await setSetting(CONFIRM_SETTING, confirmMatch[1].toLowerCase());
+    }
+
+    await sendMessageToSelf(await isConfirmationEnabled()
+      ? '👀 Confirmations are *on* - new messages are previewed with Confirm / Edit time / Cancel before they are scheduled.\n\n💡 /confirm off to schedule right away'
+      : '⚡ Confirmations are *off* - new messages are scheduled right away.\n\n💡 /confirm on to preview them first');
+  } catch (err) {
+    console.error('Error in /confirm:', err.message);
+    await sendMessageToSelf('❌ Error updating confirmation setting. Please try again.');
+  }
+}
+
+// /shabbat - hold messages during Shabbat and holidays
+async function handleShabbatCommand({ message, messageBody, userPhone }) {
+  const usage = '❌ Invalid format.\n\nUsage:\n' +
+    '• `/shabbat on` - hold messages due during Shabbat and holidays until havdalah\n' +
+    '• `/shabbat off` - send them anyway\n' +
+    '• `/shabbat [name] on|off` - for a contact, group or list, `/shabbat [name] default` to follow the default\n' +
+    '• `/shabbat` to see the upcoming times and your settings';
+  const describeMode = (mode) => mode === 'defer' ? 'hold until havdalah' : 'send anyway';
+
+  try {
+    if (messageBody.trim().toLowerCase() === '/shabbat') {
+      const location = getLocation();
+      const now = new Date();
+      const formatMoment = (date) => `${formatDate(date)} ${formatClock(date)}`;
+
+      let shabbatMessage = '🕯️ *Shabbat & Holidays*\n\n';
+      getUpcomingRestWindows(now, 3).forEach(window => {
+        shabbatMessage += `• *${window.name}:* ${formatMoment(window.start)} - ${formatMoment(window.end)}\n`;
+      });
+      shabbatMessage += `\n📍 ${location.latitude}, ${location.longitude} - candle lighting ${location.candleLightingMinutes} min before sunset, ` +
+        `havdalah ${location.havdalahMinutes} min after\n\n`;
+      shabbatMessage += `🌍 *Everyone:* ${describeMode(getShabbatMode())}\n`;
+      getShabbatOverrides().forEach(entry => {
+        shabbatMessage += `👤 *${describeRecipient(entry.name, entry.recipient)}:* ${describeMode(entry.mode)}\n`;
+      });
+      shabbatMessage += `\n💡 /shabbat on, /shabbat off, /shabbat [name] on|off|default`;
+
+      await sendMessageToSelf(shabbatMessage);
+      return;
+    }
+
+    const shabbatMatch = messageBody.trim().match(/^\/shabbat(?:\s+(.+?))?\s+(on|off|default)$/i);
+    if (!shabbatMatch) {
+      await sendMessageToSelf(usage);
+      return;
+    }
+
+    const target = shabbatMatch[1] ? shabbatMatch[1].trim() : null;
+    const value = shabbatMatch[2].toLowerCase();
+    const mode = value === 'default' ? null : (value === 'on' ? 'defer' : 'send');
+
+    let targets;
+    if (!target || ['all', 'everyone', '*'].includes(target.toLowerCase())) {
+      targets = [{ id: GLOBAL_RECIPIENT, name: 'everyone' }];
+    } else {
+      const resolved = await resolveRecipients(message.client, userPhone, [target]);
+      if (resolved.notFound.length > 0 || resolved.ambiguous.length > 0) {
+        await sendMessageToSelf(`❌ Shabbat setting not saved:\n\n${formatUnresolvedRecipients(resolved)}`);
+        return;
+      }
+      targets = resolved.recipients;
+    }
+
+    let changes = 0;
+    for (const entry of targets) {
+      changes += await setShabbatMode(entry.id, entry.name, mode);
+    }
+
+    const names = targets.map(entry => entry.id === GLOBAL_RECIPIENT ? 'everyone' : describeRecipient(entry.name, entry.id)).join(', ');
+    if (mode === null) {
+      const fallback = targets[0].id === GLOBAL_RECIPIENT ? ENV_SHABBAT_MODE : getShabbatMode();
+      await sendMessageToSelf(changes > 0
+        ? `✅ Shabbat setting for *${names}* reset - ${describeMode(fallback)}`
+        : `ℹ️ No Shabbat setting was set for *${names}* - ${describeMode(fallback)}`);
+      return;
+    }
+
+    await sendMessageToSelf(
+      `✅ During Shabbat and holidays, messages to *${names}*: ${describeMode(mode)}\n\n` +
+      (mode === 'defer'
+        ? `Messages due between candle lighting and havdalah are sent after havdalah.`
+        : `Messages are sent on time, even during Shabbat and holidays.`)
+    );
+  } catch (err) {
+    console.error('Error in /shabbat:', err.message);
+    await sendMessageToSelf('❌ Error updating Shabbat setting. Please try again.');
+  }
+}
+
+// /group - named recipient lists
+async function handleGroupCommand({ message, messageBody, userPhone }) {
+  const { getRecipientList, getAllRecipientLists, saveRecipientList, deleteRecipientList } = require('./database');
+  const usage = '❌ Invalid format.\n\nUsage:\n' +
+    '• `/group create [list] [name], [name], ...`\n' +
+    '• `/group add [list] [name], ...`\n' +
+    '• `/group remove [list] [name], ...`\n' +
+    '• `/group delete [list]`\n' +
+    '• `/group` to see your lists\n\n' +
+    'Example: /group create team Dana, Avi, Family group';
+
+  try {
+    const groupMatch = messageBody.trim().match(/^\/group(?:\s+(create|add|remove|delete)\s+(\S+)(?:\s+(.+))?)?$/i);
+    if (!groupMatch) {
+      await sendMessageToSelf(usage);
+      return;
+    }
+
+    if (!groupMatch[1]) {
+      const lists = await getAllRecipientLists();
+      if (lists.length === 0) {
+        await sendMessageToSelf('📭 *No recipient lists*\n\nCreate one with:\n/group create team Dana, Avi, Family group');
+        return;
+      }
+
+      let listMessage = `📦 *Recipient Lists* (${lists.length})\n\n`;
+      lists.forEach(list => {
+        listMessage += `*${list.name}* (${list.members.length}): ${list.members.map(member => describeRecipient(member.name, member.id)).join(', ')}\n\n`;
+      });
+      listMessage += `💡 Send to a list: /send [list] at [time] [message]`;
+      await sendMessageToSelf(listMessage);
+      return;
+    }
+
+    const action = groupMatch[1].toLowerCase();
+    const listName = groupMatch[2];
+    const names = groupMatch[3] ? splitRecipientNames(groupMatch[3]) : [];
+    const existing = await getRecipientList(listName);
+
+    if (action === 'delete') {
+      const deleted = await deleteRecipientList(listName);
+      await sendMessageToSelf(deleted
+        ? `✅ List *${listName}* deleted.`
+        : `❌ No list named "*${listName}*".`);
+      return;
+    }
+
+    if (names.length === 0) {
+      await sendMessageToSelf(usage);
+      return;
+    }
+
+    if (action !== 'create' && !existing) {
+      await sendMessageToSelf(`❌ No list named "*${listName}*".\n\nCreate it with /group create ${listName} [names]`);
+      return;
+    }
+
+    let members;
+    if (action === 'remove') {
+      const terms = names.map(name => name.toLowerCase());
+      members = existing.members.filter(member =>
+        !terms.some(term => member.name.toLowerCase().includes(term) || member.id === term));
+    } else {
+      const resolved = await resolveRecipients(message.client, userPhone, names);
+      if (resolved.notFound.length > 0 || resolved.ambiguous.length > 0) {
+        await sendMessageToSelf(`❌ List not saved - please check the names:\n\n${formatUnresolvedRecipients(resolved)}`);
+        return;
+      }
+      members = action === 'add' ? existing.members.slice() : [];
+      resolved.recipients.forEach(recipient => {
+        if (!members.some(member => member.id === recipient.id)) {
+          members.push(recipient);
+        }
+      });
+    }
+
+    await saveRecipientList(existing ? existing.name : listName, members);
+
+    const verb = { create: existing ? 'replaced' : 'created', add: 'updated', remove: 'updated' }[action];
+    await sendMessageToSelf(
+      `✅ List *${existing ? existing.name : listName}* ${verb} (${members.length} member(s))\n\n` +
+      (members.length > 0 ? members.map(member => `• ${describeRecipient(member.name, member.id)}`).join('\n') : '_(empty)_') +
+      `\n\n💡 Send to it: /send ${existing ? existing.name : listName} at [time] [message]`
+    );
+  } catch (err) {
+    console.error('Error in /group:', err.message);
+    await sendMessageToSelf('❌ Error updating recipient list. Please try again.');
+  }
+}
+
+// /batch - status or reschedule of a broadcast
+async function handleBatchCommand({ messageBody }) {
+  const { getMessageById, getBatchMessages, rescheduleBatch } = require('./database');
+  const batchMatch = messageBody.trim().match(/^\/batch\s+(\d+)(?:\s+move\s+(.+))?$/i);
+  if (!batchMatch) {
+    await sendMessageToSelf('❌ Invalid format.\n\nUsage: `/batch [id]` or `/batch [id] move [time]`\n\nExample: /batch 12 move tomorrow at 18:00');
+    return;
+  }
+
+  try {
+    // Any message id of the batch works
+    const first = await getMessageById(parseInt(batchMatch[1]));
+    const batchId = first && first.batch_id;
+    if (!batchId) {
+      await sendMessageToSelf(`❌ Message ${batchMatch[1]} is not part of a batch.`);
+      return;
+    }
+
+    if (batchMatch[2]) {
+      const newTime = parseTimeExpression(batchMatch[2]);
+      if (!newTime) {
+        await sendMessageToSelf(`❌ Could not understand the time "${batchMatch[2]}".\n\nExample: /batch ${batchId} move tomorrow at 18:00`);
+        return;
+      }
+      if (newTime <= new Date()) {
+        await sendMessageToSelf(`❌ ${formatTime(newTime)} is in the past.`);
+        return;
+      }
+
+      const moved = await rescheduleBatch(batchId, newTime);
+      await sendMessageToSelf(moved > 0
+        ? `✅ *Batch ${batchId} rescheduled*\n\n${moved} pending message(s) moved to ${formatTime(newTime)}`
+        : `❌ Batch ${batchId} has no pending messages to move.`);
+      return;
+    }
+
+    const messages = await getBatchMessages(batchId);
+    let statusMessage = `📦 *Batch ${batchId}* (${messages.length} recipients)\n\n`;
+    statusMessage += `💬 ${describeContent(messages[0].message, messages[0].media_type)}\n`;
+    statusMessage += `⏰ ${formatTime(new Date(messages[0].scheduled_time))}\n\n`;
+    messages.forEach(msg => {
+      statusMessage += `${BATCH_STATUS_ICONS[msg.status] || '•'} *${describeRecipient(msg.recipient_name, msg.recipient)}* - ${msg.status}`;
+      if (msg.status === 'sent') {
+        statusMessage += ` (${describeReceipt(msg)})`;
+      } else if (msg.status === 'failed' && msg.error_message) {
+        statusMessage += ` (${msg.error_message})`;
+      }
+      statusMessage += ` [ID ${msg.id}]\n`;
+    });
+
+    if (messages.some(msg => msg.status === 'pending')) {
+      statusMessage += `\n💡 Reschedule: /batch ${batchId} move [time]\n`;
+      statusMessage += `🚫 Cancel all: /cancel ${batchId} batch`;
+    }
+
+    await sendMessageToSelf(statusMessage);
+  } catch (err) {
+    console.error('Error in /batch:', err.message);
+    await sendMessageToSelf('❌ Error fetching batch. Please try again.');
+  }
+}
+
+// /move - reschedule a pending message
+async function handleMoveCommand({ messageBody }) {
+  const moveMatch = messageBody.trim().match(/^\/move\s+(\d+)\s+(.+)$/i);
+  if (!moveMatch) {
+    await sendMessageToSelf('❌ Invalid format.\n\nUsage: `/move [id] [time]`\n\nExample: /move 5 tomorrow at 10\n\nUse /show to see message IDs.');
+    return;
+  }
+
+  const messageId = parseInt(moveMatch[1]);
+
+  try {
+    const { getMessageById, rescheduleMessage } = require('./database');
+    const existing = await getMessageById(messageId);
+
+    if (!existing) {
+      await sendMessageToSelf(`❌ Message ${messageId} not found.\n\nUse /show to see message IDs.`);
+      return;
+    }
+    if (existing.status !== 'pending') {
+      await sendMessageToSelf(`❌ Message ${messageId} is ${existing.status} and can no longer be moved.`);
+      return;
+    }
+
+    const timeZone = getTimezone(existing.recipient);
+    const newTime = parseTimeExpression(moveMatch[2], timeZone);
+    if (!newTime) {
+      await sendMessageToSelf(`❌ Could not understand the time "${moveMatch[2]}".\n\nExamples: /move ${messageId} in 2 hours, /move ${messageId} tomorrow at 9, /move ${messageId} next workday`);
+      return;
+    }
+    if (newTime <= new Date()) {
+      await sendMessageToSelf(`❌ ${formatTime(newTime, timeZone)} is in the past.`);
+      return;
+    }
+
+    const changes = await rescheduleMessage(messageId, newTime);
+    if (changes === 0) {
+      await sendMessageToSelf(`❌ Message ${messageId} is no longer pending and was not moved.`);
+      return;
+    }
+
+    await sendMessageToSelf(
+      `✅ *Message ${messageId} moved*\n\n` +
+      `📧 To: *${describeRecipient(existing.recipient_name, existing.recipient)}*\n` +
+      `⏮️ Before: ${formatTime(new Date(existing.scheduled_time), timeZone)}\n` +
+      `⏰ After: ${formatTime(newTime, timeZone)}\n` +
+      await describeWindowWarning(existing.recipient, newTime)
+    );
+  } catch (err) {
+    console.error('Error in /move:', err.message);
+    await sendMessageToSelf(`❌ Error moving message ${messageId}. Please try again.`);
+  }
+}
+
+// /sendnow - send a pending message right away
+async function handleSendNowCommand({ messageBody }) {
+  const sendNowMatch = messageBody.trim().match(/^\/sendnow\s+(\d+)$/i);
+  if (!sendNowMatch) {
+    await sendMessageToSelf('❌ Invalid format.\n\nUsage: `/sendnow [id]`\n\nExample: /sendnow 5\n\nUse /show to see message IDs.');
+    return;
+  }
+
+  const messageId = parseInt(sendNowMatch[1]);
+
+  try {
+    const { getMessageById, rescheduleMessage } = require('./database');
+    const existing = await getMessageById(messageId);
+
+    if (!existing) {
+      await sendMessageToSelf(`❌ Message ${messageId} not found.\n\nUse /show to see message IDs.`);
+      return;
+    }
+
+    const changes = existing.status === 'pending' ? await rescheduleMessage(messageId, new Date()) : 0;
+    if (changes === 0) {
+      await sendMessageToSelf(`❌ Message ${messageId} is ${existing.status === 'pending' ? 'no longer pending' : existing.status} and can't be sent now.`);
+      return;
+    }
+
+    await sendMessageToSelf(
+      `📤 *Sending message ${messageId} now*\n\n` +
+      `📧 To: *${describeRecipient(existing.recipient_name, existing.recipient)}*\n` +
+      `💬 ${describeContent(existing.message, existing.media_type)}` +
+      (existing.recurrence ? `\n\n🔁 The rest of the series keeps its schedule` : '')
+    );
+  } catch (err) {
+    console.error('Error in /sendnow:', err.message);
+    await sendMessageToSelf(`❌ Error sending message ${messageId}. Please try again.`);
+  }
+}
+
+// /snooze - push a pending message back by some minutes
+async function handleSnoozeCommand({ messageBody }) {
+  const snoozeMatch = messageBody.trim().match(/^\/snooze\s+(\d+)\s+(.+)$/i);
+  const minutes = snoozeMatch ? parseSnoozeDuration(snoozeMatch[2]) : null;
+  if (!minutes) {
+    await sendMessageToSelf('❌ Invalid format.\n\nUsage: `/snooze [id] [minutes]`\n\nExamples: /snooze 5 15, /snooze 5 2h\n\nUse /show to see message IDs.');
+    return;
+  }
+
+  const messageId = parseInt(snoozeMatch[1]);
+
+  try {
+    const { getMessageById, rescheduleMessage } = require('./database');
+    const existing = await getMessageById(messageId);
+
+    if (!existing) {
+      await sendMessageToSelf(`❌ Message ${messageId} not found.\n\nUse /show to see message IDs.`);
+      return;
+    }
+
+    // Snoozing an overdue message counts from now
+    const from = Math.max(new Date(existing.scheduled_time).getTime(), Date.now());
+    const newTime = new Date(from + minutes * 60 * 1000);
+    const changes = existing.status === 'pending' ? await rescheduleMessage(messageId, newTime) : 0;
+    if (changes === 0) {
+      await sendMessageToSelf(`❌ Message ${messageId} is ${existing.status === 'pending' ? 'no longer pending' : existing.status} and can't be snoozed.`);
+      return;
+    }
+
+    const timeZone = getTimezone(existing.recipient);
+    await sendMessageToSelf(
+      `💤 *Message ${messageId} snoozed for ${minutes} minute(s)*\n\n` +
+      `📧 To: *${describeRecipient(existing.recipient_name, existing.recipient)}*\n` +
+      `⏰ New time: ${formatTime(newTime, timeZone)}\n` +
+      await describeWindowWarning(existing.recipient, newTime)
+    );
+  } catch (err) {
+    console.error('Error in /snooze:', err.message);
+    await sendMessageToSelf(`❌ Error snoozing message ${messageId}. Please try again.`);
+  }
+}
+
+// /edit - replace the text of a pending message
+async function handleEditCommand({ messageBody }) {
+  const editMatch = messageBody.trim().match(/^\/edit\s+(\d+)\s+([\s\S]+)$/i);
+  if (!editMatch) {
+    await sendMessageToSelf('❌ Invalid format.\n\nUsage: `/edit [id] [new text]`\n\nExample: /edit 5 Running 10 minutes late!\n\nUse /show to see message IDs.');
+    return;
+  }
+
+  const messageId = parseInt(editMatch[1]);
+
+  try {
+    const { getMessageById, updateMessageText } = require('./database');
+    const existing = await getMessageById(messageId);
+
+    if (!existing) {
+      await sendMessageToSelf(`❌ Message ${messageId} not found.\n\nUse /show to see message IDs.`);
+      return;
+    }
+    if (existing.status !== 'pending') {
+      await sendMessageToSelf(`❌ Message ${messageId} is ${existing.status} and can no longer be edited.`);
+      return;
+    }
+
+    const templated = await applyTemplate(editMatch[2].trim());
+    if (templated.error) {
+      await sendMessageToSelf(templated.error);
+      return;
+    }
+
+    const changes = await updateMessageText(messageId, templated.message, templated.template);
+    if (changes === 0) {
+      await sendMessageToSelf(`❌ Message ${messageId} is no longer pending and was not edited.`);
+      return;
+    }
+
+    const scheduledTime = new Date(existing.scheduled_time);
+    const timeZone = getTimezone(existing.recipient);
+    await sendMessageToSelf(
+      `✅ *Message ${messageId} edited*\n\n` +
+      `📧 To: *${describeRecipient(existing.recipient_name, existing.recipient)}*\n` +
+      `⏰ Time: ${formatTime(scheduledTime, timeZone)}\n\n` +
+      `⏮️ Before: ${describeScheduledContent(existing.message, existing.media_type, getTemplateFromRow(existing), existing.recipient_name, scheduledTime, timeZone)}\n` +
+      `💬 After: ${describeScheduledContent(templated.message, existing.media_type, templated.template, existing.recipient_name, scheduledTime, timeZone)}\n` +
+      describeTemplateWarning(templated.message, templated.template) +
+      (existing.recurrence ? `\n🔁 Later occurrences of the series use the new text too` : '')
+    );
+  } catch (err) {
+    console.error('Error in /edit:', err.message);
+    await sendMessageToSelf(`❌ Error editing message ${messageId}. Please try again.`);
+  }
+}
+
+// /retry - queue a failed message again
+async function handleRetryCommand({ messageBody }) {
+  const retryMatch = messageBody.trim().match(/^\/retry\s+(\d+)$/i);
+  if (!retryMatch) {
+    await sendMessageToSelf('❌ Invalid format.\n\nUsage: `/retry [id]`\n\nExample: /retry 5');
+    return;
+  }
+
+  const messageId = parseInt(retryMatch[1]);
+
+  try {
+    const { getMessageById, retryFailedMessage } = require('./database');
+
+    // Attachments of messages that failed before they were kept may have been cleaned up
+    const failed = await getMessageById(messageId);
+    if (failed && failed.status === 'failed' && failed.media_path && !fs.existsSync(failed.media_path)) {
+      await sendMessageToSelf(`❌ Message ${messageId} can't be retried - its attachment (${describeMedia(failed.media_type)}) is no longer stored.\n\nSchedule it again with the attachment.`);
+      return;
+    }
+
+    await retryFailedMessage(messageId);
+    const msg = await getMessageById(messageId);
+
+    await sendMessageToSelf(
+      `🔁 *Message ${messageId} queued again*\n\n` +
+      `📧 To: *${describeRecipient(msg.recipient_name, msg.recipient)}*\n` +
+      `💬 ${describeScheduledContent(msg.message, msg.media_type, getTemplateFromRow(msg), msg.recipient_name, new Date(msg.scheduled_time), getTimezone(msg.recipient))}\n\n` +
+      `It will be sent within a moment.`
+    );
+  } catch (err) {
+    if (isStatusError(err)) {
+      await sendMessageToSelf(`❌ ${err.message}.\n\nOnly failed messages can be retried.`);
+      return;
+    }
+    console.error('Error in /retry:', err.message);
+    await sendMessageToSelf(`❌ Error retrying message ${messageId}. Please try again.`);
+  }
+}
+
+// /cancel - cancel a pending message, its series or its batch
+async function handleCancelCommand({ messageBody }) {
+  const cancelMatch = messageBody.trim().match(/^\/cancel\s+(\d+)(?:\s+(series|batch))?$/i);
+  if (!cancelMatch) {
+    await sendMessageToSelf('❌ Invalid format.\n\nUsage: `/cancel [id]`, `/cancel [id] series` or `/cancel [id] batch`\n\nExample: /cancel 5\n\nUse /show to see message IDs.');
+    return;
+  }
+
+  const messageId = parseInt(cancelMatch[1]);
+  const scope = cancelMatch[2] ? cancelMatch[2].toLowerCase() : null;
+  const cancelWholeSeries = scope === 'series';
+
+  try {
+    const { updateMessageStatus, getMessageById, cancelSeries, cancelBatch } = require('./database');
+    const existing = await getMessageById(messageId);
+
+    if (scope === 'batch') {
+      if (!existing || !existing.batch_id) {
+        await sendMessageToSelf(`❌ Message ${messageId} is not part of a batch.`);
+        return;
+      }
+      const cancelledCount = await cancelBatch(existing.batch_id);
+      await sendMessageToSelf(`✅ *Batch ${existing.batch_id} cancelled*\n\n${cancelledCount} pending message(s) cancelled.\n\nUse /batch ${existing.batch_id} to see the status per recipient.`);
+      return;
+    }
+
+    if (existing && existing.recurrence && cancelWholeSeries) {
+      const seriesId = existing.series_id || existing.id;
+      const cancelledCount = await cancelSeries(seriesId);
+      await sendMessageToSelf(`✅ *Series ${seriesId} cancelled*\n\n${cancelledCount} pending message(s) cancelled.\n\nUse /show to see remaining messages.`);
+      return;
+    }
+
+    await updateMessageStatus(messageId, 'cancelled', 'Cancelled by user');
+
+    // Cancelling a single occurrence skips it; the series continues
+    if (existing && existing.recurrence && existing.status === 'pending') {
+      const after = new Date(Math.max(new Date(existing.scheduled_time).getTime(), Date.now()));
+      const nextTime = getNextOccurrence(existing.recurrence, after, getTimezone(existing.recipient));
+      if (nextTime) {
+        await saveScheduledMessage(existing.recipient, existing.recipient_name, existing.message, nextTime, {
+          recurrence: existing.recurrence,
+          seriesId: existing.series_id || existing.id,
+          media: getMediaFromRow(existing),
+          template: getTemplateFromRow(existing)
+        });
+        await sendMessageToSelf(
+          `✅ *Occurrence ${messageId} skipped*\n\n` +
+          `🔁 Next: ${formatTime(nextTime, getTimezone(existing.recipient))}\n\n` +
+          `To stop the whole series: /cancel ${messageId} series`
+        );
+        return;
+      }
+    }
+
+    await sendMessageToSelf(`✅ *Message ${messageId} cancelled*\n\nUse /show to see remaining messages.`);
+    return;
+  } catch (err) {
+    if (isStatusError(err)) {
+      await sendMessageToSelf(`❌ ${err.message}.\n\nUse /show to see pending messages.`);
+      return;
+    }
+    console.error('Error in /cancel:', err.message);
+    await sendMessageToSelf(`❌ Error cancelling message ${messageId}. Please try again.`);
+    return;
+  }
+}
+
+// /reply - schedule a reply to a quoted or forwarded message, a /list number or a name
+async function handleReplyCommand({ message, messageBody, chat, userPhone }) {
+  // Parse the time and message (the text may be empty when media is attached or quoted)
+  const parsed = parseTimeCommand(messageBody, { allowEmptyMessage: message.hasMedia || message.hasQuotedMsg });
+
+  if (!parsed) {
+    console.log('❌ ERROR: Could not parse the time or message');
+    console.log('Command received:', messageBody);
+    return;
+  }
+
+  const templated = await applyTemplate(parsed.message);
+  if (templated.error) {
+    await sendMessageToSelf(templated.error);
+    return;
+  }
+  parsed.message = templated.message;
+  parsed.template = templated.template;
+
+  // Media to send: attached to the command itself, or a media message of yours that it quotes
+  let media = null;
+  try {
+    let mediaSource = message.hasMedia ? message : null;
+    if (!mediaSource && message.hasQuotedMsg) {
+      const quotedMsg = await message.getQuotedMessage();
+      if (quotedMsg && quotedMsg.fromMe && quotedMsg.hasMedia) {
+        mediaSource = quotedMsg;
+      }
+    }
+
+    if (mediaSource) {
+      media = await downloadMessageMedia(mediaSource);
+    }
+  } catch (err) {
+    console.error('Error downloading media:', err.message);
+    await sendMessageToSelf(`❌ Could not download the media: ${err.message}`);
+    return;
+  }
+
+  if (!parsed.message && !media) {
+    console.log('❌ ERROR: No message text or media to send');
+    await sendMessageToSelf('❌ Nothing to send - add a message after the time, or attach/quote media.');
+    return;
+  }
+
+  // RECIPIENT DETECTION WORKFLOW (multiple methods):
+  // Method 1: Recipient specified in command (/reply to [name/number] ...)
+  // Method 2: Reply/quote to a message
+  // Method 3: Use last forwarded message
+  let recipientId = null;
+  let quotedMessageId = null;
+
+  // METHOD 1: Check if recipient was specified in the command
+  if (parsed.recipient) {
+    console.log('✅ Recipient specified in command:', parsed.recipient);
+
+    // Check if it's a contact index (1-2 digits)
+    if (/^\d{1,2}$/.test(parsed.recipient)) {
+      const contactIndex = parseInt(parsed.recipient) - 1; // Convert to 0-based index
+      console.log('📇 Looking up contact at index:', contactIndex);
+
+      // Get recent contacts
+      const contacts = await getRecentContacts(message.client, userPhone);
+
+      if (contactIndex >= 0 && contactIndex < contacts.length) {
+        const contact = contacts[contactIndex];
+        recipientId = contact.id;
+        console.log('✅ Found contact from index:', contact.name, '-', recipientId);
+      } else {
+        console.log('❌ ERROR: Invalid contact index:', parsed.recipient);
+        console.log(`   Valid range: 1-${contacts.length}`);
+        await sendMessageToSelf(`❌ Invalid contact number: ${parsed.recipient}\n\nValid range: 1-${contacts.length}\n\nSend /list to see your contacts.`);
+        return;
+      }
+    }
+    // A full WhatsApp id, e.g. a group id (123456789@g.us)
+    else if (parsed.recipient.includes('@')) {
+      recipientId = parsed.recipient;
+      console.log('🆔 Using WhatsApp id:', recipientId);
+    }
+    // Check if it's a phone number (3+ digits or starts with +)
+    else if (/^[\d+]{3,}$/.test(parsed.recipient) || parsed.recipient.startsWith('+')) {
+      // It's a phone number - format it properly
+      let phoneNumber = parsed.recipient.replace(/\+/g, ''); // Remove + sign
+      recipientId = `${phoneNumber}@c.us`;
+      console.log('📱 Formatted as phone number:', recipientId);
+    } else {
+      // It's a name - try to find the contact
+      console.log('👤 Searching for contact by name:', parsed.recipient);
+      try {
+        // Recent chats first - they include groups
+        const recentMatches = await findMatchingContacts(message.client, userPhone, parsed.recipient);
+        const contacts = recentMatches.length > 0 ? [] : await message.client.getContacts();
+        const contact = contacts.find(c =>
+          (c.name && c.name.toLowerCase().includes(parsed.recipient.toLowerCase())) ||
+          (c.pushname && c.pushname.toLowerCase().includes(parsed.recipient.toLowerCase()))
+        );
+
+        if (recentMatches.length > 1) {
+          // Don't guess - ask which one, like /send
+          await askToPickContact(chat.id._serialized, parsed.recipient, recentMatches, {
+            scheduledTime: parsed.scheduledTime,
+            isRelativeTime: parsed.isRelativeTime,
+            timeZone: parsed.timeZone,
+            message: parsed.message,
+            media,
+            cancelOnReply: parsed.cancelOnReply,
+            template: parsed.template
+          });
+          return;
+        } else if (recentMatches.length > 0) {
+          recipientId = recentMatches[0].id;
+          console.log('✅ Found recent chat:', recentMatches[0].name, '-', recipientId);
+        } else if (contact) {
+          recipientId = contact.id._serialized;
+          console.log('✅ Found contact:', contact.name || contact.pushname, '-', recipientId);
+        } else {
+          console.log('❌ ERROR: Could not find contact with name:', parsed.recipient);
+          console.log('💡 Try using the phone number instead');
+          console.log('   Example: /reply to 972501234567 in 1 minute test');
+          return;
+        }
+      } catch (err) {
+        console.log('❌ ERROR searching contacts:', err.message);
+        return;
+      }
+    }
+  }
+
+  // METHOD 2: Check quoted message (only if recipient not already determined)
+  if (!recipientId && message.hasQuotedMsg) {
+    console.log('✅ Message has a quoted message - analyzing...');
+    try {
+      const quotedMsg = await message.getQuotedMessage();
+    console.log('📋 Quoted message details:');
+    console.log('   From:', quotedMsg.from);
+    console.log('   Author:', quotedMsg.author);
+    console.log('   FromMe:', quotedMsg.fromMe);
+    console.log('   IsForwarded:', quotedMsg.isForwarded);
+    console.log('   Type:', quotedMsg.type);
+
+    // Store the quoted message ID for replying later
+    if (quotedMsg.id && quotedMsg.id._serialized) {
+      quotedMessageId = quotedMsg.id._serialized;
+      console.log('   Message ID:', quotedMessageId);
+    }
+
+    // Try multiple methods to extract the recipient
+
+    // Method 1: Check if quoted message has a different 'from' (received from someone)
+    if (!quotedMsg.fromMe && quotedMsg.from && quotedMsg.from !== userPhone + '@c.us') {
+      recipientId = quotedMsg.from;
+      console.log('✅ Method 1: Recipient from quoted message "from" field:', recipientId);
+    }
+    // Method 2: Check author field (for group messages or forwarded messages)
+    else if (quotedMsg.author && quotedMsg.author !== userPhone + '@c.us') {
+      recipientId = quotedMsg.author;
+      console.log('✅ Method 2: Recipient from quoted message "author" field:', recipientId);
+    }
+    // Method 3: Check _data for any original sender info
+    else if (quotedMsg._data) {
+      console.log('🔍 Checking _data for recipient info...');
+      console.log('   _data.from:', quotedMsg._data.from);
+      console.log('   _data.author:', quotedMsg._data.author);
+      console.log('   _data.participant:', quotedMsg._data.participant);
+
+      // Try participant field (sometimes used for the actual sender)
+      if (quotedMsg._data.participant && quotedMsg._data.participant !== userPhone + '@c.us') {
+        recipientId = quotedMsg._data.participant;
+        console.log('✅ Method 3: Recipient from _data.participant:', recipientId);
+      }
+    }
+
+    // Method 4: Try to get contact info from the message
+    if (!recipientId && quotedMsg.getContact) {
+      try {
+        const contact = await quotedMsg.getContact();
+        if (contact && contact.id && contact.id._serialized !== userPhone + '@c.us') {
+          recipientId = contact.id._serialized;
+          console.log('✅ Method 4: Recipient from contact:', recipientId);
+        }
+      } catch (err) {
+        console.log('⚠️  Could not get contact from quoted message');
+      }
+    }
+
+    // If no recipient found from quoted message, we'll try forwarded context below
+    if (!recipientId) {
+      console.log('⚠️  Could not extract recipient from quoted message');
+      console.log('   Will try forwarded message context next...');
+      // The quote only makes sense in the chat it came from
+      quotedMessageId = null;
+    }
+  } catch (err) {
+      console.log('⚠️  Error getting quoted message:', err.message);
+      console.log('   Will try forwarded message context next...');
+    }
+  }
+
+  // METHOD 3: Try forwarded message context (only if recipient not already determined)
+  if (!recipientId) {
+    console.log('ℹ️  Recipient not found yet, checking forwarded message context');
+    const forwardedContext = await lastForwardedMessage.get(chat.id._serialized);
+
+    if (forwardedContext) {
+      console.log('✅ Found forwarded message context');
+      console.log('   From:', forwardedContext.from);
+      console.log('   Timestamp:', new Date(forwardedContext.timestamp * 1000).toISOString());
+
+      // Extract recipient from forwarded message
+      recipientId = forwardedContext.from;
+      console.log('📧 Recipient extracted from forwarded message context:', recipientId);
+    }
+  }
+
+  // Final check: if still no recipient, show contacts list
+  if (!recipientId) {
+    console.log('❌ No recipient specified - showing contacts list');
+
+    // Get recent contacts
+    const contacts = await getRecentContacts(message.client, userPhone);
+
+    if (contacts.length === 0) {
+      await sendMessageToSelf('❌ No recent contacts found.\n\nTry using:\n/reply to [phone number] in 1 hour message');
+      return;
+    }
+
+    // Build contacts list message
+    let listMessage = '📋 *Recent Contacts*\n\n';
+    listMessage += 'Send `/reply [number] in [time] [message]`\n\n';
+    contacts.forEach((contact, index) => {
+      listMessage += `${index + 1}. ${describeRecipient(contact.name, contact.id)}\n`;
+    });
+    listMessage += `\n💡 Example: /reply 1 in 2 hours hey there!`;
+
+    await sendMessageToSelf(listMessage);
+    console.log('📤 Sent contacts list to user');
+    return;
+  }
+
+  // Try to get contact name, fallback to just using the ID
+  let recipientName = recipientId;
+  if (recipientId.endsWith('@g.us')) {
+    try {
+      const groupChat = await message.client.getChatById(recipientId);
+      recipientName = groupChat.name || recipientId;
+      if (groupChat.isReadOnly) {
+        await sendMessageToSelf(`❌ You are no longer a participant of the group *${recipientName}*`);
+        return;
+      }
     } catch (err) {
-      // Ignore
+      console.log('❌ ERROR: Group not found:', recipientId);
+      await sendMessageToSelf(`❌ Group not found: ${recipientId}\n\nSend /list to see your recent groups.`);
+      return;
+    }
+  } else {
+    try {
+      const recipientContact = await message.client.getContactById(recipientId);
+      recipientName = recipientContact.name || recipientContact.pushname || recipientContact.number || recipientId;
+    } catch (err) {
+      console.log('Could not fetch contact details, using ID:', recipientId);
+      // Extract phone number from ID if possible (format: number@c.us)
+      const phonePart = recipientId.split('@')[0];
+      recipientName = phonePart || recipientId;
     }
   }
 
-  if (message._data && message._data.body) {
-    return message._data.body;
+  // Absolute times are wall-clock times in the recipient's timezone
+  parsed.scheduledTime = getRecipientScheduledTime(parsed, recipientId);
+
+  console.log('Recipient:', recipientName, recipientId);
+  console.log('Scheduled time:', parsed.scheduledTime);
+  console.log('Message:', parsed.message);
+
+  // Check if scheduled time is in the future
+  const now = new Date();
+  if (parsed.scheduledTime <= now) {
+    console.log('❌ ERROR: Scheduled time is in the past');
+    console.log('Scheduled time:', parsed.scheduledTime);
+    console.log('Current time:', now);
+    return;
   }
 
-  if (message.rawData && message.rawData.body) {
-    return message.rawData.body;
+  // Save to database (or preview first when /confirm is on)
+  try {
+    await scheduleDraft(chat.id._serialized, {
+      recipientId,
+      recipientName,
+      message: parsed.message,
+      scheduledTime: parsed.scheduledTime,
+      quotedMessageId,
+      media,
+      cancelOnReply: parsed.cancelOnReply,
+      template: parsed.template
+    });
+
+    // Clear the forwarded message context
+    await lastForwardedMessage.delete(chat.id._serialized);
+  } catch (error) {
+    console.error('❌ ERROR: Failed to save scheduled message:', error);
   }
+}
 
-  return null;
+// /abort - stop whatever this chat is waiting for (see dialog.js)
+async function handleAbortCommand({ chatId }) {
+  const dialog = await getDialog(chatId);
+  await endDialog(chatId);
+  await sendMessageToSelf(dialog && !dialog.expired
+    ? `🛑 Aborted - no longer waiting for ${describeDialog(dialog)}.${dialog.state === 'pickSender' ? '' : '\n\nNothing was scheduled.'}`
+    : '🤷 Nothing to abort - I\'m not waiting for anything.');
+}
+
+// /help - all commands, or one in detail
+async function handleHelpCommand({ args }) {
+  await sendMessageToSelf(args ? describeCommandHelp(args.split(/\s+/)[0]) : describeHelp());
 }
 
+// The order here is the order of /help
+registerCommand({
+  name: 'send',
+  syntax: '[name] [time] [message]',
+  description: 'Schedule a message to contacts, groups or lists by name',
+  examples: ['/send John in 2 hours Hey there!', '/send Dana, Avi, Family group at 18:00 Happy holiday!', '/send Avi in 3 hours unless reply did you see my email?', '/send אמא מחר ב-9 בוקר טוב'],
+  handler: handleSendCommand
+});
+registerCommand({
+  name: 'reply',
+  syntax: '[to name | number] [time] [message]',
+  description: 'Schedule a reply to a quoted or forwarded message, a /list number or a name',
+  examples: ['/reply in 2 hours hey there!', '/reply 1 in 2 hours hey there!', '/reply to Family tomorrow at 8 Good morning everyone'],
+  handler: handleReplyCommand
+});
+registerCommand({
+  name: 'every',
+  aliases: ['repeat'],
+  syntax: '[name] [schedule] at [time] [message]',
+  description: 'Schedule a recurring message',
+  examples: ['/every John sunday at 8:00 Weekly standup reminder', '/every John weekdays at 9 Good morning!', '/every John 1st of the month at 9 Rent reminder', '/every John cron(30 8 * * 0,3) Standup in 30 minutes'],
+  handler: handleEveryCommand
+});
+registerCommand({
+  name: 'show',
+  aliases: ['pending'],
+  description: 'Pending messages with their IDs, and what was sent recently',
+  handler: handleShowCommand
+});
+registerCommand({
+  name: 'today',
+  description: 'What is still to be sent today',
+  handler: handleAgendaCommand
+});
+registerCommand({
+  name: 'tomorrow',
+  description: 'Everything scheduled for tomorrow',
+  handler: handleAgendaCommand
+});
+registerCommand({
+  name: 'week',
+  description: 'The next 7 days, grouped by day',
+  handler: handleAgendaCommand
+});
+registerCommand({
+  name: 'move',
+  syntax: '[id] [time]',
+  description: 'Reschedule a pending message',
+  examples: ['/move 5 tomorrow at 10', '/move 5 in 2 hours', '/move 5 next workday'],
+  handler: handleMoveCommand
+});
+registerCommand({
+  name: 'snooze',
+  syntax: '[id] [minutes]',
+  description: 'Push a pending message back by some minutes',
+  examples: ['/snooze 5 15', '/snooze 5 2h'],
+  handler: handleSnoozeCommand
+});
+registerCommand({
+  name: 'sendnow',
+  syntax: '[id]',
+  description: 'Send a pending message right away',
+  examples: ['/sendnow 5'],
+  handler: handleSendNowCommand
+});
+registerCommand({
+  name: 'edit',
+  syntax: '[id] [new text]',
+  description: 'Replace the text (or caption) of a pending message',
+  examples: ['/edit 5 Running 10 minutes late!', '/edit 5 #meeting place=Zoom'],
+  handler: handleEditCommand
+});
+registerCommand({
+  name: 'cancel',
+  syntax: '[id] [series | batch]',
+  description: 'Cancel a pending message, its whole series or its whole batch',
+  examples: ['/cancel 5', '/cancel 5 series', '/cancel 12 batch'],
+  handler: handleCancelCommand
+});
+registerCommand({
+  name: 'retry',
+  syntax: '[id]',
+  description: 'Queue a failed message again',
+  examples: ['/retry 5'],
+  handler: handleRetryCommand
+});
+registerCommand({
+  name: 'batch',
+  syntax: '[id] [move [time]]',
+  description: 'Status per recipient of a message sent to many, or reschedule all of them',
+  examples: ['/batch 12', '/batch 12 move tomorrow at 18:00'],
+  handler: handleBatchCommand
+});
+registerCommand({
+  name: 'catchup',
+  syntax: '[id | all] [send | skip]',
+  description: 'Late messages held after downtime: send or skip them',
+  examples: ['/catchup', '/catchup 5 send', '/catchup all skip'],
+  handler: handleCatchupCommand
+});
+registerCommand({
+  name: 'list',
+  description: 'Recent contacts and groups, numbered for /reply [number]',
+  handler: handleListCommand
+});
+registerCommand({
+  name: 'group',
+  aliases: ['groups'],
+  syntax: '[create | add | remove | delete] [list] [names]',
+  description: 'Named recipient lists to send to',
+  examples: ['/group create team Dana, Avi, Family group', '/group add team Yossi', '/group remove team Avi', '/group delete team'],
+  handler: handleGroupCommand
+});
+registerCommand({
+  name: 'template',
+  aliases: ['templates'],
+  syntax: '[save | list | delete] [name] [text]',
+  description: 'Saved message texts, used with #name',
+  examples: ['/template save meeting Hi {first_name}, reminder about our meeting on {date} at {time}', '/template list', '/template delete meeting'],
+  handler: handleTemplateCommand
+});
+registerCommand({
+  name: 'confirm',
+  syntax: '[on | off]',
+  description: 'Preview each new message before it is scheduled',
+  examples: ['/confirm on', '/confirm off'],
+  handler: handleConfirmCommand
+});
+registerCommand({
+  name: 'headsup',
+  syntax: '[id] [minutes | off | default]',
+  description: 'A warning before messages go out, to cancel, send now or snooze them',
+  examples: ['/headsup 10', '/headsup off', '/headsup 5 30', '/headsup 5 default'],
+  handler: handleHeadsUpCommand
+});
+registerCommand({
+  name: 'tolerance',
+  syntax: '[id] [minutes | default]',
+  description: 'How late a message may still be sent after downtime',
+  examples: ['/tolerance 5 120', '/tolerance 5 default'],
+  handler: handleToleranceCommand
+});
+registerCommand({
+  name: 'window',
+  syntax: '[all | name] [hours] [days] | off',
+  description: 'Hours and days messages may be sent (quiet hours)',
+  examples: ['/window all 08:00-22:00', '/window Mom 09:00-20:00 sun-thu', '/window Mom off'],
+  handler: handleWindowCommand
+});
+registerCommand({
+  name: 'tz',
+  aliases: ['timezone'],
+  syntax: '[name] [timezone | off]',
+  description: 'Your timezone and per-recipient timezones',
+  examples: ['/tz Europe/Berlin', '/tz Dana America/New_York', '/tz Dana off'],
+  handler: handleTzCommand
+});
+registerCommand({
+  name: 'shabbat',
+  syntax: '[name] [on | off | default]',
+  description: 'Hold messages due during Shabbat and holidays until havdalah',
+  examples: ['/shabbat on', '/shabbat Mom off', '/shabbat Mom default'],
+  handler: handleShabbatCommand
+});
+registerCommand({
+  name: 'abort',
+  description: 'Stop waiting for a pick or a confirmation - nothing is scheduled',
+  handler: handleAbortCommand
+});
+registerCommand({
+  name: 'up',
+  aliases: ['ping'],
+  description: 'Check that the bot is running',
+  handler: handleUpCommand
+});
+registerCommand({
+  name: 'help',
+  aliases: ['commands'],
+  syntax: '[command]',
+  description: 'All commands, or one in detail',
+  examples: ['/help', '/help send'],
+  handler: handleHelpCommand
+});
+
 async function handleIncomingMessage(message) {
   // Get message ID for duplicate detection
   const messageId = message.id && message.id._serialized ? message.id._serialized : null;
 
-  // Skip duplicates
-  if (messageId && processedMessageIds.has(messageId)) {
-    return;
-  }
-
   // Skip old messages (from before server started)
   const messageTimestamp = message.timestamp ? message.timestamp * 1000 : null;
   if (messageTimestamp && messageTimestamp < SERVER_START_TIME) {
     return;
   }
 
-  // Mark as processed
-  if (messageId) {
-    processedMessageIds.add(messageId);
+  // Mark as processed, skipping duplicates (also across restarts)
+  if (messageId && !await markMessageProcessed(messageId)) {
+    return;
   }
 
   try {
@@ -214,8 +2583,15 @@ async function handleIncomingMessage(message) {
       console.log('TIP: To use this group, set DEDICATED_GROUP_ID=' + chatId);
     }
 
-    // Get message body using helper function
-    const messageBody = await getMessageBody(message);
+    // Any message from a contact drops their pending "unless reply" nudges. Only in 1:1 chats:
+    // in a group anyone may write, not necessarily the person the nudge was for.
+    if (!message.fromMe && !chat.isGroup) {
+      await cancelNudgesOnReply(chatId, message);
+    }
+
+    // Get message body using helper function - a heads-up quick action picked from
+    // its list is handled as the command it stands for
+    const messageBody = getHeadsUpCommand(message.selectedRowId) || await getMessageBody(message);
 
     if (!messageBody) {
       return;
@@ -263,7 +2639,7 @@ async function handleIncomingMessage(message) {
             } catch (err) {
               senderName = chat.name || chatId;
             }
-            cacheIncomingMessage(messageBody, senderId, senderName, chat.name || chatId, Date.now());
+            await cacheIncomingMessage(messageBody, senderId, senderName, chat.name || chatId, Date.now());
           } catch (err) {
             // Ignore cache errors
           }
@@ -282,7 +2658,7 @@ async function handleIncomingMessage(message) {
 
       // Search the message cache for who sent this message
       try {
-        const cachedMatches = searchCachedMessages(messageBody);
+        const cachedMatches = await searchCachedMessages(messageBody);
 
         // Convert cache format to match format for consistency
         const matches = cachedMatches.map(cached => ({
@@ -292,11 +2668,10 @@ async function handleIncomingMessage(message) {
         }));
 
         if (matches.length === 0) {
-          lastForwardedMessage.set(chat.id._serialized, {
+          await lastForwardedMessage.set(chat.id._serialized, {
             timestamp: message.timestamp,
             from: message.from,
             forwardingScore: message.forwardingScore,
-            message: message,
             searchedForOriginal: true,
             foundMatches: 0
           });
@@ -305,11 +2680,10 @@ async function handleIncomingMessage(message) {
         } else if (matches.length === 1) {
           const match = matches[0];
 
-          lastForwardedMessage.set(chat.id._serialized, {
+          await lastForwardedMessage.set(chat.id._serialized, {
             timestamp: message.timestamp,
             from: match.chatId,
             forwardingScore: message.forwardingScore,
-            message: message,
             originalSender: match.contactName,
             searchedForOriginal: true,
             foundMatches: 1
@@ -318,617 +2692,68 @@ async function handleIncomingMessage(message) {
           await sendMessageToSelf(`✅ Found original sender: *${match.contactName}*\n\nNow send:\n/reply in [time] [message]\n\nExample: /reply in 2 hours hey there!`);
           return;
         } else {
+          // Wait for a pick - the sender becomes the /reply context once chosen
+          const dialog = await setDialog(chat.id._serialized, 'pickSender', {
+            matches,
+            timestamp: message.timestamp,
+            forwardingScore: message.forwardingScore
+          });
+          await lastForwardedMessage.delete(chat.id._serialized);
 
-          try {
-            // Create list items from matches
-            const rows = matches.map((match, index) => ({
-              id: `sender_${index}`,
-              title: match.contactName,
-              description: `Sent at ${new Date(match.timestamp).toLocaleTimeString()}`
-            }));
-
-            const sections = [
-              {
-                title: 'Select Original Sender',
-                rows: rows
-              }
-            ];
-
-            // Store all matches for selection
-            lastForwardedMessage.set(chat.id._serialized, {
-              timestamp: message.timestamp,
-              from: message.from,
-              forwardingScore: message.forwardingScore,
-              message: message,
-              searchedForOriginal: true,
-              foundMatches: matches.length,
-              matchOptions: matches
-            });
-
-            await sendListToSelf(
-              `📋 Found ${matches.length} people who sent this message.\n\nSelect who you want to reply to:`,
-              'Choose Sender',
-              sections
-            );
-            return;
-          } catch (listError) {
-            console.error('Failed to send list, falling back to numbered menu:', listError);
-            // Fallback to old numbered menu
-            let choiceMessage = `❓ Found ${matches.length} people who sent this message:\n\n`;
-            matches.forEach((match, index) => {
-              choiceMessage += `${index + 1}. ${match.contactName}\n`;
-            });
-            choiceMessage += `\nReply with the number of who you want to reply to, then use:\n/reply in [time] [message]`;
-
-            lastForwardedMessage.set(chat.id._serialized, {
-              timestamp: message.timestamp,
-              from: message.from,
-              forwardingScore: message.forwardingScore,
-              message: message,
-              searchedForOriginal: true,
-              foundMatches: matches.length,
-              matchOptions: matches
-            });
-
-            await sendMessageToSelf(choiceMessage);
-            return;
-          }
-        }
-      } catch (err) {
-        console.error('Error searching for original sender:', err);
-        // Fall back to old behavior
-        lastForwardedMessage.set(chat.id._serialized, {
-          timestamp: message.timestamp,
-          from: message.from,
-          forwardingScore: message.forwardingScore,
-          message: message
-        });
-        return;
-      }
-    }
-
-    // Check if user is responding with a number or list ID to select from multiple forwarded message matches
-    const forwardedContext = lastForwardedMessage.get(chat.id._serialized);
-    if (forwardedContext && forwardedContext.matchOptions) {
-      let selection = -1;
-
-      // Check if it's a list ID (sender_X)
-      const listIdMatch = messageBody.trim().match(/^sender_(\d+)$/);
-      if (listIdMatch) {
-        selection = parseInt(listIdMatch[1]);
-      } else if (/^\d+$/.test(messageBody.trim())) {
-        selection = parseInt(messageBody.trim()) - 1;
-      }
-
-      if (selection >= 0 && selection < forwardedContext.matchOptions.length) {
-        const selectedMatch = forwardedContext.matchOptions[selection];
-
-        // Update the forwarded context with the selected sender
-        lastForwardedMessage.set(chat.id._serialized, {
-          timestamp: forwardedContext.timestamp,
-          from: selectedMatch.chatId,
-          forwardingScore: forwardedContext.forwardingScore,
-          message: forwardedContext.message,
-          originalSender: selectedMatch.contactName,
-          searchedForOriginal: true,
-          foundMatches: 1
-        });
-
-        await sendMessageToSelf(`✅ Selected: *${selectedMatch.contactName}*\n\nNow send:\n/reply in [time] [message]\n\nExample: /reply in 2 hours hey there!`);
-        return;
-      } else if (selection !== -1) {
-        await sendMessageToSelf(`❌ Invalid selection: ${messageBody}\n\nPlease choose a number between 1 and ${forwardedContext.matchOptions.length}`);
-        return;
-      }
-    }
-
-    // Check if user is responding to a /send contact selection
-    const sendContext = pendingSendContext.get(chat.id._serialized);
-    if (sendContext) {
-      let selection = -1;
-
-      // Check if it's a list ID (contact_X)
-      const listIdMatch = messageBody.trim().match(/^contact_(\d+)$/);
-      if (listIdMatch) {
-        selection = parseInt(listIdMatch[1]);
-        console.log('User selected contact from list, index:', selection);
-      }
-      // Check if it's a plain number
-      else if (/^\d+$/.test(messageBody.trim())) {
-        selection = parseInt(messageBody.trim()) - 1;
-        console.log('User selected contact by number, index:', selection);
-      }
-
-      if (selection >= 0 && selection < sendContext.matches.length) {
-        const selectedContact = sendContext.matches[selection];
-        console.log('✅ User selected:', selectedContact.name);
-
-        // Clear the context
-        pendingSendContext.delete(chat.id._serialized);
-
-        // Schedule the message
-        try {
-          const messageId = await saveScheduledMessage(
-            selectedContact.id,
-            selectedContact.name,
-            sendContext.message,
-            sendContext.scheduledTime
-          );
-
-          await sendMessageToSelf(
-            `✅ Message scheduled!\n\n` +
-            `📧 To: *${selectedContact.name}*\n` +
-            `💬 Message: "${sendContext.message}"\n` +
-            `⏰ Time: ${formatIsraelTime(sendContext.scheduledTime)}\n` +
-            `🆔 ID: ${messageId}`
-          );
-
-          console.log('✅ Message scheduled successfully via /send selection');
-        } catch (err) {
-          console.error('❌ Error scheduling message:', err);
-          await sendMessageToSelf('❌ Error scheduling message. Please try again.');
-        }
-        return;
-      } else if (selection !== -1) {
-        await sendMessageToSelf(`❌ Invalid selection. Please choose a number between 1 and ${sendContext.matches.length}`);
-        return;
-      }
-    }
-
-    // Check if this is a /send command
-    if (messageBody && messageBody.toLowerCase().startsWith('/send')) {
-      try {
-        console.log('Processing /send command:', messageBody);
-
-        const parsed = parseSendCommand(messageBody);
-
-      if (!parsed) {
-        await sendMessageToSelf('❌ Could not parse /send command.\n\nFormat: `/send [name] in [time] [message]`\n\nExample: /send John in 2 hours Hey there!');
-        return;
-      }
-
-      console.log('Parsed /send:', parsed);
-
-      // Search for contacts matching the name
-      console.log('Fetching contacts...');
-      const allContacts = await getRecentContacts(message.client, userPhone);
-      console.log('Got', allContacts.length, 'contacts');
-      const searchTerm = parsed.recipientName.toLowerCase();
-
-      // Find matching contacts (name or number contains the search term)
-      const matches = allContacts.filter(contact =>
-        contact.name.toLowerCase().includes(searchTerm) ||
-        contact.number.includes(searchTerm)
-      );
-
-      console.log(`Found ${matches.length} contact(s) matching "${parsed.recipientName}"`);
-
-      if (matches.length === 0) {
-        await sendMessageToSelf(`❌ No contacts found matching "*${parsed.recipientName}*"\n\nSend /list to see all contacts.`);
-        return;
-      } else if (matches.length === 1) {
-        // Exactly one match - schedule directly
-        const contact = matches[0];
-        console.log('✅ Found exact match:', contact.name);
-
-        try {
-          const messageId = await saveScheduledMessage(
-            contact.id,
-            contact.name,
-            parsed.message,
-            parsed.scheduledTime
-          );
-
-          await sendMessageToSelf(
-            `✅ Message scheduled!\n\n` +
-            `📧 To: *${contact.name}*\n` +
-            `💬 Message: "${parsed.message}"\n` +
-            `⏰ Time: ${formatIsraelTime(parsed.scheduledTime)}\n` +
-            `🆔 ID: ${messageId}`
-          );
-
-          console.log('✅ Message scheduled successfully via /send');
-        } catch (err) {
-          console.error('❌ Error scheduling message:', err);
-          await sendMessageToSelf('❌ Error scheduling message. Please try again.');
-        }
-        return;
-      } else {
-        // Multiple matches - ask user to choose using a list
-        console.log('❓ Multiple matches found, asking user to choose');
-
-        try {
           // Create list items from matches
-          const rows = matches.map((contact, index) => ({
-            id: `contact_${index}`,
-            title: contact.name,
-            description: contact.number
+          const rows = matches.map((match, index) => ({
+            id: getAnswerId(dialog, 'sender', index + 1),
+            title: match.contactName,
+            description: `Sent at ${new Date(match.timestamp).toLocaleTimeString()}`
           }));
 
           const sections = [
             {
-              title: 'Select Contact',
+              title: 'Select Original Sender',
               rows: rows
             }
           ];
 
-          // Store context for selection
-          pendingSendContext.set(chat.id._serialized, {
-            matches: matches,
-            scheduledTime: parsed.scheduledTime,
-            message: parsed.message
-          });
-
-          await sendListToSelf(
-            `📋 Found ${matches.length} contacts matching "*${parsed.recipientName}*"\n\nSelect the contact to send to:`,
-            'Choose Contact',
+          const sent = await sendListToSelf(
+            `📋 Found ${matches.length} people who sent this message.\n\nSelect who you want to reply to (or /abort):`,
+            'Choose Sender',
             sections
           );
-          return;
-        } catch (listError) {
-          console.error('Failed to send list, falling back to numbered menu:', listError);
-          // Fallback to old numbered menu
-          let choiceMessage = `❓ Found ${matches.length} contacts matching "*${parsed.recipientName}*":\n\n`;
-          matches.forEach((contact, index) => {
-            choiceMessage += `${index + 1}. ${contact.name}\n`;
-          });
-          choiceMessage += `\nReply with the number to schedule the message.`;
-
-          pendingSendContext.set(chat.id._serialized, {
-            matches: matches,
-            scheduledTime: parsed.scheduledTime,
-            message: parsed.message
-          });
-
-          await sendMessageToSelf(choiceMessage);
-          return;
-        }
-      }
-      } catch (err) {
-        console.error('Error in /send command:', err.message);
-        await sendMessageToSelf(`❌ Error processing /send command: ${err.message}`);
-      }
-      return;
-    }
-
-    // Check if this is a /up command (health check)
-    if (messageBody && messageBody.toLowerCase().trim() === '/up') {
-      try {
-        const { getPendingCount } = require('./database');
-        const pendingCount = await getPendingCount();
-        await sendMessageToSelf(`✅ *Bot is running*\n\nPending messages: ${pendingCount}\nCache entries: ${incomingMessageCache.size}`);
-      } catch (err) {
-        await sendMessageToSelf(`⚠️ *Bot is running but DB error*\n\n${err.message}`);
-      }
-      return;
-    }
-
-    // Check if this is a /list command
-    if (messageBody && messageBody.toLowerCase().trim() === '/list') {
-      try {
-        const contacts = await getRecentContacts(message.client, userPhone);
+          if (!sent) {
+            // Lists don't render on every client - fall back to a numbered menu
+            let choiceMessage = `❓ Found ${matches.length} people who sent this message:\n\n`;
+            matches.forEach((match, index) => {
+              choiceMessage += `${index + 1}. ${match.contactName}\n`;
+            });
+            choiceMessage += `\nReply with the number of who you want to reply to (or /abort), then use:\n/reply in [time] [message]`;
 
-        if (contacts.length === 0) {
-          await sendMessageToSelf('❌ No recent contacts found.');
+            await sendMessageToSelf(choiceMessage);
+          }
           return;
         }
-
-        let listMessage = '📋 *Recent Contacts*\n\n';
-        contacts.forEach((contact, index) => {
-          listMessage += `*${index + 1}.* ${contact.name}\n`;
-          listMessage += `   📞 ${contact.number}\n\n`;
-        });
-        listMessage += `💡 *How to use:*\n`;
-        listMessage += `• /reply [number] in [time] [message]\n`;
-        listMessage += `• /send [name] in [time] [message]\n\n`;
-        listMessage += `📝 Example: /reply 1 in 2 hours hey there!`;
-
-        await sendMessageToSelf(listMessage);
       } catch (err) {
-        console.error('Error in /list:', err.message);
-      }
-      return;
-    }
-
-    // Check if this is a /show command
-    if (messageBody && messageBody.toLowerCase().trim() === '/show') {
-      try {
-        const { getAllPendingMessages } = require('./database');
-        const messages = await getAllPendingMessages();
-
-        if (messages.length === 0) {
-          await sendMessageToSelf('📭 *No scheduled messages*\n\nYou have no pending messages to send.');
-          return;
-        }
-
-        let showMessage = `📬 *Scheduled Messages* (${messages.length})\n\n`;
-        messages.forEach((msg, index) => {
-          const scheduledDate = new Date(msg.scheduled_time);
-          const formattedTime = formatIsraelTime(scheduledDate);
-
-          showMessage += `━━━━━━━━━━━━━━━━━━━━\n`;
-          showMessage += `*ID: ${msg.id}*\n\n`;
-          showMessage += `👤 *To:* ${msg.recipient_name || msg.recipient}\n`;
-          showMessage += `💬 *Message:*\n"${msg.message.substring(0, 100)}${msg.message.length > 100 ? '...' : ''}"\n\n`;
-          showMessage += `⏰ *Scheduled:* ${formattedTime}\n`;
-          showMessage += `\n`;
+        console.error('Error searching for original sender:', err);
+        // Fall back to old behavior
+        await lastForwardedMessage.set(chat.id._serialized, {
+          timestamp: message.timestamp,
+          from: message.from,
+          forwardingScore: message.forwardingScore
         });
-
-        showMessage += `━━━━━━━━━━━━━━━━━━━━\n\n`;
-        showMessage += `💡 *To cancel:* /cancel [id]\n`;
-        showMessage += `📝 *Example:* /cancel ${messages[0].id}`;
-
-        await sendMessageToSelf(showMessage);
-        return;
-      } catch (err) {
-        console.error('Error in /show:', err.message);
-        await sendMessageToSelf('❌ Error fetching scheduled messages. Please try again.');
-        return;
-      }
-    }
-
-    // Check if this is a /cancel command
-    if (messageBody && messageBody.toLowerCase().startsWith('/cancel')) {
-      const cancelMatch = messageBody.match(/^\/cancel\s+(\d+)$/i);
-      if (!cancelMatch) {
-        await sendMessageToSelf('❌ Invalid format.\n\nUsage: `/cancel [id]`\n\nExample: /cancel 5\n\nUse /show to see message IDs.');
-        return;
-      }
-
-      const messageId = parseInt(cancelMatch[1]);
-
-      try {
-        const { updateMessageStatus } = require('./database');
-        await updateMessageStatus(messageId, 'cancelled', 'Cancelled by user');
-
-        await sendMessageToSelf(`✅ *Message ${messageId} cancelled*\n\nUse /show to see remaining messages.`);
-        return;
-      } catch (err) {
-        console.error('Error in /cancel:', err.message);
-        await sendMessageToSelf(`❌ Error cancelling message ${messageId}. Please try again.`);
-        return;
-      }
-    }
-
-    // Check if this is a /reply command
-    if (!messageBody || !messageBody.toLowerCase().startsWith('/reply')) {
-      return;
-    }
-
-    // Parse the time and message
-    const parsed = parseTimeCommand(messageBody);
-
-    if (!parsed) {
-      console.log('❌ ERROR: Could not parse the time or message');
-      console.log('Command received:', messageBody);
-      return;
-    }
-
-    // RECIPIENT DETECTION WORKFLOW (multiple methods):
-    // Method 1: Recipient specified in command (/reply to [name/number] ...)
-    // Method 2: Reply/quote to a message
-    // Method 3: Use last forwarded message
-    let recipientId = null;
-    let quotedMessageId = null;
-
-    // METHOD 1: Check if recipient was specified in the command
-    if (parsed.recipient) {
-      console.log('✅ Recipient specified in command:', parsed.recipient);
-
-      // Check if it's a contact index (1-2 digits)
-      if (/^\d{1,2}$/.test(parsed.recipient)) {
-        const contactIndex = parseInt(parsed.recipient) - 1; // Convert to 0-based index
-        console.log('📇 Looking up contact at index:', contactIndex);
-
-        // Get recent contacts
-        const contacts = await getRecentContacts(message.client, userPhone);
-
-        if (contactIndex >= 0 && contactIndex < contacts.length) {
-          const contact = contacts[contactIndex];
-          recipientId = contact.id;
-          console.log('✅ Found contact from index:', contact.name, '-', recipientId);
-        } else {
-          console.log('❌ ERROR: Invalid contact index:', parsed.recipient);
-          console.log(`   Valid range: 1-${contacts.length}`);
-          await sendMessageToSelf(`❌ Invalid contact number: ${parsed.recipient}\n\nValid range: 1-${contacts.length}\n\nSend /list to see your contacts.`);
-          return;
-        }
-      }
-      // Check if it's a phone number (3+ digits or starts with +)
-      else if (/^[\d+]{3,}$/.test(parsed.recipient) || parsed.recipient.startsWith('+')) {
-        // It's a phone number - format it properly
-        let phoneNumber = parsed.recipient.replace(/\+/g, ''); // Remove + sign
-        recipientId = `${phoneNumber}@c.us`;
-        console.log('📱 Formatted as phone number:', recipientId);
-      } else {
-        // It's a name - try to find the contact
-        console.log('👤 Searching for contact by name:', parsed.recipient);
-        try {
-          const contacts = await message.client.getContacts();
-          const contact = contacts.find(c =>
-            (c.name && c.name.toLowerCase().includes(parsed.recipient.toLowerCase())) ||
-            (c.pushname && c.pushname.toLowerCase().includes(parsed.recipient.toLowerCase()))
-          );
-
-          if (contact) {
-            recipientId = contact.id._serialized;
-            console.log('✅ Found contact:', contact.name || contact.pushname, '-', recipientId);
-          } else {
-            console.log('❌ ERROR: Could not find contact with name:', parsed.recipient);
-            console.log('💡 Try using the phone number instead');
-            console.log('   Example: /reply to 972501234567 in 1 minute test');
-            return;
-          }
-        } catch (err) {
-          console.log('❌ ERROR searching contacts:', err.message);
-          return;
-        }
-      }
-    }
-
-    // METHOD 2: Check quoted message (only if recipient not already determined)
-    if (!recipientId && message.hasQuotedMsg) {
-      console.log('✅ Message has a quoted message - analyzing...');
-      try {
-        const quotedMsg = await message.getQuotedMessage();
-      console.log('📋 Quoted message details:');
-      console.log('   From:', quotedMsg.from);
-      console.log('   Author:', quotedMsg.author);
-      console.log('   FromMe:', quotedMsg.fromMe);
-      console.log('   IsForwarded:', quotedMsg.isForwarded);
-      console.log('   Type:', quotedMsg.type);
-
-      // Store the quoted message ID for replying later
-      if (quotedMsg.id && quotedMsg.id._serialized) {
-        quotedMessageId = quotedMsg.id._serialized;
-        console.log('   Message ID:', quotedMessageId);
-      }
-
-      // Try multiple methods to extract the recipient
-
-      // Method 1: Check if quoted message has a different 'from' (received from someone)
-      if (!quotedMsg.fromMe && quotedMsg.from && quotedMsg.from !== userPhone + '@c.us') {
-        recipientId = quotedMsg.from;
-        console.log('✅ Method 1: Recipient from quoted message "from" field:', recipientId);
-      }
-      // Method 2: Check author field (for group messages or forwarded messages)
-      else if (quotedMsg.author && quotedMsg.author !== userPhone + '@c.us') {
-        recipientId = quotedMsg.author;
-        console.log('✅ Method 2: Recipient from quoted message "author" field:', recipientId);
-      }
-      // Method 3: Check _data for any original sender info
-      else if (quotedMsg._data) {
-        console.log('🔍 Checking _data for recipient info...');
-        console.log('   _data.from:', quotedMsg._data.from);
-        console.log('   _data.author:', quotedMsg._data.author);
-        console.log('   _data.participant:', quotedMsg._data.participant);
-
-        // Try participant field (sometimes used for the actual sender)
-        if (quotedMsg._data.participant && quotedMsg._data.participant !== userPhone + '@c.us') {
-          recipientId = quotedMsg._data.participant;
-          console.log('✅ Method 3: Recipient from _data.participant:', recipientId);
-        }
-      }
-
-      // Method 4: Try to get contact info from the message
-      if (!recipientId && quotedMsg.getContact) {
-        try {
-          const contact = await quotedMsg.getContact();
-          if (contact && contact.id && contact.id._serialized !== userPhone + '@c.us') {
-            recipientId = contact.id._serialized;
-            console.log('✅ Method 4: Recipient from contact:', recipientId);
-          }
-        } catch (err) {
-          console.log('⚠️  Could not get contact from quoted message');
-        }
-      }
-
-      // If no recipient found from quoted message, we'll try forwarded context below
-      if (!recipientId) {
-        console.log('⚠️  Could not extract recipient from quoted message');
-        console.log('   Will try forwarded message context next...');
-      }
-    } catch (err) {
-        console.log('⚠️  Error getting quoted message:', err.message);
-        console.log('   Will try forwarded message context next...');
-      }
-    }
-
-    // METHOD 3: Try forwarded message context (only if recipient not already determined)
-    if (!recipientId) {
-      console.log('ℹ️  Recipient not found yet, checking forwarded message context');
-      const forwardedContext = lastForwardedMessage.get(chat.id._serialized);
-
-      if (forwardedContext) {
-        console.log('✅ Found forwarded message context');
-        console.log('   From:', forwardedContext.from);
-        console.log('   Timestamp:', new Date(forwardedContext.timestamp * 1000).toISOString());
-
-        // Extract recipient from forwarded message
-        recipientId = forwardedContext.from;
-        console.log('📧 Recipient extracted from forwarded message context:', recipientId);
-      }
-    }
-
-    // Final check: if still no recipient, show contacts list
-    if (!recipientId) {
-      console.log('❌ No recipient specified - showing contacts list');
-
-      // Get recent contacts
-      const contacts = await getRecentContacts(message.client, userPhone);
-
-      if (contacts.length === 0) {
-        await sendMessageToSelf('❌ No recent contacts found.\n\nTry using:\n/reply to [phone number] in 1 hour message');
         return;
       }
-
-      // Build contacts list message
-      let listMessage = '📋 *Recent Contacts*\n\n';
-      listMessage += 'Send `/reply [number] in [time] [message]`\n\n';
-      contacts.forEach((contact, index) => {
-        listMessage += `${index + 1}. ${contact.name}\n`;
-      });
-      listMessage += `\n💡 Example: /reply 1 in 2 hours hey there!`;
-
-      await sendMessageToSelf(listMessage);
-      console.log('📤 Sent contacts list to user');
-      return;
-    }
-
-    // Try to get contact name, fallback to just using the ID
-    let recipientName = recipientId;
-    try {
-      const recipientContact = await message.client.getContactById(recipientId);
-      recipientName = recipientContact.name || recipientContact.pushname || recipientContact.number || recipientId;
-    } catch (err) {
-      console.log('Could not fetch contact details, using ID:', recipientId);
-      // Extract phone number from ID if possible (format: number@c.us)
-      const phonePart = recipientId.split('@')[0];
-      recipientName = phonePart || recipientId;
     }
 
-    console.log('Recipient:', recipientName, recipientId);
-    console.log('Scheduled time:', parsed.scheduledTime);
-    console.log('Message:', parsed.message);
-
-    // Check if scheduled time is in the future
-    const now = new Date();
-    if (parsed.scheduledTime <= now) {
-      console.log('❌ ERROR: Scheduled time is in the past');
-      console.log('Scheduled time:', parsed.scheduledTime);
-      console.log('Current time:', now);
+    // Check if user is answering what this chat is waiting for (see dialog.js)
+    if (!messageBody.trim().startsWith('/')) {
+      const answer = (message.selectedRowId || message.selectedButtonId || messageBody).trim();
+      await handleDialogAnswer(chatId, answer);
       return;
     }
 
-    // Save to database
-    try {
-      const messageId = await saveScheduledMessage(
-        recipientId,
-        recipientName,
-        parsed.message,
-        parsed.scheduledTime.toISOString()
-      );
-
-      // Send ONE confirmation message
-      const formattedTime = formatIsraelTime(parsed.scheduledTime);
-      const confirmation = `✅ Scheduled reply to *${recipientName}*\n\n` +
-        `📅 Time: ${formattedTime}\n` +
-        `💬 Message: "${parsed.message}"\n\n` +
-        `ID: ${messageId}`;
-
-      await sendMessageToSelf(confirmation);
-
-      console.log('✅ SUCCESS: Scheduled message created and confirmation sent');
-      console.log('Recipient:', recipientName);
-      console.log('Time:', formattedTime);
-      console.log('Message:', parsed.message);
-      console.log('Message ID:', messageId);
-
-      // Clear the forwarded message context
-      lastForwardedMessage.delete(chat.id._serialized);
-    } catch (error) {
-      console.error('❌ ERROR: Failed to save scheduled message:', error);
-    }
+    // Run the slash command (see commands.js). Unknown commands are only answered where the
+    // bot is talked to, so a message to someone else that starts with "/" stays unanswered.
+    const isCommandChat = Boolean(DEDICATED_GROUP_ID) || isSelfChat;
+    await dispatchCommand(messageBody, { message, chat, chatId, userPhone, isCommandChat });
 
   } catch (error) {
     // Don't crash on errors - just log them
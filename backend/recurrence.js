@@ -0,0 +1,336 @@
+const { convertFromZonedTimeToUTC, convertFromUTCToZonedTime } = require('./timeParser');
+const { getTimezone } = require('./timezones');
+const { isBusinessDay, describeWorkweek, getNthDayOfMonth, NTH_DAY_PATTERN, parseNthDay, describeNthDay } = require('./businessCalendar');
+
+// Recurrence rules are stored as JSON in scheduled_messages.recurrence:
+//   { type: 'daily', hour, minute }
+//   { type: 'weekdays', hour, minute }          (business days: the WORKWEEK, skipping holidays)
+//   { type: 'weekly', days: [0-6], hour, minute }
+//   { type: 'monthly', day: 1-31, hour, minute } (clamped to the last day of short months)
+//   { type: 'nthDay', n: 1-5 or -1, weekday: 0-6 or 'workday', hour, minute }
+//                                                (first Sunday / last business day of the month)
+//   { type: 'cron', expression: 'm h dom mon dow' }
+// All times are wall-clock times in the recipient's timezone (see timezones.js).
+
+const DAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+// How far ahead to look for the next occurrence (covers Feb 29 cron rules)
+const MAX_LOOKAHEAD_DAYS = 366 * 5;
+
+const DAY_PATTERN = '(?:sun|mon|tue|tues|wed|wednes|thu|thur|thurs|fri|sat|satur)(?:day)?s?';
+const RULE_PATTERNS = [
+  { type: 'daily', regex: /^(?:day|daily)\b/i },
+  { type: 'weekdays', regex: /^(?:weekdays?|workdays?|(?:business|working)\s+days?)\b/i },
+  { type: 'nthDay', regex: new RegExp(`^(?:the\\s+)?${NTH_DAY_PATTERN}\\s+of\\s+(?:(?:the|each|every)\\s+)?month\\b`, 'i') },
+  { type: 'monthEnd', regex: /^(?:the\s+)?end\s+of\s+(?:the\s+|each\s+|every\s+)?month\b/i },
+  { type: 'weekly', regex: new RegExp(`^${DAY_PATTERN}(?:\\s*(?:,|and)\\s*${DAY_PATTERN})*\\b`, 'i') },
+  { type: 'monthly', regex: /^(\d{1,2})(?:st|nd|rd|th)?\s+of\s+(?:the\s+)?month\b/i },
+  { type: 'cron', regex: /^cron\s*\(([^)]+)\)/i }
+];
+
+function parseDayName(name) {
+  const prefix = name.toLowerCase().substring(0, 3);
+  return DAY_NAMES.findIndex(day => day.toLowerCase().startsWith(prefix));
+}
+
+// Parse a single cron field into a sorted array of allowed values
+function parseCronField(field, min, max) {
+  const values = new Set();
+
+  for (const part of field.split(',')) {
+    const match = part.match(/^(\*|(\d+)(?:-(\d+))?)(?:\/(\d+))?$/);
+    if (!match) {
+      return null;
+    }
+
+    let start = min;
+    let end = max;
+    if (match[2] !== undefined) {
+      start = parseInt(match[2]);
+      end = match[3] !== undefined ? parseInt(match[3]) : (match[4] ? max : start);
+    }
+    const step = match[4] ? parseInt(match[4]) : 1;
+
+    if (start < min || end > max || start > end || step < 1) {
+      return null;
+    }
+
+    for (let value = start; value <= end; value += step) {
+      values.add(value);
+    }
+  }
+
+  return Array.from(values).sort((a, b) => a - b);
+}
+
+function parseCronExpression(expression) {
+  const fields = expression.trim().split(/\s+/);
+  if (fields.length !== 5) {
+    return null;
+  }
+
+  const minutes = parseCronField(fields[0], 0, 59);
+  const hours = parseCronField(fields[1], 0, 23);
+  const daysOfMonth = parseCronField(fields[2], 1, 31);
+  const months = parseCronField(fields[3], 1, 12);
+  const daysOfWeek = parseCronField(fields[4], 0, 7);
+
+  if (!minutes || !hours || !daysOfMonth || !months || !daysOfWeek) {
+    return null;
+  }
+
+  return {
+    minutes,
+    hours,
+    daysOfMonth,
+    months,
+    // Cron allows both 0 and 7 for Sunday
+    daysOfWeek: Array.from(new Set(daysOfWeek.map(d => d % 7))),
+    restrictsDayOfMonth: fields[2] !== '*',
+    restrictsDayOfWeek: fields[4] !== '*'
+  };
+}
+
+// Parse the rule part of an /every command.
+// Returns { rule, length } where length is how much of the text was consumed, or null.
+function parseRecurrenceRule(text) {
+  for (const pattern of RULE_PATTERNS) {
+    const match = text.match(pattern.regex);
+    if (!match) {
+      continue;
+    }
+
+    if (pattern.type === 'cron') {
+      const expression = match[1].trim();
+      if (!parseCronExpression(expression)) {
+        return null;
+      }
+      return { rule: { type: 'cron', expression }, length: match[0].length };
+    }
+
+    // "end of the month" is the last business day
+    if (pattern.type === 'monthEnd') {
+      return { rule: { type: 'nthDay', n: -1, weekday: 'workday' }, length: match[0].length };
+    }
+
+    const rule = { type: pattern.type };
+
+    if (pattern.type === 'nthDay') {
+      const nthDay = parseNthDay(match[1], match[2]);
+      if (!nthDay) {
+        return null;
+      }
+      rule.n = nthDay.n;
+      rule.weekday = nthDay.weekday;
+    } else if (pattern.type === 'weekly') {
+      const days = match[0].split(/\s*(?:,|and)\s*/i).map(parseDayName);
+      if (days.some(day => day === -1)) {
+        return null;
+      }
+      rule.days = Array.from(new Set(days)).sort((a, b) => a - b);
+    } else if (pattern.type === 'monthly') {
+      rule.day = parseInt(match[1]);
+      if (rule.day < 1 || rule.day > 31) {
+        return null;
+      }
+    }
+
+    return { rule, length: match[0].length };
+  }
+
+  return null;
+}
+
+function parseEveryCommand(text) {
+  // Parse /every [name] [rule] at [time] [message]
+  // Examples:
+  //   /every John sunday at 8:00 Weekly standup reminder
+  //   /every John weekdays at 9 Good morning!
+  //   /every John 1st of the month at 9 Rent reminder
+  //   /every John last workday of the month at 16 Timesheets
+  //   /every John cron(30 8 * * 0,3) Standup in 30 minutes
+
+  const content = text.replace(/^\/every\s+/i, '').trim();
+
+  if (!content) {
+    return null;
+  }
+
+  // The recipient name is everything before the first recognised rule
+  const wordStarts = [];
+  const wordRegex = /\s+(\S)/g;
+  let wordMatch;
+  while ((wordMatch = wordRegex.exec(content)) !== null) {
+    wordStarts.push(wordMatch.index + wordMatch[0].length - 1);
+  }
+
+  for (const start of wordStarts) {
+    const parsedRule = parseRecurrenceRule(content.substring(start));
+    if (!parsedRule) {
+      continue;
+    }
+
+    const recipientName = content.substring(0, start).trim();
+    let rest = content.substring(start + parsedRule.length).trim();
+    const rule = parsedRule.rule;
+
+    if (rule.type !== 'cron') {
+      const timeMatch = rest.match(/^at\s+(\d{1,2})(?::(\d{2}))?\b/i);
+      if (!timeMatch) {
+        return null;
+      }
+
+      rule.hour = parseInt(timeMatch[1]);
+      rule.minute = timeMatch[2] ? parseInt(timeMatch[2]) : 0;
+      if (rule.hour > 23 || rule.minute > 59) {
+        return null;
+      }
+
+      rest = rest.substring(timeMatch[0].length).trim();
+    }
+
+    if (!rest) {
+      return null;
+    }
+
+    return {
+      recipientName,
+      recurrence: rule,
+      message: rest,
+      scheduledTime: getNextOccurrence(rule, new Date()),
+      originalText: text
+    };
+  }
+
+  return null;
+}
+
+function getDaysInMonth(year, month) {
+  return new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+}
+
+// Check whether a given local calendar day (UTC fields) matches the rule
+function matchesDay(rule, day, cron) {
+  const dayOfWeek = day.getUTCDay();
+  const dayOfMonth = day.getUTCDate();
+
+  switch (rule.type) {
+    case 'daily':
+      return true;
+    case 'weekdays':
+      return isBusinessDay(day);
+    case 'weekly':
+      return rule.days.includes(dayOfWeek);
+    case 'monthly': {
+      const lastDay = getDaysInMonth(day.getUTCFullYear(), day.getUTCMonth());
+      return dayOfMonth === Math.min(rule.day, lastDay);
+    }
+    case 'nthDay': {
+      const target = getNthDayOfMonth(day.getUTCFullYear(), day.getUTCMonth(), rule.n, rule.weekday);
+      return target !== null && target.getTime() === day.getTime();
+    }
+    case 'cron': {
+      if (!cron.months.includes(day.getUTCMonth() + 1)) {
+        return false;
+      }
+      const domMatch = cron.daysOfMonth.includes(dayOfMonth);
+      const dowMatch = cron.daysOfWeek.includes(dayOfWeek);
+      // Standard cron semantics: if both are restricted, either may match
+      if (cron.restrictsDayOfMonth && cron.restrictsDayOfWeek) {
+        return domMatch || dowMatch;
+      }
+      return domMatch && dowMatch;
+    }
+    default:
+      return false;
+  }
+}
+
+// Get the first occurrence of the rule strictly after the given UTC time, in the given timezone
+function getNextOccurrence(rule, after, timeZone = getTimezone()) {
+  if (typeof rule === 'string') {
+    rule = JSON.parse(rule);
+  }
+
+  const cron = rule.type === 'cron' ? parseCronExpression(rule.expression) : null;
+  if (rule.type === 'cron' && !cron) {
+    return null;
+  }
+
+  const times = cron
+    ? cron.hours.flatMap(hour => cron.minutes.map(minute => ({ hour, minute })))
+    : [{ hour: rule.hour, minute: rule.minute }];
+
+  const localNow = convertFromUTCToZonedTime(after, timeZone);
+
+  for (let i = 0; i <= MAX_LOOKAHEAD_DAYS; i++) {
+    const day = new Date(Date.UTC(
+      localNow.getUTCFullYear(),
+      localNow.getUTCMonth(),
+      localNow.getUTCDate() + i
+    ));
+
+    if (!matchesDay(rule, day, cron)) {
+      continue;
+    }
+
+    for (const time of times) {
+      const localTime = new Date(Date.UTC(
+        day.getUTCFullYear(),
+        day.getUTCMonth(),
+        day.getUTCDate(),
+        time.hour,
+        time.minute
+      ));
+      const candidate = convertFromZonedTimeToUTC(localTime, timeZone);
+      if (candidate > after) {
+        return candidate;
+      }
+    }
+  }
+
+  return null;
+}
+
+function ordinal(n) {
+  const suffixes = { 1: 'st', 2: 'nd', 3: 'rd' };
+  const suffix = (n % 100 >= 11 && n % 100 <= 13) ? 'th' : (suffixes[n % 10] || 'th');
+  return `${n}${suffix}`;
+}
+
+// Human readable description of a rule, e.g. "every Sunday at 08:00"
+function describeRecurrence(rule) {
+  if (typeof rule === 'string') {
+    rule = JSON.parse(rule);
+  }
+
+  if (rule.type === 'cron') {
+    return `cron (${rule.expression})`;
+  }
+
+  const time = `${String(rule.hour).padStart(2, '0')}:${String(rule.minute).padStart(2, '0')}`;
+
+  switch (rule.type) {
+    case 'daily':
+      return `every day at ${time}`;
+    case 'weekdays':
+      return `every business day (${describeWorkweek()}) at ${time}`;
+    case 'weekly':
+      return `every ${rule.days.map(d => DAY_NAMES[d]).join(', ')} at ${time}`;
+    case 'monthly':
+      return `every ${ordinal(rule.day)} of the month at ${time}`;
+    case 'nthDay':
+      return `every ${describeNthDay(rule.n, rule.weekday)} of the month at ${time}`;
+    default:
+      return 'unknown schedule';
+  }
+}
+
+module.exports = {
+  DAY_NAMES,
+  parseDayName,
+  parseEveryCommand,
+  parseRecurrenceRule,
+  getNextOccurrence,
+  describeRecurrence
+};
@@ -1,9 +1,445 @@
 const cron = require('node-cron');
-const { getPendingMessages, updateMessageStatus } = require('./database');
-const { sendMessage, sendMessageToSelf, isClientReady } = require('./whatsappClient');
+const os = require('os');
+const crypto = require('crypto');
+const {
+  getPendingMessages,
+  updateMessageStatus,
+  saveScheduledMessage,
+  recordFailedAttempt,
+  markMessageSent,
+  claimMessage,
+  markMessageDispatched,
+  recoverStaleClaims,
+  getNextDueTime,
+  getNextHeadsUpTime,
+  getDueHeadsUps,
+  markHeadsUpSent,
+  clearHeadsUpSent,
+  scheduleEvents,
+  hasLaterSeriesMessage,
+  cancelRecipientMessages,
+  rescheduleMessage,
+  getReferencedMediaPaths
+} = require('./database');
+const {
+  sendMessage,
+  sendMessageToSelf,
+  sendListToSelf,
+  isClientReady,
+  isDisconnectedError,
+  describeRecipient,
+  getChatDisplayName
+} = require('./whatsappClient');
+const { getNextOccurrence } = require('./recurrence');
+const { formatTime } = require('./timeParser');
+const { getTimezone } = require('./timezones');
+const { getMediaFromRow, describeContent, cleanupOrphanedMedia } = require('./media');
+const { checkSendingWindow, describeWindow } = require('./sendingWindows');
+const { checkShabbat } = require('./shabbat');
+const { getTemplateFromRow, getTemplateValues, renderTemplate } = require('./templates');
+const { getDefaultHeadsUpMinutes, getHeadsUpActions } = require('./headsUp');
 
 let isProcessing = false;
 
+// Identifies this process when claiming messages, so parallel instances never send the same row
+const INSTANCE_ID = `${os.hostname()}-${process.pid}-${crypto.randomBytes(3).toString('hex')}`;
+
+// A claim older than this is considered abandoned by a crashed instance
+const SENDING_LEASE = 5 * 60 * 1000; // 5 minutes
+
+// Timer-driven dispatch: one timer armed for the next due message, plus a slow safety sweep
+const MAX_TIMER_DELAY = 60 * 60 * 1000; // re-check at least hourly
+const MIN_TIMER_DELAY = 1000; // never spin on overdue rows that can't be sent yet
+let dispatchTimer = null;
+let nextDueAt = null;
+let rearmPending = false;
+let schedulerStarted = false;
+
+// Retry policy for failed deliveries
+const MAX_SEND_ATTEMPTS = parseInt(process.env.MAX_SEND_ATTEMPTS) || 5;
+const RETRY_BASE_DELAY = (parseInt(process.env.RETRY_BASE_DELAY_MINUTES) || 1) * 60 * 1000;
+const RETRY_MAX_DELAY = 60 * 60 * 1000; // 1 hour
+
+// Catch-up policy for messages that are overdue after downtime:
+//   send - send anyway
+//   skip - mark as 'missed' without sending
+//   ask  - hold and ask for confirmation in self-chat (/catchup)
+const MISSED_MESSAGE_POLICY = ['send', 'skip', 'ask'].includes(process.env.MISSED_MESSAGE_POLICY)
+  ? process.env.MISSED_MESSAGE_POLICY
+  : 'send';
+const MISSED_TOLERANCE_MINUTES = parseInt(process.env.MISSED_TOLERANCE_MINUTES) || 15;
+
+// Collects what the first pass after (re)connecting did with late messages
+let catchUpReport = null;
+
+// Transient errors are worth retrying; anything else (invalid number, etc.) fails immediately
+function isTransientError(error) {
+  if (isDisconnectedError(error)) {
+    return true;
+  }
+  const message = (error && (error.message || String(error))) || '';
+  return /timed? ?out|ETIMEDOUT|ECONNRESET|ECONNREFUSED|ENOTFOUND|EAI_AGAIN|net::ERR_|Execution context was destroyed/i.test(message);
+}
+
+// Exponential backoff: 1, 2, 4, 8... minutes (capped)
+function getRetryDelay(attempts) {
+  return Math.min(RETRY_BASE_DELAY * Math.pow(2, attempts - 1), RETRY_MAX_DELAY);
+}
+
+// Mark a delivered message as sent, retrying briefly if the database write fails
+async function markSent(id, sentMessageId) {
+  let lastError = null;
+  for (let i = 0; i < 3; i++) {
+    try {
+      await markMessageSent(id, sentMessageId);
+      return;
+    } catch (error) {
+      if (error.code === 'INVALID_STATUS_TRANSITION' || error.code === 'MESSAGE_NOT_FOUND') {
+        // The row moved on (e.g. stale claim recovery) - retrying won't help
+        throw error;
+      }
+      lastError = error;
+      await new Promise(resolve => setTimeout(resolve, 1000));
+    }
+  }
+  throw lastError;
+}
+
+async function handleSendFailure(msg, error, dispatched) {
+  if (!dispatched) {
+    // Never reached WhatsApp - the claim expires and the message goes back to pending
+    console.error(`Could not dispatch message ${msg.id}:`, error.message);
+    return;
+  }
+
+  console.error(`Failed to send message ${msg.id}:`, error.message);
+
+  const attempts = (msg.attempts || 0) + 1;
+
+  if (isTransientError(error) && attempts < MAX_SEND_ATTEMPTS) {
+    // Release the claim and try again later
+    const nextAttempt = new Date(Date.now() + getRetryDelay(attempts));
+    await recordFailedAttempt(msg.id, attempts, nextAttempt, error.message);
+    console.log(`Will retry message ${msg.id} at ${nextAttempt.toISOString()} (attempt ${attempts}/${MAX_SEND_ATTEMPTS})`);
+    return;
+  }
+
+  await recordFailedAttempt(msg.id, attempts, null, error.message);
+  await updateMessageStatus(msg.id, 'failed', error.message);
+
+  // A failed occurrence doesn't stop the series - unless I can no longer post to the group at all
+  const leftGroup = error.code === 'NOT_GROUP_PARTICIPANT';
+  let cancelledCount = 0;
+  if (leftGroup) {
+    cancelledCount = await cancelRecipientMessages(msg.recipient, 'No longer a participant of the group');
+  } else {
+    await scheduleNextOccurrence(msg);
+  }
+
+  try {
+    await sendMessageToSelf(
+      `❌ Failed to send scheduled message\n\n` +
+      `To: ${describeRecipient(msg.recipient_name, msg.recipient)}\n` +
+      `Attempts: ${attempts}\n` +
+      `Error: ${error.message}` +
+      (cancelledCount > 0
+        ? `\n\n🚫 ${cancelledCount} other pending message(s) to this group were cancelled`
+        : `\n\n🔁 To try again: /retry ${msg.id}`)
+    );
+  } catch (notifyError) {
+    // Ignore notification errors
+  }
+}
+
+// The text to send: template placeholders are filled in with the recipient's current
+// WhatsApp name and the scheduled time
+async function getMessageText(msg) {
+  const template = getTemplateFromRow(msg);
+  if (!template) {
+    return msg.message;
+  }
+
+  const name = await getChatDisplayName(msg.recipient) || msg.recipient_name;
+  return renderTemplate(msg.message, getTemplateValues(name, new Date(msg.scheduled_time), template.args, getTimezone(msg.recipient)));
+}
+
+// Warn in self-chat that a message is about to go out, with quick actions to stop or delay it.
+// Lists don't render on every WhatsApp version, so the text names the commands too.
+async function sendHeadsUp(msg) {
+  // Claim the heads-up first - another instance may be sending it too
+  const claimedAt = await markHeadsUpSent(msg.id);
+  if (!claimedAt) {
+    return;
+  }
+
+  const scheduledTime = new Date(msg.scheduled_time);
+  const minutesLeft = Math.max(1, Math.round((scheduledTime.getTime() - Date.now()) / 60000));
+  const text = await getMessageText(msg);
+
+  const body = `⏳ *Heads-up: message ${msg.id} goes out in ${minutesLeft} minute(s)*\n\n` +
+    `📧 To: *${describeRecipient(msg.recipient_name, msg.recipient)}*\n` +
+    `⏰ Time: ${formatTime(scheduledTime, getTimezone(msg.recipient))}\n` +
+    `💬 ${describeContent(text, msg.media_type)}\n\n` +
+    `Cancel it: /cancel ${msg.id}\n` +
+    `Send it now: /sendnow ${msg.id}\n` +
+    `Snooze it: /snooze ${msg.id} [minutes]`;
+
+  const sent = await sendListToSelf(body, 'Quick actions', [
+    { title: `Message ${msg.id}`, rows: getHeadsUpActions(msg.id) }
+  ]);
+  if (!sent && !await sendMessageToSelf(body)) {
+    // Not delivered - release the claim so the heads-up is tried again
+    await clearHeadsUpSent(msg.id, claimedAt);
+    console.log(`Heads-up for message ${msg.id} not sent, will try again`);
+    return;
+  }
+
+  console.log(`Sent heads-up for message ${msg.id} (${minutesLeft} minute(s) before)`);
+}
+
+async function sendHeadsUps() {
+  const messages = await getDueHeadsUps(getDefaultHeadsUpMinutes());
+  for (const msg of messages) {
+    try {
+      await sendHeadsUp(msg);
+    } catch (error) {
+      console.error(`Failed to send heads-up for message ${msg.id}:`, error.message);
+    }
+  }
+}
+
+// Defer a due message that falls outside its allowed-sending windows to the next allowed slot.
+// Returns true if the message should not be sent now.
+async function applySendingWindow(msg) {
+  const check = await checkSendingWindow(msg.recipient, new Date());
+  if (check.allowed) {
+    return false;
+  }
+
+  const windows = check.blockedBy.map(window => `${window.label}: ${describeWindow(window.rule)}`).join(', ');
+
+  if (!check.nextAllowed) {
+    console.log(`Sending windows for message ${msg.id} never overlap (${windows}), sending anyway`);
+    return false;
+  }
+
+  const changes = await rescheduleMessage(msg.id, check.nextAllowed);
+  if (changes === 0) {
+    // Claimed or cancelled in the meantime
+    return true;
+  }
+
+  console.log(`Deferred message ${msg.id} to ${check.nextAllowed.toISOString()} (outside ${windows})`);
+
+  try {
+    await sendMessageToSelf(
+      `🌙 Message ${msg.id} to *${describeRecipient(msg.recipient_name, msg.recipient)}* deferred\n\n` +
+      `Outside allowed hours (${windows})\n` +
+      `⏰ New time: ${formatTime(check.nextAllowed, getTimezone(msg.recipient))}`
+    );
+  } catch (notifyError) {
+    // Ignore notification errors
+  }
+
+  return true;
+}
+
+// Hold a due message during Shabbat or a holiday until havdalah, if its recipient defers.
+// Returns true if the message should not be sent now.
+async function applyShabbat(msg) {
+  const check = checkShabbat(msg.recipient, new Date());
+  if (!check || !check.defer) {
+    return false;
+  }
+
+  const changes = await rescheduleMessage(msg.id, check.window.end);
+  if (changes === 0) {
+    // Claimed or cancelled in the meantime
+    return true;
+  }
+
+  console.log(`Deferred message ${msg.id} to ${check.window.end.toISOString()} (${check.window.name})`);
+
+  try {
+    await sendMessageToSelf(
+      `🕯️ Message ${msg.id} to *${describeRecipient(msg.recipient_name, msg.recipient)}* deferred\n\n` +
+      `Due during ${check.window.name}\n` +
+      `⏰ New time: ${formatTime(check.window.end, getTimezone(msg.recipient))} (havdalah)`
+    );
+  } catch (notifyError) {
+    // Ignore notification errors
+  }
+
+  return true;
+}
+
+function formatLateness(ms) {
+  const totalMinutes = Math.round(ms / 60000);
+  const hours = Math.floor(totalMinutes / 60);
+  const minutes = totalMinutes % 60;
+  return hours > 0 ? `${hours}h ${minutes}m` : `${minutes}m`;
+}
+
+// Apply the catch-up policy to a claimed message. A retry is late only from when the retry
+// was due, not from its original time - the backoff itself doesn't make it missed.
+// Returns { send, late } - whether to send it now and whether it is past its tolerance.
+async function applyMissedPolicy(msg) {
+  const dueTime = new Date(msg.next_attempt_at && msg.next_attempt_at > msg.scheduled_time ? msg.next_attempt_at : msg.scheduled_time);
+  const lateness = Date.now() - dueTime.getTime();
+  const toleranceMinutes = msg.late_tolerance_minutes ?? MISSED_TOLERANCE_MINUTES;
+
+  if (msg.late_approved || lateness <= toleranceMinutes * 60 * 1000) {
+    return { send: true, late: false };
+  }
+
+  const recipient = describeRecipient(msg.recipient_name, msg.recipient);
+  console.log(`Message ${msg.id} is ${formatLateness(lateness)} late (policy: ${MISSED_MESSAGE_POLICY})`);
+
+  if (MISSED_MESSAGE_POLICY === 'skip') {
+    await updateMessageStatus(msg.id, 'missed', `Missed by ${formatLateness(lateness)}`);
+    await scheduleNextOccurrence(msg);
+
+    if (catchUpReport) {
+      catchUpReport.skipped.push(msg);
+    } else {
+      await sendMessageToSelf(
+        `⏭️ Skipped late message (${formatLateness(lateness)} late)\n\n` +
+        `To: ${recipient}\n` +
+        `💬 ${describeContent(msg.message, msg.media_type)}`
+      );
+    }
+    return { send: false, late: true };
+  }
+
+  if (MISSED_MESSAGE_POLICY === 'ask') {
+    await updateMessageStatus(msg.id, 'held', `Held for confirmation - ${formatLateness(lateness)} late`);
+
+    // Keep a recurring series going while this occurrence waits
+    await scheduleNextOccurrence(msg);
+
+    if (catchUpReport) {
+      catchUpReport.held.push(msg);
+    }
+
+    await sendMessageToSelf(
+      `⏸️ *Late message held* (ID: ${msg.id})\n\n` +
+      `To: ${recipient}\n` +
+      `⏰ Was due: ${formatTime(new Date(msg.scheduled_time), getTimezone(msg.recipient))} (${formatLateness(lateness)} ago)\n` +
+      `💬 ${describeContent(msg.message, msg.media_type)}\n\n` +
+      `Send it now: /catchup ${msg.id} send\n` +
+      `Drop it: /catchup ${msg.id} skip`
+    );
+    return { send: false, late: true };
+  }
+
+  // 'send' policy - send anyway
+  return { send: true, late: true };
+}
+
+// Summarise the catch-up pass that ran after (re)connecting
+async function sendCatchUpReport(report) {
+  const { lateSent, skipped, held } = report;
+
+  if (lateSent.length === 0 && skipped.length === 0 && held.length === 0) {
+    return;
+  }
+
+  const describe = (msg) => `• #${msg.id} to ${describeRecipient(msg.recipient_name, msg.recipient)} ` +
+    `(due ${formatTime(new Date(msg.scheduled_time), getTimezone(msg.recipient))})`;
+
+  let summary = `📥 *Catch-up after reconnecting*\n`;
+  if (lateSent.length > 0) {
+    summary += `\n📤 Sent late (${lateSent.length}):\n${lateSent.map(describe).join('\n')}\n`;
+  }
+  if (skipped.length > 0) {
+    summary += `\n⏭️ Skipped as missed (${skipped.length}):\n${skipped.map(describe).join('\n')}\n`;
+  }
+  if (held.length > 0) {
+    summary += `\n⏸️ Waiting for your confirmation (${held.length}):\n${held.map(describe).join('\n')}\n`;
+    summary += `\nUse /catchup to review them.`;
+  }
+
+  await sendMessageToSelf(summary);
+}
+
+// Remove stored media that no pending message needs anymore
+async function cleanupMedia() {
+  try {
+    await cleanupOrphanedMedia(await getReferencedMediaPaths());
+  } catch (error) {
+    console.error('Error cleaning up media:', error.message);
+  }
+}
+
+// Release or fail claims abandoned by a crashed instance
+async function recoverClaims() {
+  try {
+    const { released, interrupted } = await recoverStaleClaims(SENDING_LEASE);
+
+    if (released > 0) {
+      console.log(`Recovered ${released} unsent message(s) from stale claims`);
+    }
+
+    for (const msg of interrupted) {
+      console.log(`Message ${msg.id} was interrupted while sending - marked failed, not resent`);
+      await sendMessageToSelf(
+        `⚠️ Scheduled message may not have been sent\n\n` +
+        `To: ${describeRecipient(msg.recipient_name, msg.recipient)}\n` +
+        `💬 ${describeContent(msg.message, msg.media_type)}\n\n` +
+        `The server stopped while sending it. It was not resent to avoid a duplicate - please check the chat.`
+      );
+
+      // Keep recurring series going
+      await scheduleNextOccurrence(msg);
+    }
+  } catch (error) {
+    console.error('Error recovering stale claims:', error.message);
+  }
+}
+
+// Queue the next occurrence of a recurring message, returns the new row's time (or null)
+async function scheduleNextOccurrence(msg) {
+  if (!msg.recurrence) {
+    return null;
+  }
+
+  try {
+    // Go on from the occurrence's own slot: one moved earlier (/move, /sendnow) must not
+    // bring that slot back as the next occurrence
+    const scheduledTime = new Date(msg.scheduled_time);
+    const slotTime = msg.slot_time ? new Date(msg.slot_time) : scheduledTime;
+    const lastTime = slotTime > scheduledTime ? slotTime : scheduledTime;
+
+    // The next occurrence may already be queued (e.g. when a held occurrence is sent later)
+    const seriesId = msg.series_id || msg.id;
+    if (await hasLaterSeriesMessage(seriesId, lastTime)) {
+      return null;
+    }
+
+    // Never schedule in the past, even if this occurrence went out late
+    const after = lastTime > new Date() ? lastTime : new Date();
+    const nextTime = getNextOccurrence(msg.recurrence, after, getTimezone(msg.recipient));
+
+    if (!nextTime) {
+      console.log(`Series ${msg.series_id || msg.id} has no further occurrences`);
+      return null;
+    }
+
+    const nextId = await saveScheduledMessage(msg.recipient, msg.recipient_name, msg.message, nextTime, {
+      recurrence: msg.recurrence,
+      seriesId: msg.series_id || msg.id,
+      media: getMediaFromRow(msg),
+      template: getTemplateFromRow(msg)
+    });
+
+    console.log(`Scheduled next occurrence ${nextId} of series ${msg.series_id || msg.id} at ${nextTime.toISOString()}`);
+    return nextTime;
+  } catch (error) {
+    console.error(`Failed to schedule next occurrence of message ${msg.id}:`, error.message);
+    return null;
+  }
+}
+
 async function sendScheduledMessages() {
   if (isProcessing || !isClientReady()) {
     return;
@@ -12,9 +448,16 @@ async function sendScheduledMessages() {
   isProcessing = true;
 
   try {
+    try {
+      await sendHeadsUps();
+    } catch (headsUpError) {
+      console.error('Error sending heads-ups:', headsUpError.message);
+    }
+
     const messages = await getPendingMessages();
 
     if (messages.length === 0) {
+      catchUpReport = null;
       isProcessing = false;
       return;
     }
@@ -22,56 +465,198 @@ async function sendScheduledMessages() {
     console.log(`Sending ${messages.length} scheduled message(s)`);
 
     for (const msg of messages) {
+      // Stop early if the session dropped - remaining messages stay pending untouched
+      if (!isClientReady()) {
+        console.log('Client no longer ready, postponing remaining messages');
+        break;
+      }
+
+      // Respect Shabbat and quiet hours - held messages move to havdalah or the next allowed slot,
+      // where they are checked again
       try {
-        await sendMessage(msg.recipient, msg.message);
-        await updateMessageStatus(msg.id, 'sent');
+        if (await applyShabbat(msg) || await applySendingWindow(msg)) {
+          continue;
+        }
+      } catch (windowError) {
+        console.error(`Error checking sending window for message ${msg.id}:`, windowError.message);
+      }
 
-        console.log(`Sent message ${msg.id} to ${msg.recipient_name || msg.recipient}`);
+      // Claim the row first - another instance (or an earlier tick) may already own it
+      let claimed = false;
+      try {
+        claimed = await claimMessage(msg.id, INSTANCE_ID);
+      } catch (claimError) {
+        console.error(`Failed to claim message ${msg.id}:`, claimError.message);
+      }
+      if (!claimed) {
+        continue;
+      }
 
-        try {
-          await sendMessageToSelf(
-            `✅ Scheduled message sent to *${msg.recipient_name || msg.recipient}*\n\n` +
-            `💬 "${msg.message}"`
-          );
-        } catch (confirmError) {
-          // Ignore confirmation errors
+      let policy;
+      try {
+        policy = await applyMissedPolicy(msg);
+        if (!policy.send) {
+          continue;
         }
+      } catch (policyError) {
+        console.error(`Error applying catch-up policy to message ${msg.id}:`, policyError.message);
+        continue;
+      }
+
+      let dispatched = false;
+      let sentMessageId = null;
+      let text = msg.message;
 
+      try {
+        text = await getMessageText(msg);
+        await markMessageDispatched(msg.id, INSTANCE_ID);
+        dispatched = true;
+        sentMessageId = await sendMessage(msg.recipient, text, {
+          quotedMessageId: msg.quoted_message_id,
+          media: getMediaFromRow(msg)
+        });
       } catch (error) {
-        console.error(`Failed to send message ${msg.id}:`, error.message);
-        await updateMessageStatus(msg.id, 'failed', error.message);
+        await handleSendFailure(msg, error, dispatched);
+        await new Promise(resolve => setTimeout(resolve, 1000));
+        continue;
+      }
+
+      // Delivered - from here on the message must never be sent again
+      try {
+        await markSent(msg.id, sentMessageId);
+
+        console.log(`Sent message ${msg.id} to ${msg.recipient_name || msg.recipient}`);
+
+        if (policy.late && catchUpReport) {
+          catchUpReport.lateSent.push(msg);
+        }
+
+        const nextTime = await scheduleNextOccurrence(msg);
 
         try {
           await sendMessageToSelf(
-            `❌ Failed to send scheduled message\n\n` +
-            `To: ${msg.recipient_name || msg.recipient}\n` +
-            `Error: ${error.message}`
+            `✅ Scheduled message sent to *${describeRecipient(msg.recipient_name, msg.recipient)}*\n\n` +
+            `💬 ${describeContent(text, msg.media_type)}` +
+            (nextTime ? `\n\n🔁 Next: ${formatTime(nextTime, getTimezone(msg.recipient))}` : '')
           );
-        } catch (notifyError) {
-          // Ignore notification errors
+        } catch (confirmError) {
+          // Ignore confirmation errors
         }
+      } catch (error) {
+        // The row stays 'sending' with dispatched_at set; stale-claim recovery will
+        // mark it failed instead of resending it
+        console.error(`Message ${msg.id} was sent but could not be marked as sent:`, error.message);
       }
 
       await new Promise(resolve => setTimeout(resolve, 1000));
     }
 
+    if (catchUpReport) {
+      const report = catchUpReport;
+      catchUpReport = null;
+      await sendCatchUpReport(report);
+    }
+
   } catch (error) {
     console.error('Scheduler error:', error.message);
   } finally {
     isProcessing = false;
+    armTimer();
   }
 }
 
+// Arm the dispatch timer for the earliest pending message or heads-up
+async function armTimer() {
+  if (dispatchTimer) {
+    clearTimeout(dispatchTimer);
+    dispatchTimer = null;
+  }
+  nextDueAt = null;
+
+  // The scheduler is re-armed from onReady once the client reconnects
+  if (!isClientReady()) {
+    return;
+  }
+
+  try {
+    const dueTimes = (await Promise.all([
+      getNextDueTime(),
+      getNextHeadsUpTime(getDefaultHeadsUpMinutes())
+    ])).filter(Boolean);
+    if (dueTimes.length === 0) {
+      return;
+    }
+    const due = new Date(Math.min(...dueTimes.map(time => time.getTime())));
+
+    // Another re-arm may have run while we were querying
+    if (dispatchTimer) {
+      clearTimeout(dispatchTimer);
+    }
+
+    nextDueAt = due;
+    const delay = Math.min(Math.max(due.getTime() - Date.now(), MIN_TIMER_DELAY), MAX_TIMER_DELAY);
+    dispatchTimer = setTimeout(() => {
+      dispatchTimer = null;
+      sendScheduledMessages();
+    }, delay);
+  } catch (error) {
+    console.error('Error arming scheduler timer:', error.message);
+  }
+}
+
+// Re-arm after rows are inserted, edited or cancelled (coalesced per tick)
+function handleScheduleChanged(scheduledTime) {
+  // sendScheduledMessages re-arms when it finishes
+  if (!schedulerStarted || isProcessing) {
+    return;
+  }
+
+  // A later insert can't change the next due time - no query needed. Its heads-up
+  // comes first; messages with their own heads-up lead re-arm without a time.
+  const headsUpLead = getDefaultHeadsUpMinutes() * 60 * 1000;
+  if (scheduledTime && nextDueAt && scheduledTime.getTime() - headsUpLead >= nextDueAt.getTime()) {
+    return;
+  }
+
+  if (rearmPending) {
+    return;
+  }
+
+  rearmPending = true;
+  setImmediate(() => {
+    rearmPending = false;
+    armTimer();
+  });
+}
+
+scheduleEvents.on('changed', handleScheduleChanged);
+
 function startScheduler() {
-  console.log('Scheduler started');
+  // The first pass after connecting reports what happened to overdue messages
+  catchUpReport = { lateSent: [], skipped: [], held: [] };
+
+  // Called again on every reconnect - only catch up and re-arm then
+  if (schedulerStarted) {
+    console.log('Scheduler resumed');
+    recoverClaims().then(() => sendScheduledMessages());
+    return;
+  }
+
+  schedulerStarted = true;
+  console.log('Scheduler started, instance:', INSTANCE_ID);
 
-  cron.schedule('* * * * *', () => {
+  // Safety sweep in case a timer or change notification was missed
+  cron.schedule('*/5 * * * *', async () => {
+    await recoverClaims();
     sendScheduledMessages();
   });
 
-  setTimeout(() => {
-    sendScheduledMessages();
-  }, 5000);
+  // Hourly cleanup of media files nothing references anymore
+  cron.schedule('0 * * * *', () => {
+    cleanupMedia();
+  });
+
+  recoverClaims().then(() => sendScheduledMessages());
 }
 
 module.exports = {
@@ -0,0 +1,236 @@
+const { convertFromZonedTimeToUTC, convertFromUTCToZonedTime } = require('./timeParser');
+const { getTimezone } = require('./timezones');
+const { DAY_NAMES, parseDayName } = require('./recurrence');
+const { getSendingWindows } = require('./database');
+
+// Allowed-sending windows are stored as JSON in sending_windows.rule:
+//   { start: minutes, end: minutes, days: [0-6] }
+// start/end are wall-clock minutes since midnight in the recipient's timezone (the global
+// window too, so quiet hours follow each recipient's clock). A window with start > end wraps
+// past midnight (e.g. 20:00-02:00) and belongs to the day it starts on; start === end
+// allows the whole day. Recipient '*' holds the global window.
+
+const GLOBAL_RECIPIENT = '*';
+const ALL_DAYS = [0, 1, 2, 3, 4, 5, 6];
+
+// How many times to alternate between windows when looking for a slot that satisfies all of them
+const MAX_WINDOW_ITERATIONS = 20;
+
+const TIME_RANGE_PATTERN = /^(\d{1,2})(?::(\d{2}))?-(\d{1,2})(?::(\d{2}))?$/;
+const DAY_PATTERN = /^[a-z]{3,9}(?:-[a-z]{3,9})?(?:,[a-z]{3,9}(?:-[a-z]{3,9})?)*$/i;
+
+function parseDays(text) {
+  const days = new Set();
+
+  for (const part of text.split(',')) {
+    const [from, to] = part.split('-').map(parseDayName);
+    if (from === -1 || to === -1) {
+      return null;
+    }
+    if (to === undefined) {
+      days.add(from);
+      continue;
+    }
+    // Ranges may wrap around the week (fri-sun)
+    for (let day = from; ; day = (day + 1) % 7) {
+      days.add(day);
+      if (day === to) break;
+    }
+  }
+
+  return Array.from(days).sort((a, b) => a - b);
+}
+
+// Parse "08:00-22:00", "9-20 sun-thu", "sun,mon" or "20:00-02:00 fri" into a window rule.
+// Returns null if the text is not a valid window.
+function parseWindowRule(text) {
+  const parts = text.trim().toLowerCase().replace(/\s*-\s*/g, '-').split(/\s+/).filter(Boolean);
+  const rule = { start: 0, end: 0, days: ALL_DAYS };
+
+  if (parts.length === 0 || parts.length > 2) {
+    return null;
+  }
+
+  let hasTime = false;
+  let hasDays = false;
+
+  for (const part of parts) {
+    const timeMatch = part.match(TIME_RANGE_PATTERN);
+    if (timeMatch && !hasTime) {
+      const startHour = parseInt(timeMatch[1]);
+      const startMinute = parseInt(timeMatch[2] || '0');
+      const endHour = parseInt(timeMatch[3]);
+      const endMinute = parseInt(timeMatch[4] || '0');
+      if (startHour > 24 || endHour > 24 || startMinute > 59 || endMinute > 59) {
+        return null;
+      }
+      rule.start = (startHour * 60 + startMinute) % (24 * 60);
+      rule.end = (endHour * 60 + endMinute) % (24 * 60);
+      hasTime = true;
+    } else if (DAY_PATTERN.test(part) && !hasDays) {
+      const days = parseDays(part);
+      if (!days || days.length === 0) {
+        return null;
+      }
+      rule.days = days;
+      hasDays = true;
+    } else {
+      return null;
+    }
+  }
+
+  return rule;
+}
+
+// Split "/window Dana Cohen 09:00-20:00 sun-thu" into { target, rule } (rule null for "off").
+// target is 'all' for the global window. Returns null if the command is malformed.
+function parseWindowCommand(text) {
+  const content = text.replace(/^\/window\s*/i, '').trim();
+  const offMatch = content.match(/^(.+?)\s+(?:off|none|clear)$/i);
+  if (offMatch) {
+    return { target: offMatch[1].trim(), rule: null };
+  }
+
+  // The rule is the last one or two words
+  const words = content.split(/\s+/);
+  for (let ruleWords = Math.min(2, words.length - 1); ruleWords >= 1; ruleWords--) {
+    const rule = parseWindowRule(words.slice(-ruleWords).join(' '));
+    if (rule) {
+      return { target: words.slice(0, -ruleWords).join(' '), rule };
+    }
+  }
+
+  return null;
+}
+
+function formatMinutes(minutes) {
+  return `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+}
+
+// Human readable window, e.g. "09:00-20:00 Sun-Thu"
+function describeWindow(rule) {
+  if (typeof rule === 'string') {
+    rule = JSON.parse(rule);
+  }
+
+  const hours = rule.start === rule.end ? 'all day' : `${formatMinutes(rule.start)}-${formatMinutes(rule.end)}`;
+  if (rule.days.length === 7) {
+    return hours;
+  }
+
+  // Collapse consecutive days into ranges
+  const ranges = [];
+  for (const day of rule.days) {
+    const last = ranges[ranges.length - 1];
+    if (last && last.to === day - 1) {
+      last.to = day;
+    } else {
+      ranges.push({ from: day, to: day });
+    }
+  }
+  const days = ranges.map(range => range.from === range.to
+    ? DAY_NAMES[range.from].substring(0, 3)
+    : `${DAY_NAMES[range.from].substring(0, 3)}-${DAY_NAMES[range.to].substring(0, 3)}`);
+
+  return `${hours} ${days.join(', ')}`;
+}
+
+function isAllowed(rule, date, timeZone = getTimezone()) {
+  const local = convertFromUTCToZonedTime(date, timeZone);
+  const minutes = local.getUTCHours() * 60 + local.getUTCMinutes();
+  const day = local.getUTCDay();
+  const previousDay = (day + 6) % 7;
+
+  if (rule.start === rule.end) {
+    return rule.days.includes(day);
+  }
+  if (rule.start < rule.end) {
+    return rule.days.includes(day) && minutes >= rule.start && minutes < rule.end;
+  }
+  // Wraps past midnight: the late part belongs to today, the early part to yesterday's window
+  return (minutes >= rule.start && rule.days.includes(day)) ||
+         (minutes < rule.end && rule.days.includes(previousDay));
+}
+
+// The earliest time at or after date that the window allows
+function getNextAllowedTime(rule, date, timeZone = getTimezone()) {
+  if (isAllowed(rule, date, timeZone)) {
+    return date;
+  }
+
+  // Not allowed now, so the next allowed moment is the opening of a window
+  const localNow = convertFromUTCToZonedTime(date, timeZone);
+  for (let i = 0; i <= 7; i++) {
+    const opening = new Date(Date.UTC(
+      localNow.getUTCFullYear(),
+      localNow.getUTCMonth(),
+      localNow.getUTCDate() + i,
+      Math.floor(rule.start / 60),
+      rule.start % 60
+    ));
+    const candidate = convertFromZonedTimeToUTC(opening, timeZone);
+    if (candidate > date && rule.days.includes(opening.getUTCDay())) {
+      return candidate;
+    }
+  }
+
+  return null;
+}
+
+// Windows that apply to a recipient: the global window plus their own
+async function getWindowsFor(recipient) {
+  const rows = await getSendingWindows();
+  const windows = [];
+
+  const globalRow = rows.find(row => row.recipient === GLOBAL_RECIPIENT);
+  if (globalRow) {
+    windows.push({ label: 'everyone', rule: JSON.parse(globalRow.rule) });
+  } else if (process.env.SENDING_WINDOW) {
+    const envRule = parseWindowRule(process.env.SENDING_WINDOW);
+    if (envRule) {
+      windows.push({ label: 'everyone', rule: envRule });
+    } else {
+      console.error(`Ignoring invalid SENDING_WINDOW: ${process.env.SENDING_WINDOW}`);
+    }
+  }
+
+  const recipientRow = rows.find(row => row.recipient === recipient);
+  if (recipientRow) {
+    windows.push({ label: recipientRow.recipient_name || recipient, rule: JSON.parse(recipientRow.rule) });
+  }
+
+  return windows;
+}
+
+// Check a send time against all windows that apply to the recipient.
+// Returns { allowed, nextAllowed, blockedBy } - nextAllowed is null if the windows never overlap.
+async function checkSendingWindow(recipient, time) {
+  const windows = await getWindowsFor(recipient);
+  const timeZone = getTimezone(recipient);
+  const blockedBy = windows.filter(window => !isAllowed(window.rule, time, timeZone));
+
+  if (blockedBy.length === 0) {
+    return { allowed: true, nextAllowed: time, blockedBy };
+  }
+
+  let candidate = time;
+  for (let i = 0; i < MAX_WINDOW_ITERATIONS && candidate; i++) {
+    if (windows.every(window => isAllowed(window.rule, candidate, timeZone))) {
+      return { allowed: false, nextAllowed: candidate, blockedBy };
+    }
+    const blocking = windows.find(window => !isAllowed(window.rule, candidate, timeZone));
+    candidate = getNextAllowedTime(blocking.rule, candidate, timeZone);
+  }
+
+  return { allowed: false, nextAllowed: null, blockedBy };
+}
+
+module.exports = {
+  GLOBAL_RECIPIENT,
+  parseWindowRule,
+  parseWindowCommand,
+  describeWindow,
+  isAllowed,
+  getNextAllowedTime,
+  checkSendingWindow
+};
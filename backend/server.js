@@ -1,12 +1,13 @@
 require('dotenv').config();
 const express = require('express');
 const cors = require('cors');
-const { initDatabase, getAllScheduledMessages, getPendingCount } = require('./database');
+const { initDatabase, getAllScheduledMessages, getPendingCount, updateMessageAck } = require('./database');
 const {
   initializeClient,
   getQRCode,
   isClientReady,
   onMessage,
+  onMessageAck,
   onReady,
   onQR,
   onDisconnected,
@@ -14,6 +15,10 @@ const {
 } = require('./whatsappClient');
 const { handleIncomingMessage } = require('./messageHandler');
 const { startScheduler } = require('./scheduler');
+const { startDigest } = require('./agenda');
+const { loadTimezones, getTimezone } = require('./timezones');
+const { loadShabbatSettings } = require('./shabbat');
+const { loadHeadsUpSettings } = require('./headsUp');
 
 // Global error handlers to prevent server crashes
 process.on('uncaughtException', (error) => {
@@ -44,6 +49,9 @@ let connectionStatus = 'disconnected';
 
 // Initialize database
 initDatabase();
+loadTimezones().catch(err => console.error('Error loading timezones:', err.message));
+loadShabbatSettings().catch(err => console.error('Error loading Shabbat settings:', err.message));
+loadHeadsUpSettings().catch(err => console.error('Error loading heads-up settings:', err.message));
 
 // API Routes
 
@@ -84,6 +92,7 @@ app.get('/api/status', (req, res) => {
   res.json({
     connected: isClientReady(),
     status: connectionStatus,
+    timezone: getTimezone(),
     timestamp: new Date().toISOString()
   });
 });
@@ -189,6 +198,7 @@ onReady(() => {
 
   // Start the scheduler
   startScheduler();
+  startDigest();
 });
 
 onDisconnected((reason) => {
@@ -207,6 +217,16 @@ onMessage(async (message) => {
   }
 });
 
+onMessageAck(async (sentMessageId, ack) => {
+  // Only delivery levels are stored; errors/pending acks are ignored
+  if (ack < 1) return;
+  try {
+    await updateMessageAck(sentMessageId, ack);
+  } catch (err) {
+    console.error('Error saving message receipt:', err.message);
+  }
+});
+
 initializeClient();
 
 // Start server
@@ -0,0 +1,77 @@
+const { getShabbatSettings, setShabbatSetting } = require('./database');
+const { getRestWindow } = require('./jewishCalendar');
+
+// Shabbat and holiday deferral, set with /shabbat:
+//   recipient '*' - the default for everyone (falls back to SHABBAT_MODE, then 'send')
+//   any other recipient - their own setting
+// 'defer' holds messages due during Shabbat or a holiday until havdalah; 'send' sends them anyway.
+// Times falling in a rest window are flagged when scheduling either way.
+// The rows are cached in memory, like timezones.js.
+
+const GLOBAL_RECIPIENT = '*';
+const MODES = ['defer', 'send'];
+
+function getEnvMode() {
+  const mode = (process.env.SHABBAT_MODE || 'send').toLowerCase();
+  if (!MODES.includes(mode)) {
+    console.error(`Ignoring invalid SHABBAT_MODE: ${process.env.SHABBAT_MODE}`);
+    return 'send';
+  }
+  return mode;
+}
+
+const ENV_MODE = getEnvMode();
+
+// recipient → { name, mode }
+let settingsCache = new Map();
+
+// (Re)load the Shabbat settings from the database
+async function loadShabbatSettings() {
+  const rows = await getShabbatSettings();
+  settingsCache = new Map(rows.map(row => [row.recipient, { name: row.recipient_name, mode: row.mode }]));
+}
+
+// The mode for a recipient: their own setting, else the global one
+function getShabbatMode(recipient = GLOBAL_RECIPIENT) {
+  const entry = settingsCache.get(recipient) || settingsCache.get(GLOBAL_RECIPIENT);
+  return entry ? entry.mode : ENV_MODE;
+}
+
+// Per-recipient settings, for /shabbat
+function getShabbatOverrides() {
+  return Array.from(settingsCache.entries())
+    .filter(([recipient]) => recipient !== GLOBAL_RECIPIENT)
+    .map(([recipient, entry]) => ({ recipient, ...entry }));
+}
+
+// Set (or with null, remove) a recipient's mode. Resolves with the number of changed rows.
+async function setShabbatMode(recipient, recipientName, mode) {
+  const changes = await setShabbatSetting(recipient, recipientName, mode);
+  if (mode === null) {
+    settingsCache.delete(recipient);
+  } else {
+    settingsCache.set(recipient, { name: recipientName, mode });
+  }
+  return changes;
+}
+
+// Check a send time against Shabbat and holidays.
+// Returns null outside rest windows, else { window, defer } - defer is true if the
+// message should wait until window.end (havdalah).
+function checkShabbat(recipient, time) {
+  const window = getRestWindow(time);
+  if (!window) {
+    return null;
+  }
+  return { window, defer: getShabbatMode(recipient) === 'defer' };
+}
+
+module.exports = {
+  GLOBAL_RECIPIENT,
+  ENV_MODE,
+  loadShabbatSettings,
+  getShabbatMode,
+  getShabbatOverrides,
+  setShabbatMode,
+  checkShabbat
+};
@@ -0,0 +1,85 @@
+const { formatTime, formatDate, formatClock } = require('./timeParser');
+
+// Templates are saved with /template save and referenced in /send, /reply and /every as
+//   #name key=value key2="quoted value" any other text
+// The template body is copied into the scheduled message; its {placeholders} are filled in at send time:
+//   {first_name}, {name} - the recipient's WhatsApp name (group subject for groups)
+//   {date}, {time}, {datetime} - the scheduled time in the recipient's timezone
+//   {text} - free text after the template name, any other {key} - ad-hoc key=value arguments
+
+const PLACEHOLDER_PATTERN = /\{(\w+)\}/g;
+// Filled in automatically; {text} and custom keys come from the command
+const BUILT_IN_PLACEHOLDERS = ['first_name', 'name', 'date', 'time', 'datetime'];
+
+// Parse "#meeting place=Zoom topic="Q3 budget" see you there" into { name, args }.
+// Returns null if the text doesn't start with a template reference.
+function parseTemplateReference(text) {
+  const match = (text || '').trim().match(/^#([\w-]+)(?:\s+([\s\S]*))?$/);
+  if (!match) {
+    return null;
+  }
+
+  const args = {};
+  let rest = match[2] || '';
+  const argPattern = /^(\w+)=(?:"([^"]*)"|(\S+))\s*/;
+  let argMatch;
+  while ((argMatch = rest.match(argPattern))) {
+    args[argMatch[1].toLowerCase()] = argMatch[2] !== undefined ? argMatch[2] : argMatch[3];
+    rest = rest.substring(argMatch[0].length);
+  }
+  if (rest.trim()) {
+    args.text = rest.trim();
+  }
+
+  return { name: match[1], args };
+}
+
+function getPlaceholders(body) {
+  return Array.from(new Set(Array.from(body.matchAll(PLACEHOLDER_PATTERN), match => match[1].toLowerCase())));
+}
+
+// Placeholders that neither the built-ins nor the given arguments will fill
+function getMissingPlaceholders(body, args = {}) {
+  return getPlaceholders(body).filter(key => !BUILT_IN_PLACEHOLDERS.includes(key) && !(key in args));
+}
+
+// Values for the built-in placeholders of a message to a recipient at a time
+function getTemplateValues(recipientName, scheduledTime, args = {}, timeZone) {
+  const name = recipientName || '';
+  return {
+    first_name: name.split(/\s+/)[0] || name,
+    name,
+    date: formatDate(scheduledTime, timeZone),
+    time: formatClock(scheduledTime, timeZone),
+    datetime: formatTime(scheduledTime, timeZone),
+    ...args
+  };
+}
+
+// Fill in {placeholders}; unknown ones are left as they are
+function renderTemplate(body, values) {
+  return body.replace(PLACEHOLDER_PATTERN, (placeholder, key) => {
+    const value = values[key.toLowerCase()];
+    return value !== undefined && value !== null ? String(value) : placeholder;
+  });
+}
+
+// Build the template options for saveScheduledMessage from a database row
+function getTemplateFromRow(row) {
+  if (!row || !row.template_name) {
+    return null;
+  }
+  return {
+    name: row.template_name,
+    args: row.template_args ? JSON.parse(row.template_args) : {}
+  };
+}
+
+module.exports = {
+  parseTemplateReference,
+  getTemplateFromRow,
+  getPlaceholders,
+  getMissingPlaceholders,
+  getTemplateValues,
+  renderTemplate
+};
@@ -0,0 +1,78 @@
+const { test, after, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const { openTestDatabase, all, run } = require('./helpers');
+
+const database = openTestDatabase();
+const { saveBatchMessages } = database;
+
+const inAnHour = () => new Date(Date.now() + 60 * 60 * 1000);
+const recipients = [
+  { id: '972500000001@c.us', name: 'Dana' },
+  { id: '972500000002@c.us', name: 'Avi' },
+  { id: '972500000003@c.us', name: 'Mom' }
+];
+
+// Makes the insert for one recipient fail, like a constraint or I/O error would
+async function failInsertsFor(recipient) {
+  await run(database, `
+    CREATE TEMP TRIGGER fail_insert BEFORE INSERT ON scheduled_messages
+    WHEN NEW.recipient = '${recipient}'
+    BEGIN SELECT RAISE(ABORT, 'insert failed'); END`);
+}
+
+beforeEach(async () => {
+  await run(database, 'DROP TRIGGER IF EXISTS fail_insert');
+  await run(database, 'DELETE FROM scheduled_messages');
+});
+
+after(() => database.closeTestDatabase());
+
+test('saves one row per recipient with the first id as batch id', async () => {
+  const { batchId, ids } = await saveBatchMessages(recipients, 'hello', inAnHour());
+
+  const rows = await all(database, 'SELECT id, recipient, batch_id, status FROM scheduled_messages ORDER BY id');
+  assert.deepStrictEqual(rows.map(row => row.id), ids);
+  assert.strictEqual(batchId, ids[0]);
+  assert.ok(rows.every(row => row.batch_id === batchId && row.status === 'pending'));
+  assert.deepStrictEqual(rows.map(row => row.recipient), recipients.map(recipient => recipient.id));
+});
+
+test('uses each recipient\'s own time when given', async () => {
+  const later = new Date(Date.now() + 2 * 60 * 60 * 1000);
+  await saveBatchMessages([recipients[0], { ...recipients[1], scheduledTime: later }], 'hello', inAnHour());
+
+  const rows = await all(database, 'SELECT recipient, scheduled_time FROM scheduled_messages ORDER BY id');
+  assert.strictEqual(new Date(rows[1].scheduled_time).getTime(), later.getTime());
+  assert.notStrictEqual(rows[0].scheduled_time, rows[1].scheduled_time);
+});
+
+test('a failure mid-batch leaves no rows behind', async () => {
+  await failInsertsFor(recipients[1].id);
+
+  await assert.rejects(saveBatchMessages(recipients, 'hello', inAnHour()), /insert failed/);
+  assert.deepStrictEqual(await all(database, 'SELECT id FROM scheduled_messages'), []);
+});
+
+test('a failed batch leaves other batches and later saves alone', async () => {
+  const first = await saveBatchMessages(recipients.slice(0, 2), 'first', inAnHour());
+  await failInsertsFor(recipients[2].id);
+
+  await assert.rejects(saveBatchMessages(recipients, 'second', inAnHour()));
+  await run(database, 'DROP TRIGGER fail_insert');
+  const third = await saveBatchMessages(recipients, 'third', inAnHour());
+
+  const rows = await all(database, 'SELECT message, batch_id FROM scheduled_messages ORDER BY id');
+  assert.deepStrictEqual(rows.map(row => row.message), ['first', 'first', 'third', 'third', 'third']);
+  assert.ok(rows.every(row => row.batch_id === (row.message === 'first' ? first.batchId : third.batchId)));
+});
+
+test('batches saved at the same time each get their own rows', async () => {
+  const [a, b] = await Promise.all([
+    saveBatchMessages(recipients, 'a', inAnHour()),
+    saveBatchMessages(recipients.slice(0, 2), 'b', inAnHour())
+  ]);
+
+  const rows = await all(database, 'SELECT message, batch_id FROM scheduled_messages');
+  assert.strictEqual(rows.filter(row => row.batch_id === a.batchId && row.message === 'a').length, 3);
+  assert.strictEqual(rows.filter(row => row.batch_id === b.batchId && row.message === 'b').length, 2);
+});
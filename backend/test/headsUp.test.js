@@ -0,0 +1,33 @@
+const { test, after } = require('node:test');
+const assert = require('node:assert');
+const { openTestDatabase } = require('./helpers');
+
+const database = openTestDatabase();
+const { saveScheduledMessage, getMessageById, markHeadsUpSent, clearHeadsUpSent } = database;
+
+after(() => database.closeTestDatabase());
+
+const save = () => saveScheduledMessage('972500000001@c.us', 'Dana', 'hello', new Date(Date.now() + 60 * 60 * 1000));
+
+test('only one caller claims a heads-up', async () => {
+  const id = await save();
+  const claims = await Promise.all([markHeadsUpSent(id), markHeadsUpSent(id)]);
+  assert.strictEqual(claims.filter(Boolean).length, 1);
+});
+
+test('a released claim can be claimed again', async () => {
+  const id = await save();
+  const claimedAt = await markHeadsUpSent(id);
+  await clearHeadsUpSent(id, claimedAt);
+
+  assert.strictEqual((await getMessageById(id)).heads_up_sent_at, null);
+  assert.ok(await markHeadsUpSent(id));
+});
+
+test('releasing an old claim leaves a newer one alone', async () => {
+  const id = await save();
+  const claimedAt = await markHeadsUpSent(id);
+  await clearHeadsUpSent(id, 'an older claim');
+
+  assert.strictEqual((await getMessageById(id)).heads_up_sent_at, claimedAt);
+});
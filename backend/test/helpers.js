@@ -0,0 +1,37 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// A fresh database for one test file. node --test runs every file in its own process, so
+// pointing DATABASE_PATH at a temp file before database.js is loaded keeps tests apart.
+function openTestDatabase() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'scheduler-test-'));
+  process.env.DATABASE_PATH = path.join(dir, 'test.db');
+
+  const database = require('../database');
+  // Run every statement in order, so the schema is in place before the first test
+  database.db.serialize();
+  database.initDatabase();
+
+  database.closeTestDatabase = () => new Promise((resolve) => {
+    database.db.close(() => {
+      fs.rmSync(dir, { recursive: true, force: true });
+      resolve();
+    });
+  });
+  return database;
+}
+
+function all(database, sql, params = []) {
+  return new Promise((resolve, reject) => {
+    database.db.all(sql, params, (err, rows) => (err ? reject(err) : resolve(rows)));
+  });
+}
+
+function run(database, sql, params = []) {
+  return new Promise((resolve, reject) => {
+    database.db.run(sql, params, (err) => (err ? reject(err) : resolve()));
+  });
+}
+
+module.exports = { openTestDatabase, all, run };
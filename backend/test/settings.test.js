@@ -0,0 +1,31 @@
+const { test, after } = require('node:test');
+const assert = require('node:assert');
+const { openTestDatabase } = require('./helpers');
+
+const database = openTestDatabase();
+const { getSetting, setSetting, compareAndSetSetting } = database;
+
+after(() => database.closeTestDatabase());
+
+test('sets a setting that isn\'t set yet only once', async () => {
+  const results = await Promise.all([
+    compareAndSetSetting('claim_new', null, 'a'),
+    compareAndSetSetting('claim_new', null, 'b')
+  ]);
+  assert.deepStrictEqual(results, [true, false]);
+  assert.strictEqual(await getSetting('claim_new'), 'a');
+});
+
+test('changes a setting only from the expected value', async () => {
+  await setSetting('claim_day', '2026-10-18');
+  assert.strictEqual(await compareAndSetSetting('claim_day', '2026-10-17', '2026-10-19'), false);
+  assert.strictEqual(await compareAndSetSetting('claim_day', '2026-10-18', '2026-10-19'), true);
+  assert.strictEqual(await compareAndSetSetting('claim_day', '2026-10-18', '2026-10-19'), false);
+  assert.strictEqual(await getSetting('claim_day'), '2026-10-19');
+});
+
+test('gives a claim back by setting the old value again, or removing it', async () => {
+  await compareAndSetSetting('claim_back', null, 'today');
+  assert.strictEqual(await compareAndSetSetting('claim_back', 'today', null), true);
+  assert.strictEqual(await getSetting('claim_back'), null);
+});
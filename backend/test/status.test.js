@@ -0,0 +1,124 @@
+const { test, after } = require('node:test');
+const assert = require('node:assert');
+const { openTestDatabase } = require('./helpers');
+
+const database = openTestDatabase();
+const {
+  saveScheduledMessage,
+  getMessageById,
+  updateMessageStatus,
+  canTransition,
+  claimMessage,
+  markMessageDispatched,
+  markMessageSent,
+  recordFailedAttempt,
+  approveHeldMessage,
+  retryFailedMessage
+} = database;
+
+after(() => database.closeTestDatabase());
+
+const save = () => saveScheduledMessage('972500000001@c.us', 'Dana', 'hello', new Date(Date.now() + 60 * 60 * 1000));
+const statusOf = async (id) => (await getMessageById(id)).status;
+
+// A message that has been claimed for sending
+async function saveSending() {
+  const id = await save();
+  assert.strictEqual(await claimMessage(id, 'test'), true);
+  return id;
+}
+
+test('allows only the documented transitions', () => {
+  assert.ok(canTransition('pending', 'sending'));
+  assert.ok(canTransition('sending', 'held'));
+  assert.ok(canTransition('held', 'pending'));
+  assert.ok(canTransition('failed', 'pending'));
+  assert.ok(!canTransition('pending', 'sent'));
+  assert.ok(!canTransition('failed', 'sent'));
+  for (const final of ['sent', 'cancelled', 'missed']) {
+    for (const to of ['pending', 'sending', 'sent', 'failed', 'cancelled', 'held', 'missed']) {
+      assert.ok(!canTransition(final, to), `${final} → ${to}`);
+    }
+  }
+});
+
+test('pending → sending → sent', async () => {
+  const id = await saveSending();
+  assert.strictEqual(await statusOf(id), 'sending');
+
+  await markMessageDispatched(id, 'test');
+  await markMessageSent(id, 'wa-1');
+  const row = await getMessageById(id);
+  assert.strictEqual(row.status, 'sent');
+  assert.strictEqual(row.sent_message_id, 'wa-1');
+});
+
+test('only one caller wins a claim', async () => {
+  const id = await save();
+  const claims = await Promise.all([claimMessage(id, 'a'), claimMessage(id, 'b')]);
+  assert.deepStrictEqual([...claims].sort(), [false, true]);
+  await assert.rejects(markMessageDispatched(id, claims[0] ? 'b' : 'a'), /Lost claim/);
+});
+
+test('a message must be claimed before it is sent', async () => {
+  const id = await save();
+  await assert.rejects(markMessageSent(id, 'wa-2'), { code: 'INVALID_STATUS_TRANSITION' });
+  assert.strictEqual(await statusOf(id), 'pending');
+});
+
+test('sent and cancelled messages stay that way', async () => {
+  const sent = await saveSending();
+  await markMessageSent(sent, 'wa-3');
+  await assert.rejects(updateMessageStatus(sent, 'cancelled'), { code: 'INVALID_STATUS_TRANSITION' });
+  await assert.rejects(updateMessageStatus(sent, 'pending'), /already sent/);
+
+  const cancelled = await save();
+  await updateMessageStatus(cancelled, 'cancelled');
+  await assert.rejects(updateMessageStatus(cancelled, 'pending'), /already cancelled/);
+  assert.strictEqual(await statusOf(cancelled), 'cancelled');
+});
+
+test('unknown messages and statuses are rejected', async () => {
+  await assert.rejects(updateMessageStatus(999999, 'cancelled'), { code: 'MESSAGE_NOT_FOUND' });
+  const id = await save();
+  await assert.rejects(updateMessageStatus(id, 'lost'), /Unknown status/);
+});
+
+test('a retry goes back to pending, a final failure stays failed until /retry', async () => {
+  const id = await saveSending();
+  await recordFailedAttempt(id, 1, new Date(Date.now() + 60000), 'timeout');
+  let row = await getMessageById(id);
+  assert.strictEqual(row.status, 'pending');
+  assert.strictEqual(row.attempts, 1);
+  assert.strictEqual(row.claimed_by, null);
+
+  await claimMessage(id, 'test');
+  await updateMessageStatus(id, 'failed', 'gave up');
+  await assert.rejects(updateMessageStatus(id, 'sending'), { code: 'INVALID_STATUS_TRANSITION' });
+
+  await retryFailedMessage(id);
+  row = await getMessageById(id);
+  assert.strictEqual(row.status, 'pending');
+  assert.strictEqual(row.attempts, 0);
+  assert.strictEqual(row.error_message, null);
+});
+
+test('/retry only applies to failed messages', async () => {
+  const id = await save();
+  await assert.rejects(retryFailedMessage(id), /still pending/);
+});
+
+test('a held message is approved back to pending, or cancelled', async () => {
+  const approved = await saveSending();
+  await updateMessageStatus(approved, 'held');
+  assert.strictEqual(await approveHeldMessage(approved), 1);
+  const row = await getMessageById(approved);
+  assert.strictEqual(row.status, 'pending');
+  assert.strictEqual(row.late_approved, 1);
+
+  const cancelled = await saveSending();
+  await updateMessageStatus(cancelled, 'held');
+  await updateMessageStatus(cancelled, 'cancelled');
+  assert.strictEqual(await approveHeldMessage(cancelled), 0);
+  assert.strictEqual(await statusOf(cancelled), 'cancelled');
+});
@@ -1,41 +1,147 @@
 const chrono = require('chrono-node');
 
-// Israel timezone offset (UTC+2 in winter, UTC+3 in summer with DST)
-// DST in Israel: Last Friday before April 2 (spring forward) to last Sunday before Oct 26 (fall back)
+const { getTimezone } = require('./timezones');
+const { parseHebrewTime } = require('./hebrewTime');
+const { parseCalendarTime } = require('./businessCalendar');
+
+// All wall-clock times are in an IANA timezone (see timezones.js); offsets come from
+// the Intl timezone database, so DST changes are handled per date.
+// "Naive" times are Dates whose UTC fields hold the wall-clock time in that zone.
+
+const offsetFormatters = new Map();
+
+function getOffsetFormatter(timeZone) {
+  if (!offsetFormatters.has(timeZone)) {
+    offsetFormatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: 'numeric',
+      second: 'numeric'
+    }));
+  }
+  return offsetFormatters.get(timeZone);
+}
 
-function getIsraelTimezoneOffset(date) {
-  // Israel observes DST from late March to late October
-  const year = date.getFullYear();
+// Offset of the timezone from UTC at the given moment, in minutes (e.g. 180 for Israel in summer)
+function getTimezoneOffset(date, timeZone = getTimezone()) {
+  const parts = {};
+  getOffsetFormatter(timeZone).formatToParts(date).forEach(part => {
+    parts[part.type] = parseInt(part.value);
+  });
+  const wallClock = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  const instant = Math.floor(date.getTime() / 1000) * 1000;
+  return Math.round((wallClock - instant) / 60000);
+}
+
+function convertFromZonedTimeToUTC(localTime, timeZone = getTimezone()) {
+  // Given a "naive" time that represents wall-clock time in the zone, subtract the zone's
+  // offset. The offset is taken again at the result in case a DST change lies in between;
+  // times skipped by a spring-forward change end up an hour later.
+  const guess = new Date(localTime.getTime() - getTimezoneOffset(localTime, timeZone) * 60 * 1000);
+  return new Date(localTime.getTime() - getTimezoneOffset(guess, timeZone) * 60 * 1000);
+}
+
+function convertFromUTCToZonedTime(utcTime, timeZone = getTimezone()) {
+  // Inverse of convertFromZonedTimeToUTC: returns a "naive" time whose
+  // UTC fields hold the wall-clock time in the zone
+  const offset = getTimezoneOffset(utcTime, timeZone);
+  return new Date(utcTime.getTime() + offset * 60 * 1000);
+}
+
+// Run chrono with "now" in the given zone, so "today" and "tomorrow" follow that zone's calendar
+function parseWithChrono(text, timeZone) {
+  const now = new Date();
+  return chrono.parse(text, { instant: now, timezone: getTimezoneOffset(now, timeZone) }, { forwardDate: true });
+}
 
-  // Find last Friday before April 2
-  const dstStart = new Date(year, 2, 26); // March 26 as a baseline
-  while (dstStart.getDay() !== 5) { // 5 = Friday
-    dstStart.setDate(dstStart.getDate() + 1);
+// The UTC time of a chrono match. Relative times (in 2 hours) count from now; absolute
+// times (at 8, tomorrow at 9) are wall-clock times in the zone on that date.
+function getMatchTime(match, isRelativeTime, timeZone) {
+  if (isRelativeTime) {
+    return match.start.date();
   }
+  const localTime = new Date(Date.UTC(
+    match.start.get('year'),
+    match.start.get('month') - 1,
+    match.start.get('day'),
+    match.start.get('hour'),
+    match.start.get('minute'),
+    match.start.get('second') || 0
+  ));
+  return convertFromZonedTimeToUTC(localTime, timeZone);
+}
 
-  // Find last Sunday before October 26
-  const dstEnd = new Date(year, 9, 25); // October 25 as baseline
-  while (dstEnd.getDay() !== 0) { // 0 = Sunday
-    dstEnd.setDate(dstEnd.getDate() + 1);
+// Expressions chrono doesn't understand, tried before it: Hebrew times (hebrewTime.js) and
+// business-calendar expressions (businessCalendar.js). Each parser reads the start of the text.
+const EXTENDED_PARSERS = [parseHebrewTime, parseCalendarTime];
+
+// An extended time expression in the text - at its start, or with afterName anywhere after the
+// first word (the /send recipient). Returns { index, timeString, rest, scheduledTime, isRelativeTime } or null.
+function parseExtendedTimeIn(text, timeZone, afterName = false) {
+  const now = new Date();
+  const localNow = convertFromUTCToZonedTime(now, timeZone);
+
+  const starts = afterName ? Array.from(text.matchAll(/\S+/g), match => match.index).slice(1) : [0];
+  let index;
+  let match = null;
+  for (const start of starts) {
+    for (const parser of EXTENDED_PARSERS) {
+      match = parser(text.substring(start), localNow);
+      if (match) break;
+    }
+    if (match) {
+      index = start;
+      break;
+    }
+  }
+  if (!match) {
+    return null;
   }
 
-  // Check if date is within DST period
-  if (date >= dstStart && date < dstEnd) {
-    return 3 * 60; // UTC+3 (180 minutes)
-  } else {
-    return 2 * 60; // UTC+2 (120 minutes)
+  const end = index + match.length;
+  const scheduledTime = match.isRelativeTime
+    ? new Date(now.getTime() + match.delay)
+    : convertFromZonedTimeToUTC(match.localTime, timeZone);
+  console.log(`🕐 Time "${text.substring(index, end)}" → UTC:`, scheduledTime.toISOString());
+
+  return {
+    index,
+    timeString: text.substring(index, end).replace(/[,.;!?]+$/, ''),
+    rest: text.substring(end).trim(),
+    scheduledTime,
+    isRelativeTime: match.isRelativeTime
+  };
+}
+
+// Read a parsed command's time in another timezone (e.g. the recipient's, once they are known).
+// Relative times don't depend on the zone and are returned unchanged.
+function getScheduledTimeIn(parsed, timeZone) {
+  if (parsed.isRelativeTime || !parsed.timeZone || parsed.timeZone === timeZone) {
+    return parsed.scheduledTime;
   }
+  const localTime = convertFromUTCToZonedTime(parsed.scheduledTime, parsed.timeZone);
+  return convertFromZonedTimeToUTC(localTime, timeZone);
 }
 
-function convertFromIsraelTimeToUTC(israelLocalTime) {
-  // Given a "naive" time that represents Israel local time,
-  // convert it to UTC by subtracting the Israel offset
-  const offset = getIsraelTimezoneOffset(israelLocalTime);
-  const utcTime = new Date(israelLocalTime.getTime() - offset * 60 * 1000);
-  return utcTime;
+// Strip a leading "unless reply" condition from the message text
+// ("unless reply", "unless they reply", "unless replied", "unless he/she replies")
+function extractUnlessReply(message) {
+  const match = message.match(/^unless\s+(?:(?:they|he|she)\s+)?(?:reply|replies|replied|answers?|answered)\b[\s:,-]*/i);
+  if (!match) {
+    return { message, cancelOnReply: false };
+  }
+  return { message: message.substring(match[0].length).trim(), cancelOnReply: true };
 }
 
-function parseTimeCommand(text) {
+// options.allowEmptyMessage - accept a command with no message text (e.g. media with a caption-only command)
+// options.timeZone - the zone absolute times are read in (defaults to the global timezone)
+function parseTimeCommand(text, options = {}) {
+  const timeZone = options.timeZone || getTimezone();
+
   // Check if command includes recipient in various formats:
   // Format 1: /reply to [name/number] in 1 hour message
   // Format 2: /reply 3 in 1 hour message (where 3 is contact index)
@@ -63,9 +169,31 @@ function parseTimeCommand(text) {
   // Examples:
   // "tomorrow at 9 Hello there" -> time: "tomorrow at 9", message: "Hello there"
   // "in 2 hours test message" -> time: "in 2 hours", message: "test message"
+  // "מחר ב-9 בוקר טוב" -> time: "מחר ב-9", message: "בוקר טוב"
+  // "next workday at 9 Report" -> time: "next workday at 9", message: "Report"
+
+  // These go first - chrono would only pick up the "9" of "מחר ב-9" or the "Sunday" of
+  // "first Sunday of next month"
+  const extended = parseExtendedTimeIn(timeText, timeZone);
+  if (extended) {
+    const { message, cancelOnReply } = extractUnlessReply(extended.rest);
+    if (!message && !options.allowEmptyMessage) {
+      return null;
+    }
+    return {
+      scheduledTime: extended.scheduledTime,
+      message: message,
+      timeString: extended.timeString,
+      originalText: text,
+      recipient: recipient,
+      cancelOnReply: cancelOnReply,
+      isRelativeTime: extended.isRelativeTime,
+      timeZone: timeZone
+    };
+  }
 
   // Try to parse the time
-  const parsed = chrono.parse(timeText, new Date(), { forwardDate: true });
+  const parsed = parseWithChrono(timeText, timeZone);
 
   if (parsed.length === 0) {
     return null;
@@ -73,32 +201,21 @@ function parseTimeCommand(text) {
 
   const match = parsed[0];
   const timeString = timeText.substring(0, match.index + match.text.length);
-  const message = timeText.substring(match.index + match.text.length).trim();
+  const { message, cancelOnReply } = extractUnlessReply(timeText.substring(match.index + match.text.length).trim());
 
-  if (!message) {
+  if (!message && !options.allowEmptyMessage) {
     return null;
   }
 
-  // Get the parsed date in local time (which chrono gives us in system timezone)
-  let parsedDate = match.start.date();
-
   // Determine if this is a relative time (in X minutes/hours) or absolute time (at X, tomorrow at X)
   const isRelativeTime = /\bin\s+\d+/.test(timeString.toLowerCase()) ||
                          /\bafter\s+\d+/.test(timeString.toLowerCase());
 
-  let scheduledTime;
-
+  const scheduledTime = getMatchTime(match, isRelativeTime, timeZone);
   if (isRelativeTime) {
-    // For relative times (in 1 minute, in 2 hours), use the date as-is from current time
-    // chrono already calculated this from now, so just use it directly in UTC
-    scheduledTime = parsedDate;
     console.log('⏱️  Relative time detected - scheduling from now:', scheduledTime.toISOString());
   } else {
-    // For absolute times (at 8, tomorrow at 9), interpret as Israel time
-    // chrono gives us the time in system timezone, but we want to treat it as Israel time
-    // So we need to convert: treat parsedDate as Israel local time → convert to UTC
-    scheduledTime = convertFromIsraelTimeToUTC(parsedDate);
-    console.log('🕐 Absolute time detected - Israel time converted to UTC:', scheduledTime.toISOString());
+    console.log(`🕐 Absolute time detected - ${timeZone} time converted to UTC:`, scheduledTime.toISOString());
   }
 
   return {
@@ -106,11 +223,23 @@ function parseTimeCommand(text) {
     message: message,
     timeString: timeString,
     originalText: text,
-    recipient: recipient // null if not specified
+    recipient: recipient, // null if not specified
+    cancelOnReply: cancelOnReply,
+    isRelativeTime: isRelativeTime,
+    timeZone: timeZone
   };
 }
 
-function formatIsraelTime(date) {
+// "UTC+3", "UTC-4", "UTC+5:30"
+function formatUtcOffset(offset) {
+  const sign = offset < 0 ? '-' : '+';
+  const hours = Math.floor(Math.abs(offset) / 60);
+  const minutes = Math.abs(offset) % 60;
+  return `UTC${sign}${hours}${minutes ? `:${String(minutes).padStart(2, '0')}` : ''}`;
+}
+
+// e.g. "Oct 20, 2026, 09:30 (Asia/Jerusalem, UTC+3)"
+function formatTime(date, timeZone = getTimezone()) {
   const options = {
     year: 'numeric',
     month: 'short',
@@ -118,22 +247,88 @@ function formatIsraelTime(date) {
     hour: '2-digit',
     minute: '2-digit',
     hour12: false,
-    timeZone: 'Asia/Jerusalem'
+    timeZone
   };
 
-  // Determine if DST is in effect for display
-  const offset = getIsraelTimezoneOffset(date);
-  const hours = Math.floor(offset / 60);
+  return date.toLocaleString('en-US', options) + ` (${timeZone}, ${formatUtcOffset(getTimezoneOffset(date, timeZone))})`;
+}
 
-  return date.toLocaleString('en-US', options) + ` (Israel Time, UTC+${hours})`;
+// Date only, e.g. "Tue, Oct 20"
+function formatDate(date, timeZone = getTimezone()) {
+  return date.toLocaleDateString('en-US', {
+    weekday: 'short',
+    month: 'short',
+    day: 'numeric',
+    timeZone
+  });
 }
 
-function parseSendCommand(text) {
+// Wall-clock time only, e.g. "09:30"
+function formatClock(date, timeZone = getTimezone()) {
+  return date.toLocaleTimeString('en-GB', {
+    hour: '2-digit',
+    minute: '2-digit',
+    timeZone
+  });
+}
+
+// The time in words relative to today, e.g. "today at 20:00", "tomorrow at 08:00",
+// "Friday, October 23 at 09:00"
+function formatTimeInWords(date, timeZone = getTimezone(), now = new Date()) {
+  const local = convertFromUTCToZonedTime(date, timeZone);
+  const localNow = convertFromUTCToZonedTime(now, timeZone);
+  const days = Math.round((
+    Date.UTC(local.getUTCFullYear(), local.getUTCMonth(), local.getUTCDate()) -
+    Date.UTC(localNow.getUTCFullYear(), localNow.getUTCMonth(), localNow.getUTCDate())
+  ) / (24 * 60 * 60 * 1000));
+
+  let day;
+  if (days === 0) {
+    day = 'today';
+  } else if (days === 1) {
+    day = 'tomorrow';
+  } else {
+    day = date.toLocaleDateString('en-US', {
+      weekday: 'long',
+      month: 'long',
+      day: 'numeric',
+      year: local.getUTCFullYear() === localNow.getUTCFullYear() ? undefined : 'numeric',
+      timeZone
+    });
+  }
+  return `${day} at ${formatClock(date, timeZone)}`;
+}
+
+// How far away a time is, in its two largest units: "in 2 days, 3 hours", "in 45 minutes"
+function formatRelativeTime(date, now = new Date()) {
+  const totalMinutes = Math.round((date.getTime() - now.getTime()) / 60000);
+  if (totalMinutes < 1) {
+    return 'now';
+  }
+
+  const units = [
+    { name: 'day', value: Math.floor(totalMinutes / (24 * 60)) },
+    { name: 'hour', value: Math.floor(totalMinutes / 60) % 24 },
+    { name: 'minute', value: totalMinutes % 60 }
+  ];
+  const first = units.findIndex(unit => unit.value > 0);
+  const parts = units.slice(first, first + 2)
+    .filter(unit => unit.value > 0)
+    .map(unit => `${unit.value} ${unit.name}${unit.value === 1 ? '' : 's'}`);
+
+  return `in ${parts.join(', ')}`;
+}
+
+function parseSendCommand(text, options = {}) {
   // Parse /send [name] in/at [time] [message]
   // Examples:
   //   /send John in 2 hours Hey there!
   //   /send John at 8:30 Hey there!
   //   /send John at 8 Good morning!
+  //   /send אמא מחר ב-9 בוקר טוב
+  //   /send John in 2 business days Following up
+
+  const timeZone = options.timeZone || getTimezone();
 
   // Remove /send prefix
   let content = text.replace(/^\/send\s+/i, '').trim();
@@ -158,6 +353,27 @@ function parseSendCommand(text) {
     separatorKeyword = 'at';
   }
 
+  // For Hebrew and calendar expressions the name ends where the time starts
+  // (מחר, ב-9, next workday, in 2 business days...) unless an English separator comes first.
+  // separatorIndex is the space before "in"/"at", so an expression starting with the keyword wins.
+  const extended = parseExtendedTimeIn(content, timeZone, true);
+  if (extended && (separatorIndex === -1 || extended.index <= separatorIndex + 1)) {
+    const { message, cancelOnReply } = extractUnlessReply(extended.rest);
+    if (!message && !options.allowEmptyMessage) {
+      return null;
+    }
+    return {
+      scheduledTime: extended.scheduledTime,
+      message: message,
+      timeString: extended.timeString,
+      originalText: text,
+      recipientName: content.substring(0, extended.index).trim(),
+      cancelOnReply: cancelOnReply,
+      isRelativeTime: extended.isRelativeTime,
+      timeZone: timeZone
+    };
+  }
+
   if (separatorIndex === -1) {
     return null; // No separator found
   }
@@ -180,7 +396,7 @@ function parseSendCommand(text) {
   }
 
   // Parse the time using chrono
-  const parsed = chrono.parse(timeAndMessage, new Date(), { forwardDate: true });
+  const parsed = parseWithChrono(timeAndMessage, timeZone);
 
   if (parsed.length === 0) {
     return null;
@@ -188,32 +404,22 @@ function parseSendCommand(text) {
 
   const match = parsed[0];
   const timeString = timeAndMessage.substring(0, match.index + match.text.length);
-  const message = timeAndMessage.substring(match.index + match.text.length).trim();
+  const { message, cancelOnReply } = extractUnlessReply(timeAndMessage.substring(match.index + match.text.length).trim());
 
-  if (!message) {
+  if (!message && !options.allowEmptyMessage) {
     return null;
   }
 
-  // Get the parsed date in local time (which chrono gives us in system timezone)
-  let parsedDate = match.start.date();
-
   // Determine if this is a relative time or absolute time
   // If user used "in" keyword, it's relative (in 2 hours, in 30 minutes)
   // If user used "at" keyword, it's absolute (at 8, at 8:30)
   const isRelativeTime = separatorKeyword === 'in';
 
-  let scheduledTime;
-
+  const scheduledTime = getMatchTime(match, isRelativeTime, timeZone);
   if (isRelativeTime) {
-    // For relative times (in 1 minute, in 2 hours), use the date as-is from current time
-    scheduledTime = parsedDate;
     console.log('⏱️  Relative time detected - scheduling from now:', scheduledTime.toISOString());
   } else {
-    // For absolute times (at 8, tomorrow at 9), interpret as Israel time
-    // chrono gives us the time in system timezone, but we want to treat it as Israel time
-    // So we need to convert: treat parsedDate as Israel local time → convert to UTC
-    scheduledTime = convertFromIsraelTimeToUTC(parsedDate);
-    console.log('🕐 Absolute time detected - Israel time converted to UTC:', scheduledTime.toISOString());
+    console.log(`🕐 Absolute time detected - ${timeZone} time converted to UTC:`, scheduledTime.toISOString());
   }
 
   return {
@@ -221,14 +427,54 @@ function parseSendCommand(text) {
     message: message,
     timeString: timeString,
     originalText: text,
-    recipientName: recipientName
+    recipientName: recipientName,
+    cancelOnReply: cancelOnReply,
+    isRelativeTime: isRelativeTime,
+    timeZone: timeZone
   };
 }
 
+// Parse a bare time expression ("at 18:00", "tomorrow at 9", "in 2 hours", "מחר ב-9", "end of month")
+// into a UTC Date, reading absolute times in the given zone. Returns null if the text is not (only) a time.
+function parseTimeExpression(text, timeZone = getTimezone()) {
+  const timeText = text.trim();
+
+  const extended = parseExtendedTimeIn(timeText, timeZone);
+  if (extended) {
+    return extended.rest ? null : extended.scheduledTime;
+  }
+
+  const parsed = parseWithChrono(timeText, timeZone);
+
+  if (parsed.length === 0) {
+    return null;
+  }
+
+  const match = parsed[0];
+  const leftover = timeText.substring(0, match.index) + timeText.substring(match.index + match.text.length);
+  if (leftover.trim()) {
+    return null;
+  }
+
+  // Same rules as the commands: relative times count from now, absolute times are wall-clock times
+  const isRelativeTime = /\bin\s+\d+/.test(timeText.toLowerCase()) ||
+                         /\bafter\s+\d+/.test(timeText.toLowerCase());
+
+  return getMatchTime(match, isRelativeTime, timeZone);
+}
+
 module.exports = {
   parseTimeCommand,
   parseSendCommand,
-  formatIsraelTime,
-  convertFromIsraelTimeToUTC,
-  getIsraelTimezoneOffset
+  parseTimeExpression,
+  getScheduledTimeIn,
+  formatTime,
+  formatDate,
+  formatClock,
+  formatTimeInWords,
+  formatRelativeTime,
+  formatUtcOffset,
+  convertFromZonedTimeToUTC,
+  convertFromUTCToZonedTime,
+  getTimezoneOffset
 };
@@ -0,0 +1,78 @@
+const { getTimezones, setTimezone: saveTimezone } = require('./database');
+
+// Timezones are IANA names (e.g. 'Asia/Jerusalem', 'Europe/Berlin') set with /tz:
+//   recipient '*' - my own timezone, the default for everything (falls back to TIMEZONE, then Israel)
+//   any other recipient - times for messages to that contact or group are read in their timezone
+// The rows are cached in memory so time parsing and formatting can stay synchronous.
+
+const GLOBAL_RECIPIENT = '*';
+const FALLBACK_TIMEZONE = 'Asia/Jerusalem';
+
+// Canonical IANA name ("europe/berlin" → "Europe/Berlin"), or null if Intl doesn't know the zone
+function normalizeTimezone(name) {
+  if (!name || !name.trim()) {
+    return null;
+  }
+  try {
+    return new Intl.DateTimeFormat('en-US', { timeZone: name.trim() }).resolvedOptions().timeZone;
+  } catch (err) {
+    return null;
+  }
+}
+
+function getEnvTimezone() {
+  if (!process.env.TIMEZONE) {
+    return FALLBACK_TIMEZONE;
+  }
+  const timeZone = normalizeTimezone(process.env.TIMEZONE);
+  if (!timeZone) {
+    console.error(`Ignoring invalid TIMEZONE: ${process.env.TIMEZONE}`);
+    return FALLBACK_TIMEZONE;
+  }
+  return timeZone;
+}
+
+const ENV_TIMEZONE = getEnvTimezone();
+
+// recipient → { name, timeZone }
+let timezoneCache = new Map();
+
+// (Re)load the configured timezones from the database
+async function loadTimezones() {
+  const rows = await getTimezones();
+  timezoneCache = new Map(rows.map(row => [row.recipient, { name: row.recipient_name, timeZone: row.timezone }]));
+}
+
+// The timezone for a recipient: their own override, else the global default
+function getTimezone(recipient = GLOBAL_RECIPIENT) {
+  const entry = timezoneCache.get(recipient) || timezoneCache.get(GLOBAL_RECIPIENT);
+  return entry ? entry.timeZone : ENV_TIMEZONE;
+}
+
+// Per-recipient overrides, for /tz
+function getTimezoneOverrides() {
+  return Array.from(timezoneCache.entries())
+    .filter(([recipient]) => recipient !== GLOBAL_RECIPIENT)
+    .map(([recipient, entry]) => ({ recipient, ...entry }));
+}
+
+// Set (or with null, remove) a recipient's timezone. Resolves with the number of changed rows.
+async function setTimezone(recipient, recipientName, timeZone) {
+  const changes = await saveTimezone(recipient, recipientName, timeZone);
+  if (timeZone === null) {
+    timezoneCache.delete(recipient);
+  } else {
+    timezoneCache.set(recipient, { name: recipientName, timeZone });
+  }
+  return changes;
+}
+
+module.exports = {
+  GLOBAL_RECIPIENT,
+  ENV_TIMEZONE,
+  normalizeTimezone,
+  loadTimezones,
+  getTimezone,
+  getTimezoneOverrides,
+  setTimezone
+};
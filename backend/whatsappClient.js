@@ -1,4 +1,4 @@
-const { Client, LocalAuth } = require('whatsapp-web.js');
+const { Client, LocalAuth, MessageMedia } = require('whatsapp-web.js');
 const qrcode = require('qrcode-terminal');
 const fs = require('fs');
 const path = require('path');
@@ -17,6 +17,7 @@ const RECONNECT_DELAY = 5000; // 5 seconds
 // Event handlers storage
 const eventHandlers = {
   onMessage: null,
+  onMessageAck: null,
   onReady: null,
   onQR: null,
   onDisconnected: null
@@ -290,6 +291,18 @@ function initializeClient() {
     }
   });
 
+  // Message ack event - delivery/read receipts for messages we sent
+  client.on('message_ack', async (message, ack) => {
+    if (!message.fromMe || !message.id || !eventHandlers.onMessageAck) {
+      return;
+    }
+    try {
+      await eventHandlers.onMessageAck(message.id._serialized, ack);
+    } catch (error) {
+      console.error('Error in message_ack handler:', error.message);
+    }
+  });
+
   // Disconnected event
   client.on('disconnected', (reason) => {
     console.log('WhatsApp client disconnected:', reason);
@@ -435,15 +448,64 @@ function getUserPhoneNumber() {
   return userPhoneNumber;
 }
 
-async function sendMessage(chatId, message) {
+// options.quotedMessageId - send as a reply to this message (falls back to plain text if it's gone)
+// options.media - { path, mimetype, filename, type } of a stored file to send, with message as caption
+// Returns the serialized id of the sent message
+async function sendMessage(chatId, message, options = {}) {
   if (!client || !isReady) {
     throw new Error('WhatsApp client is not ready');
   }
 
   try {
-    await client.sendMessage(chatId, message);
+    const sendOptions = {};
+
+    if (options.quotedMessageId) {
+      let quoted = null;
+      try {
+        quoted = await client.getMessageById(options.quotedMessageId);
+      } catch (err) {
+        // Treat lookup failures like a missing message
+      }
+
+      if (quoted && quoted.type !== 'revoked' && quoted.id.remote === chatId) {
+        sendOptions.quotedMessageId = options.quotedMessageId;
+      } else {
+        console.log(`Quoted message ${options.quotedMessageId} is no longer available, sending as plain text`);
+      }
+    }
+
+    // WhatsApp keeps a chat for groups I left or was removed from, but it is read-only
+    if (isGroupId(chatId)) {
+      const chat = await client.getChatById(chatId);
+      if (chat.isReadOnly) {
+        const error = new Error(`You are no longer a participant of the group "${chat.name || chatId}"`);
+        error.code = 'NOT_GROUP_PARTICIPANT';
+        throw error;
+      }
+    }
+
+    let content = message;
+
+    if (options.media) {
+      if (!fs.existsSync(options.media.path)) {
+        throw new Error(`Media file is missing: ${options.media.filename || options.media.path}`);
+      }
+
+      const data = fs.readFileSync(options.media.path, { encoding: 'base64' });
+      content = new MessageMedia(options.media.mimetype, data, options.media.filename);
+
+      if (message) {
+        sendOptions.caption = message;
+      }
+      sendOptions.sendAudioAsVoice = options.media.type === 'ptt';
+      sendOptions.sendMediaAsDocument = options.media.type === 'document';
+    }
+
+    const sentMessage = await client.sendMessage(chatId, content, sendOptions);
     console.log(`Message sent to ${chatId}`);
-    return true;
+
+    // The id is used to match delivery/read receipts (message_ack) to the scheduled message
+    return sentMessage && sentMessage.id ? sentMessage.id._serialized : null;
   } catch (error) {
     console.error('Error sending message:', error.message);
 
@@ -458,6 +520,37 @@ async function sendMessage(chatId, message) {
   }
 }
 
+// Current WhatsApp display name of a chat: the group subject, or the contact's own (push) name.
+// Returns null if it can't be looked up.
+async function getChatDisplayName(chatId) {
+  if (!client || !isReady) {
+    return null;
+  }
+
+  try {
+    if (isGroupId(chatId)) {
+      const chat = await client.getChatById(chatId);
+      return chat.name || null;
+    }
+    const contact = await client.getContactById(chatId);
+    return contact.pushname || contact.name || contact.shortName || null;
+  } catch (error) {
+    console.error('Error looking up chat name:', error.message);
+    return null;
+  }
+}
+
+// Group chats have ids ending in @g.us (individual chats use @c.us or @lid)
+function isGroupId(chatId) {
+  return typeof chatId === 'string' && chatId.endsWith('@g.us');
+}
+
+// Recipient label for confirmations, marking groups, e.g. "👥 Family"
+function describeRecipient(name, chatId) {
+  const label = name || chatId;
+  return isGroupId(chatId) ? `👥 ${label}` : label;
+}
+
 async function sendMessageToSelf(message) {
   if (!client || !isReady) {
     console.log('⚠️ Client not ready, cannot send message to self');
@@ -547,6 +640,10 @@ function onMessage(handler) {
   eventHandlers.onMessage = handler;
 }
 
+function onMessageAck(handler) {
+  eventHandlers.onMessageAck = handler;
+}
+
 function onReady(handler) {
   eventHandlers.onReady = handler;
 }
@@ -615,9 +712,14 @@ module.exports = {
   sendButtonsToSelf,
   getUserPhoneNumber,
   onMessage,
+  onMessageAck,
   onReady,
   onQR,
   onDisconnected,
   disconnect,
-  reconnect
+  reconnect,
+  isDisconnectedError,
+  isGroupId,
+  describeRecipient,
+  getChatDisplayName
 };
@@ -5,6 +5,7 @@ const API_URL = window.location.hostname === 'localhost'
 
 let isConnected = false;
 let refreshInterval = null;
+let timeZone; // configured on the server with /tz, undefined until the first status check
 
 // Initialize app
 document.addEventListener('DOMContentLoaded', () => {
@@ -40,6 +41,12 @@ async function checkConnection() {
     isConnected = data.connected;
     updateConnectionUI(data.connected);
 
+    if (data.timezone && data.timezone !== timeZone) {
+      timeZone = data.timezone;
+      document.getElementById('timezone').textContent = `${timeZone} timezone`;
+      loadMessages();
+    }
+
     if (!data.connected) {
       checkQRCode();
     }
@@ -211,6 +218,7 @@ async function loadMessages() {
               <th>Message</th>
               <th>Scheduled Time</th>
               <th>Status</th>
+              <th>Delivery</th>
               <th>Created</th>
             </tr>
           </thead>
@@ -219,9 +227,10 @@ async function loadMessages() {
               <tr>
                 <td>${msg.id}</td>
                 <td><strong>${escapeHtml(msg.recipient_name || msg.recipient)}</strong></td>
-                <td>${escapeHtml(truncate(msg.message, 50))}</td>
+                <td>${msg.media_type ? '📎 ' : ''}${escapeHtml(truncate(msg.message, 50))}</td>
                 <td>${formatDate(msg.scheduled_time)}</td>
                 <td><span class="status-badge status-${msg.status}">${msg.status}</span></td>
+                <td>${formatReceipt(msg)}</td>
                 <td>${formatDate(msg.created_at)}</td>
               </tr>
             `).join('')}
@@ -249,10 +258,33 @@ function formatDate(dateString) {
     year: 'numeric',
     hour: '2-digit',
     minute: '2-digit',
-    hour12: false
+    hour12: false,
+    timeZone
   });
 }
 
+// Delivery receipt of a sent message, with the time it was reached
+function formatReceipt(msg) {
+  if (msg.status !== 'sent' || msg.ack === null || msg.ack === undefined) return '-';
+
+  let label = '✓ Server';
+  let time = msg.ack_server_at;
+  if (msg.ack >= 4) {
+    label = '▶️ Played';
+    time = msg.ack_played_at;
+  } else if (msg.ack >= 3) {
+    label = '✓✓ Read';
+    time = msg.ack_read_at;
+  } else if (msg.ack >= 2) {
+    label = '✓✓ Delivered';
+    time = msg.ack_delivered_at;
+  } else if (msg.ack < 1) {
+    return '<span class="receipt">🕓 Pending</span>';
+  }
+
+  return `<span class="receipt receipt-${msg.ack >= 3 ? 'read' : 'delivered'}" title="${formatDate(time)}">${label}</span>`;
+}
+
 function truncate(str, maxLength) {
   if (!str) return '';
   if (str.length <= maxLength) return str;